@@ -0,0 +1,81 @@
+/**
+ * Runs the save migrations (src/js/lib/SaveMigrations.js) over the saves in
+ * scripts/fixtures/saves and checks that every one of them comes out in the
+ * current save format without losing data.
+ *
+ *   yarn check:save-migrations
+ *
+ * Each fixture is a save of an older format version:
+ *   { "description": "...", "formatVersion": 0, "gardenData": [...] }
+ * Add one whenever a migration is added.
+ */
+import {
+	SAVE_FORMAT_VERSION,
+	SAVE_MIGRATIONS,
+	migrateGardenData,
+} from '../src/js/lib/SaveMigrations.js';
+import { dirname, join } from 'path';
+import { readFileSync, readdirSync } from 'fs';
+
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+
+const FIXTURES_DIR = join(
+	dirname(fileURLToPath(import.meta.url)),
+	'fixtures',
+	'saves',
+);
+
+const failures = [];
+const check = (fixture, condition, message) => {
+	if (!condition) failures.push(`${fixture}: ${message}`);
+};
+
+SAVE_MIGRATIONS.forEach(({ version }, index) => {
+	check('SAVE_MIGRATIONS', version === index + 1, `migration ${index} upgrades to version ${version}, expected ${index + 1}`);
+});
+
+const fixtures = readdirSync(FIXTURES_DIR).filter((name) => name.endsWith('.json'));
+const coveredVersions = new Set();
+
+fixtures.forEach((name) => {
+	const { formatVersion, gardenData } = JSON.parse(readFileSync(join(FIXTURES_DIR, name), 'utf8'));
+	coveredVersions.add(formatVersion);
+	const original = JSON.parse(JSON.stringify(gardenData));
+
+	let migrated;
+	try {
+		migrated = migrateGardenData(gardenData, formatVersion);
+	} catch (error) {
+		check(name, false, `migration failed: ${error.message}`);
+		return;
+	}
+	check(name, isDeepStrictEqual(gardenData, original), 'migrations changed the loaded save');
+	check(name, Array.isArray(migrated) && migrated.length === original.length, 'saved objects were lost or added');
+	if (formatVersion === SAVE_FORMAT_VERSION) {
+		check(name, migrated === gardenData, 'a current save was migrated');
+	}
+	// the current format: every plant has a network id, unique within the garden
+	const netIds = migrated.filter((object) => object.PlantedComponent).map((object) => object.NetworkedPlantComponent?.netId);
+	check(name, netIds.every((netId) => typeof netId === 'string' && netId.length > 0 && netId.length <= 64), 'a plant has no network id');
+	check(name, new Set(netIds).size === netIds.length, 'network ids are not unique');
+	// a save that is loaded again without being saved keeps its network ids
+	check(name, isDeepStrictEqual(migrateGardenData(gardenData, formatVersion), migrated), 'migrating the save again gives other data');
+
+	// the migrations so far only add components, everything else is kept as it was
+	migrated.forEach((object, index) => {
+		Object.entries(original[index]).forEach(([component, data]) => {
+			check(name, isDeepStrictEqual(object[component], data), `${component} of object ${index} changed`);
+		});
+	});
+});
+
+for (let version = 0; version < SAVE_FORMAT_VERSION; version++) {
+	check('fixtures', coveredVersions.has(version), `no fixture of a version ${version} save`);
+}
+
+if (failures.length > 0) {
+	failures.forEach((failure) => console.error(failure));
+	process.exit(1);
+}
+console.log(`${fixtures.length} saves migrate to save format version ${SAVE_FORMAT_VERSION}`);
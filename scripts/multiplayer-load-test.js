@@ -0,0 +1,511 @@
+/**
+ * Load test for the multiplayer relay (server/multiplayer/index.js).
+ *
+ * Spawns simulated players that join one room, walk scripted head and hand
+ * paths while sending presence snapshots, and plant at random positions.
+ * Prints message rates, snapshot latency percentiles and the share of
+ * snapshots the relay dropped (rate limiter or broadcast backlog).
+ *
+ *   yarn multiplayer:load-test --clients 30 --duration 60
+ *   node scripts/multiplayer-load-test.js --url ws://host:8090 --format json
+ *
+ * Planted flowers are kept by the relay, point it at a throwaway room or run
+ * the server with MULTIPLAYER_ROOM_STORE=memory.
+ */
+import { SNAPSHOT_FORMATS, decodeSnapshot, encodeSnapshot } from '../src/js/lib/net/SnapshotCodec.js';
+
+import { ClockSync } from '../src/js/lib/net/ClockSync.js';
+import { PLANT_TYPES } from '../src/js/Constants.js';
+import WebSocket from 'ws';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { parseArgs } from 'util';
+
+const USAGE = `Usage: node scripts/multiplayer-load-test.js [options]
+
+  --url <url>             relay url (default ws://localhost:$MULTIPLAYER_PORT or 8090)
+  --room <id>             room to join (default loadtest)
+  --password <password>   room password, if the room has one
+  --clients <n>           simulated players (default 10)
+  --duration <s>          measured seconds of traffic (default 30)
+  --rate <hz>             snapshots per second per player (default 20)
+  --plant-interval <s>    mean seconds between plants per player, 0 to disable (default 5)
+  --format <format>       binary, json or mixed snapshot encoding (default binary)
+  --ramp <ms>             delay between player connects (default 50)
+  --help                  show this message`;
+
+const CONNECT_TIMEOUT = 15000; // ms for every player to join and sync clocks
+const DRAIN_TIME = 1000; // ms to wait for in-flight messages after sending stops
+const REPORT_INTERVAL = 5000;
+const CLOCK_SYNC_SAMPLES = 5;
+const MAX_LATENCY_SAMPLES = 200000;
+const PATH_PERIOD = 10; // seconds per lap of the scripted walk
+const GARDEN_SIZE = 8; // plants land within +-GARDEN_SIZE metres
+
+// GameStateComponent.INTERACTION_MODES, cycled through while walking
+const SCRIPTED_MODES = [
+	{ mode: 0, lh: 'EMPTY', rh: 'EMPTY' }, // DEFAULT
+	{ mode: 1, lh: 'SEEDBOX', rh: 'PLANTING' }, // PLANTING
+	{ mode: 3, lh: 'EMPTY', rh: 'WATERING' }, // WATERING
+	{ mode: 4, lh: 'EMPTY', rh: 'CAMERA' }, // CAMERA
+];
+const PLANT_GROUP = 'sunflower_a';
+const BOT_COLORS = ['#4caf50', '#2196f3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4'];
+
+const parseOptions = () => {
+	const { values } = parseArgs({
+		options: {
+			url: { type: 'string', default: `ws://localhost:${process.env.MULTIPLAYER_PORT || 8090}` },
+			room: { type: 'string', default: 'loadtest' },
+			password: { type: 'string' },
+			clients: { type: 'string', default: '10' },
+			duration: { type: 'string', default: '30' },
+			rate: { type: 'string', default: '20' },
+			'plant-interval': { type: 'string', default: '5' },
+			format: { type: 'string', default: 'binary' },
+			ramp: { type: 'string', default: '50' },
+			help: { type: 'boolean', default: false },
+		},
+	});
+	if (values.help) {
+		console.log(USAGE);
+		process.exit(0);
+	}
+
+	const options = {
+		url: values.url,
+		room: values.room,
+		password: values.password,
+		clients: Number(values.clients),
+		duration: Number(values.duration),
+		rate: Number(values.rate),
+		plantInterval: Number(values['plant-interval']),
+		format: values.format,
+		ramp: Number(values.ramp),
+	};
+	const invalid =
+		!Number.isInteger(options.clients) || options.clients < 1 ||
+		!(options.duration > 0) || !(options.rate > 0) ||
+		!(options.plantInterval >= 0) || !(options.ramp >= 0) ||
+		!['binary', 'json', 'mixed'].includes(options.format);
+	if (invalid) {
+		console.error(USAGE);
+		process.exit(1);
+	}
+	return options;
+};
+
+const percentile = (sorted, p) => {
+	if (sorted.length === 0) return NaN;
+	return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+};
+
+const yawQuaternion = (yaw) => ({ x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) });
+
+/**
+ * Counters shared by all players, reset when the measured phase starts
+ */
+class Stats {
+	constructor() {
+		this.reset();
+	}
+
+	reset() {
+		this.startTime = performance.now();
+		this.messagesOut = 0;
+		this.messagesIn = 0;
+		this.bytesOut = 0;
+		this.bytesIn = 0;
+		this.snapshotsSent = 0;
+		this.snapshotsExpected = 0;
+		this.snapshotsReceived = 0;
+		this.plantsSent = 0;
+		this.plantsReceived = 0;
+		this.plantsDenied = 0;
+		this.latencies = [];
+		this.latencyCount = 0;
+		this.plantLatencies = [];
+		this.errors = new Map();
+		this.disconnects = new Map();
+	}
+
+	addLatency(latency) {
+		// reservoir sampling keeps memory flat on long runs
+		this.latencyCount++;
+		if (this.latencies.length < MAX_LATENCY_SAMPLES) {
+			this.latencies.push(latency);
+		} else {
+			const index = Math.floor(Math.random() * this.latencyCount);
+			if (index < MAX_LATENCY_SAMPLES) this.latencies[index] = latency;
+		}
+	}
+
+	count(map, key) {
+		map.set(key, (map.get(key) || 0) + 1);
+	}
+}
+
+/**
+ * One simulated player
+ */
+class Bot {
+	constructor(index, options, stats, runId) {
+		this.index = index;
+		this.options = options;
+		this.stats = stats;
+		this.clientId = `bot-${runId}-${index}`;
+		this.clockSync = new ClockSync();
+		this.ws = null;
+		this.ready = false;
+		this.closed = false;
+		this.plantCounter = 0;
+		this.peers = new Set(); // clientIds of the other bots in the room
+		this.isHost = false;
+		this.binary =
+			options.format === 'binary' || (options.format === 'mixed' && index % 2 === 0);
+		this.snapshotFormat = SNAPSHOT_FORMATS.JSON;
+
+		// spread the players on a ring so their paths do not overlap
+		const angle = (index / options.clients) * Math.PI * 2;
+		const radius = Math.min(GARDEN_SIZE - 2, 2 + options.clients * 0.1);
+		this.center = { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius };
+		this.phase = Math.random() * Math.PI * 2;
+	}
+
+	/**
+	 * @returns {Promise<void>} resolves once joined and clock synced
+	 */
+	connect() {
+		return new Promise((resolve, reject) => {
+			this.onReady = resolve;
+			this.ws = new WebSocket(this.options.url);
+			this.ws.on('open', () => {
+				this.send({
+					v: 1,
+					type: 'hello',
+					clientId: this.clientId,
+					room: this.options.room,
+					password: this.options.password,
+					name: `Bot ${this.index}`,
+					color: BOT_COLORS[this.index % BOT_COLORS.length],
+					snapshotFormats: this.binary
+						? [SNAPSHOT_FORMATS.BINARY, SNAPSHOT_FORMATS.JSON]
+						: [SNAPSHOT_FORMATS.JSON],
+				});
+			});
+			this.ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+			this.ws.on('close', (code, reason) => {
+				if (!this.closed) this.stats.count(this.stats.disconnects, `${code} ${reason}`.trim());
+				this.closed = true;
+				this.ready = false;
+				reject(new Error(`${this.clientId} closed before joining (${code} ${reason})`));
+			});
+			this.ws.on('error', (error) => reject(error));
+		});
+	}
+
+	close() {
+		this.closed = true;
+		this.ready = false;
+		this.ws?.close(1000, 'Load test finished');
+	}
+
+	send(message) {
+		this.sendRaw(JSON.stringify(message));
+	}
+
+	sendRaw(data) {
+		if (this.ws.readyState !== WebSocket.OPEN) return;
+		this.ws.send(data);
+		this.stats.messagesOut++;
+		this.stats.bytesOut += data.length ?? data.byteLength;
+	}
+
+	handleMessage(data, isBinary) {
+		this.stats.messagesIn++;
+		this.stats.bytesIn += data.length;
+
+		if (isBinary) {
+			const bytes = new Uint8Array(data.buffer, data.byteOffset, data.length);
+			const snapshot = decodeSnapshot(bytes);
+			if (snapshot) this.handleSnapshot(snapshot);
+			return;
+		}
+
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			this.stats.count(this.stats.errors, 'Unparseable message');
+			return;
+		}
+
+		switch (message.type) {
+			case 'hello_ack':
+				this.snapshotFormat = message.snapshotFormat || SNAPSHOT_FORMATS.JSON;
+				this.send(this.clockSync.createPing());
+				break;
+			case 'clock:pong':
+				this.clockSync.handlePong(message);
+				if (this.clockSync.samples.length < CLOCK_SYNC_SAMPLES) {
+					this.send(this.clockSync.createPing());
+				} else if (!this.ready) {
+					this.ready = true;
+					this.onReady();
+				}
+				break;
+			case 'snapshot':
+				this.handleSnapshot(message);
+				break;
+			case 'event:plant':
+				this.stats.plantsReceived++;
+				if (Number.isFinite(message.t)) {
+					this.stats.plantLatencies.push(this.clockSync.now() - message.t);
+				}
+				break;
+			case 'join':
+				this.peers.add(message.clientId);
+				if (this.isHost) this.grantEditRights(message.clientId);
+				break;
+			case 'leave':
+				this.peers.delete(message.clientId);
+				break;
+			case 'roles':
+				this.handleRoles(message);
+				break;
+			case 'plant:result':
+				if (!message.accepted) {
+					this.stats.plantsDenied++;
+				}
+				break;
+			case 'error':
+				this.stats.count(this.stats.errors, message.error);
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Only the host and guests it granted edit rights may plant, so the host
+	 * bot lets every other bot plant
+	 */
+	handleRoles({ hostId, editors }) {
+		this.isHost = hostId === this.clientId;
+		if (!this.isHost) return;
+		this.peers.forEach((clientId) => {
+			if (!editors.includes(clientId)) this.grantEditRights(clientId);
+		});
+	}
+
+	grantEditRights(clientId) {
+		this.send({ v: 1, type: 'role:edit', clientId, canEdit: true });
+	}
+
+	handleSnapshot(snapshot) {
+		this.stats.snapshotsReceived++;
+		if (Number.isFinite(snapshot.t)) {
+			this.stats.addLatency(this.clockSync.now() - snapshot.t);
+		}
+	}
+
+	/**
+	 * Walk a circle around this player's spot, hands swinging, switching tools
+	 * every lap
+	 * @param {number} time - seconds since the measured phase started
+	 * @returns {Object} snapshot message
+	 */
+	createSnapshot(time) {
+		const angle = this.phase + (time / PATH_PERIOD) * Math.PI * 2;
+		const yaw = -angle; // facing along the path
+		const head = {
+			x: this.center.x + Math.cos(angle),
+			y: 1.6 + Math.sin(time * 4) * 0.03,
+			z: this.center.z + Math.sin(angle),
+		};
+		const forward = { x: -Math.sin(yaw), z: -Math.cos(yaw) };
+		const right = { x: Math.cos(yaw), z: -Math.sin(yaw) };
+		const hand = (side) => {
+			const swing = Math.sin(time * 3 + (side > 0 ? Math.PI : 0)) * 0.15;
+			return {
+				p: {
+					x: head.x + right.x * side * 0.25 + forward.x * (0.3 + swing),
+					y: head.y - 0.45,
+					z: head.z + right.z * side * 0.25 + forward.z * (0.3 + swing),
+				},
+				q: yawQuaternion(yaw),
+			};
+		};
+
+		const lap = Math.floor((this.phase / (Math.PI * 2)) * SCRIPTED_MODES.length + time / PATH_PERIOD);
+		const scripted = SCRIPTED_MODES[lap % SCRIPTED_MODES.length];
+		const curl = (Math.sin(time * 2 + this.index) + 1) / 2;
+		const fingers = [curl, curl, 1 - curl].map((f) => Math.round(f * 1000) / 1000);
+
+		return {
+			v: 1,
+			type: 'snapshot',
+			t: this.clockSync.now(),
+			mode: scripted.mode,
+			plantGroup: scripted.mode === 1 ? PLANT_GROUP : '',
+			head: { p: head, q: yawQuaternion(yaw) },
+			lh: { ...hand(-1), pose: scripted.lh, f: fingers },
+			rh: { ...hand(1), pose: scripted.rh, f: fingers },
+		};
+	}
+
+	publishSnapshot(time, peers) {
+		if (!this.ready) return;
+		const snapshot = this.createSnapshot(time);
+		if (this.snapshotFormat === SNAPSHOT_FORMATS.BINARY) {
+			this.sendRaw(new Uint8Array(encodeSnapshot(snapshot)));
+		} else {
+			this.send(snapshot);
+		}
+		this.stats.snapshotsSent++;
+		this.stats.snapshotsExpected += peers;
+	}
+
+	plant() {
+		if (!this.ready) return;
+		const plantTypes = Object.values(PLANT_TYPES);
+		this.plantCounter++;
+		this.send({
+			v: 1,
+			type: 'event:plant',
+			netId: `${this.clientId}_${this.plantCounter.toString(36)}`,
+			plantType: plantTypes[Math.floor(Math.random() * plantTypes.length)],
+			pos: {
+				x: (Math.random() * 2 - 1) * GARDEN_SIZE,
+				y: 0,
+				z: (Math.random() * 2 - 1) * GARDEN_SIZE,
+			},
+			quat: yawQuaternion(Math.random() * Math.PI * 2),
+			scale: null,
+			t: this.clockSync.now(),
+		});
+		this.stats.plantsSent++;
+	}
+}
+
+const formatMs = (value) => (Number.isFinite(value) ? `${value.toFixed(1)}ms` : '-');
+
+const formatRate = (count, seconds) => `${(count / seconds).toFixed(1)}/s`;
+
+const formatDropRate = (stats) => {
+	if (stats.snapshotsExpected === 0) return '-';
+	const dropped = Math.max(0, stats.snapshotsExpected - stats.snapshotsReceived);
+	return `${dropped} (${((dropped / stats.snapshotsExpected) * 100).toFixed(2)}%)`;
+};
+
+const printProgress = (stats, bots) => {
+	const seconds = (performance.now() - stats.startTime) / 1000;
+	const sorted = Float64Array.from(stats.latencies).sort();
+	console.log(
+		`[${seconds.toFixed(0)}s] players=${bots.filter((b) => b.ready).length}` +
+			` out=${formatRate(stats.messagesOut, seconds)} in=${formatRate(stats.messagesIn, seconds)}` +
+			` dropped=${formatDropRate(stats)} p50=${formatMs(percentile(sorted, 50))}` +
+			` p99=${formatMs(percentile(sorted, 99))}`,
+	);
+};
+
+const printReport = (stats, bots, options, loopDelay) => {
+	const seconds = options.duration;
+	const latencies = Float64Array.from(stats.latencies).sort();
+	const plantLatencies = Float64Array.from(stats.plantLatencies).sort();
+	const rtts = Float64Array.from(bots.filter((b) => b.clockSync.isSynced).map((b) => b.clockSync.rtt)).sort();
+
+	console.log('\n=== Multiplayer load test ===');
+	console.log(`relay            ${options.url} room "${options.room}"`);
+	console.log(`players          ${bots.filter((b) => b.ready).length}/${options.clients} connected at the end, ${options.format} snapshots at ${options.rate}Hz`);
+	console.log(`duration         ${seconds}s`);
+	console.log('\nmessages');
+	console.log(`  sent           ${stats.messagesOut} (${formatRate(stats.messagesOut, seconds)}, ${(stats.bytesOut / seconds / 1024).toFixed(1)} KiB/s)`);
+	console.log(`  received       ${stats.messagesIn} (${formatRate(stats.messagesIn, seconds)}, ${(stats.bytesIn / seconds / 1024).toFixed(1)} KiB/s)`);
+	console.log('\nsnapshots');
+	console.log(`  sent           ${stats.snapshotsSent}`);
+	console.log(`  expected       ${stats.snapshotsExpected} (sent x other players)`);
+	console.log(`  received       ${stats.snapshotsReceived}`);
+	console.log(`  dropped        ${formatDropRate(stats)}`);
+	console.log(`  latency        p50 ${formatMs(percentile(latencies, 50))}  p90 ${formatMs(percentile(latencies, 90))}  p99 ${formatMs(percentile(latencies, 99))}  max ${formatMs(latencies[latencies.length - 1])}`);
+	console.log('\nplants');
+	console.log(`  sent           ${stats.plantsSent}`);
+	console.log(`  denied         ${stats.plantsDenied} (by the server)`);
+	console.log(`  received       ${stats.plantsReceived}`);
+	console.log(`  latency        p50 ${formatMs(percentile(plantLatencies, 50))}  p99 ${formatMs(percentile(plantLatencies, 99))}`);
+	console.log(`\nclock rtt        p50 ${formatMs(percentile(rtts, 50))}  max ${formatMs(rtts[rtts.length - 1])}`);
+
+	if (stats.errors.size > 0) {
+		console.log('\nrelay errors');
+		stats.errors.forEach((count, error) => console.log(`  ${count} x ${error}`));
+	}
+	if (stats.disconnects.size > 0) {
+		console.log('\ndisconnects');
+		stats.disconnects.forEach((count, reason) => console.log(`  ${count} x ${reason}`));
+	}
+
+	// latencies include time spent queued in this process, flag when it is the bottleneck
+	const lagP99 = loopDelay.percentile(99) / 1e6;
+	console.log(`\nload generator event loop delay p99 ${formatMs(lagP99)}`);
+	if (lagP99 > 1000 / options.rate) {
+		console.log('  warning: the load generator is saturated, run fewer players per process');
+	}
+};
+
+const run = async () => {
+	const options = parseOptions();
+	const stats = new Stats();
+	const runId = Math.random().toString(36).slice(2, 8);
+	const bots = Array.from({ length: options.clients }, (_, i) => new Bot(i, options, stats, runId));
+
+	console.log(`Connecting ${options.clients} players to ${options.url} room "${options.room}"...`);
+	const connecting = [];
+	for (const bot of bots) {
+		connecting.push(bot.connect());
+		if (options.ramp > 0) await new Promise((resolve) => setTimeout(resolve, options.ramp));
+	}
+	// carry on with whoever made it in time
+	let connectTimer;
+	const timeout = new Promise((resolve) => {
+		connectTimer = setTimeout(resolve, CONNECT_TIMEOUT);
+	});
+	const results = await Promise.race([Promise.allSettled(connecting), timeout]);
+	clearTimeout(connectTimer);
+	results?.forEach((result) => {
+		if (result.status === 'rejected') console.warn(`Player failed to join: ${result.reason.message}`);
+	});
+	const joined = bots.filter((bot) => bot.ready).length;
+	if (joined === 0) throw new Error('No player could join the room');
+	if (joined < bots.length) console.warn(`Only ${joined}/${bots.length} players joined`);
+
+	console.log(`Sending for ${options.duration}s...`);
+	const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+	loopDelay.enable();
+	stats.reset();
+
+	const tickInterval = 1000 / options.rate;
+	const plantChance = options.plantInterval > 0 ? tickInterval / 1000 / options.plantInterval : 0;
+	// every player keeps its own timer, like separate browsers would
+	const timers = bots.map((bot) =>
+		setInterval(() => {
+			const time = (performance.now() - stats.startTime) / 1000;
+			const peers = bots.filter((b) => b !== bot && b.ready).length;
+			bot.publishSnapshot(time, peers);
+			if (Math.random() < plantChance) bot.plant();
+		}, tickInterval),
+	);
+	const progressTimer = setInterval(() => printProgress(stats, bots), REPORT_INTERVAL);
+
+	await new Promise((resolve) => setTimeout(resolve, options.duration * 1000));
+	timers.forEach(clearInterval);
+	clearInterval(progressTimer);
+	await new Promise((resolve) => setTimeout(resolve, DRAIN_TIME));
+	loopDelay.disable();
+
+	printReport(stats, bots, options, loopDelay);
+	bots.forEach((bot) => bot.close());
+};
+
+run().catch((error) => {
+	console.error(`Load test failed: ${error.message}`);
+	process.exit(1);
+});
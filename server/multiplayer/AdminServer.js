@@ -0,0 +1,189 @@
+/**
+ * HTTP admin API for moderating the multiplayer relay.
+ *
+ *   GET    /rooms                           list rooms
+ *   GET    /rooms/:roomId                   room details with connected clients
+ *   PATCH  /rooms/:roomId                   set { capacity, password, roomKey } (null clears)
+ *   DELETE /rooms/:roomId                   disconnect everyone in the room
+ *   DELETE /rooms/:roomId/clients/:clientId kick a client
+ *   GET    /metrics                         relay metrics in the Prometheus text format
+ *
+ * Binds to localhost by default. When a token is configured every request
+ * must send it as `Authorization: Bearer <token>`.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+const MAX_BODY_SIZE = 16 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class AdminServer {
+  /**
+   * @param {Object} relay - the MultiplayerServer being moderated
+   * @param {{ port: number, host: string, token: string }} options
+   */
+  constructor(relay, { port, host, token }) {
+    this.relay = relay;
+    this.token = token;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        const status = error.status || 500;
+        if (status === 500) console.warn('Admin request failed:', error);
+        this.sendJson(res, status, { error: error.message });
+      });
+    });
+    this.server.listen(port, host, () => {
+      console.log(`🔧 Admin API listening on http://${host}:${port}`);
+    });
+  }
+
+  async handleRequest(req, res) {
+    this.authorize(req);
+
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname
+      .split('/')
+      .filter(Boolean)
+      .map((segment) => this.decodeSegment(segment));
+
+    if (segments.length === 1 && segments[0] === 'metrics') {
+      this.expectMethod(req, 'GET');
+      this.sendText(res, 200, this.relay.metrics.render());
+      return;
+    }
+
+    if (segments[0] !== 'rooms') {
+      throw new HttpError(404, 'Not found');
+    }
+
+    const [, roomId, resource, clientId] = segments;
+
+    if (!roomId) {
+      this.expectMethod(req, 'GET');
+      this.sendJson(res, 200, { rooms: this.relay.listRooms() });
+      return;
+    }
+
+    if (resource === 'clients' && clientId) {
+      this.expectMethod(req, 'DELETE');
+      if (!this.relay.kickClient(roomId, clientId)) {
+        throw new HttpError(404, `Client ${clientId} is not in room ${roomId}`);
+      }
+      this.sendJson(res, 200, { kicked: clientId });
+      return;
+    }
+
+    if (resource) {
+      throw new HttpError(404, 'Not found');
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        const room = this.relay.getRoomDetails(roomId);
+        if (!room) throw new HttpError(404, `Unknown room ${roomId}`);
+        this.sendJson(res, 200, room);
+        break;
+      }
+      case 'PATCH': {
+        const settings = await this.readJsonBody(req);
+        this.relay.updateRoomSettings(roomId, this.validateSettings(settings));
+        this.sendJson(res, 200, this.relay.getRoomDetails(roomId));
+        break;
+      }
+      case 'DELETE':
+        this.sendJson(res, 200, { closed: roomId, disconnected: this.relay.closeRoom(roomId) });
+        break;
+      default:
+        throw new HttpError(405, 'Method not allowed');
+    }
+  }
+
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      if (error instanceof URIError) throw new HttpError(400, 'Malformed path');
+      throw error;
+    }
+  }
+
+  authorize(req) {
+    if (!this.token) return;
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  }
+
+  expectMethod(req, method) {
+    if (req.method !== method) throw new HttpError(405, 'Method not allowed');
+  }
+
+  validateSettings(settings) {
+    const validated = {};
+    if ('capacity' in settings) {
+      const { capacity } = settings;
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+        throw new HttpError(400, 'capacity must be a positive integer or null');
+      }
+      validated.capacity = capacity;
+    }
+    if ('password' in settings) {
+      const { password } = settings;
+      if (password !== null && (typeof password !== 'string' || password.length === 0)) {
+        throw new HttpError(400, 'password must be a non-empty string or null');
+      }
+      validated.password = password;
+    }
+    if ('roomKey' in settings) {
+      const { roomKey } = settings;
+      if (roomKey !== null && (typeof roomKey !== 'string' || roomKey.length === 0)) {
+        throw new HttpError(400, 'roomKey must be a non-empty string or null');
+      }
+      validated.roomKey = roomKey;
+    }
+    return validated;
+  }
+
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          const parsed = JSON.parse(body || '{}');
+          if (!parsed || typeof parsed !== 'object') throw new Error('not an object');
+          resolve(parsed);
+        } catch (error) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendText(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(body);
+  }
+
+  sendJson(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Counters and gauges of the multiplayer relay, rendered in the Prometheus
+ * text exposition format for GET /metrics on the admin server.
+ */
+
+const escapeLabelValue = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+export class Metrics {
+  constructor() {
+    this.metrics = new Map(); // name -> { type, help, labelNames, values: Map<labels key, { labels, value }>, collect }
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} labelNames - labels the counter is split by
+   */
+  defineCounter(name, help, labelNames = []) {
+    this.metrics.set(name, { type: 'counter', help, labelNames, values: new Map() });
+  }
+
+  /**
+   * A gauge read when the metrics are rendered
+   * @param {string} name
+   * @param {string} help
+   * @param {function(): number} collect
+   */
+  defineGauge(name, help, collect) {
+    this.metrics.set(name, { type: 'gauge', help, collect });
+  }
+
+  /**
+   * @param {string} name - a counter
+   * @param {Object} labels - label values, keep their cardinality bounded
+   * @param {number} amount
+   */
+  inc(name, labels = {}, amount = 1) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.type !== 'counter') throw new Error(`Unknown counter ${name}`);
+    const key = formatLabels(labels);
+    const entry = metric.values.get(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      metric.values.set(key, { labels, value: amount });
+    }
+  }
+
+  /**
+   * @returns {string} all metrics in the Prometheus text format
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric, name) => {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      if (metric.type === 'gauge') {
+        lines.push(`${name} ${metric.collect()}`);
+        return;
+      }
+      // split counters only show up once something was counted
+      if (metric.values.size === 0 && metric.labelNames.length === 0) {
+        lines.push(`${name} 0`);
+        return;
+      }
+      metric.values.forEach(({ labels, value }) => {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
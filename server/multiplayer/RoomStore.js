@@ -0,0 +1,121 @@
+/**
+ * Pluggable persistence for multiplayer room state.
+ *
+ * A store exposes:
+ *   loadAll()               -> Map<roomId, persistedRoom>, called once at startup
+ *   save(roomId, room)      -> persist a room after it changed
+ *   delete(roomId)          -> forget a room, e.g. when it expired
+ *   flush()                 -> write pending changes, called on shutdown
+ *
+ * where persistedRoom is { roomId, plants: Array, lastActive: number }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SAVE_DEBOUNCE = 1000; // 1 second
+
+/**
+ * Keeps nothing across restarts; used when persistence is disabled.
+ */
+export class MemoryRoomStore {
+  loadAll() {
+    return new Map();
+  }
+
+  save() {}
+
+  delete() {}
+
+  async flush() {}
+}
+
+/**
+ * Stores each room as a JSON file in a directory. Writes are debounced per
+ * room and go through a temporary file so a crash never leaves half a room.
+ */
+export class FileRoomStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.pending = new Map(); // roomId -> { room, timer }
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  getFilePath(roomId) {
+    return path.join(this.directory, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  loadAll() {
+    const rooms = new Map();
+    fs.readdirSync(this.directory)
+      .filter((file) => file.endsWith('.json'))
+      .forEach((file) => {
+        try {
+          const room = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+          if (typeof room.roomId === 'string' && Array.isArray(room.plants)) {
+            rooms.set(room.roomId, room);
+          }
+        } catch (error) {
+          console.warn(`Skipping unreadable room file ${file}:`, error.message);
+        }
+      });
+    return rooms;
+  }
+
+  save(roomId, room) {
+    const pending = this.pending.get(roomId);
+    if (pending) {
+      pending.room = room;
+      return;
+    }
+    const timer = setTimeout(() => this.write(roomId), SAVE_DEBOUNCE);
+    this.pending.set(roomId, { room, timer });
+  }
+
+  async write(roomId) {
+    const pending = this.pending.get(roomId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(roomId);
+
+    const filePath = this.getFilePath(roomId);
+    const tempPath = `${filePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(pending.room));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Failed to persist room ${roomId}:`, error.message);
+    }
+  }
+
+  delete(roomId) {
+    const pending = this.pending.get(roomId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(roomId);
+    }
+    fs.promises.rm(this.getFilePath(roomId), { force: true }).catch((error) => {
+      console.warn(`Failed to delete room ${roomId}:`, error.message);
+    });
+  }
+
+  async flush() {
+    await Promise.all(Array.from(this.pending.keys()).map((roomId) => this.write(roomId)));
+  }
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {string} type - 'file' or 'memory'
+ * @param {string} directory - where the file store keeps its rooms
+ */
+export const createRoomStore = (type, directory) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'file':
+      return new FileRoomStore(directory);
+    default:
+      throw new Error(`Unknown room store: ${type}`);
+  }
+};
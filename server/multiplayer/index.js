@@ -3,32 +3,205 @@
  * Minimal relay for real-time presence sync and planting events
  */
 
+import {
+  HAND_POSES,
+  SNAPSHOT_FORMATS,
+  decodeSnapshot,
+  encodeSnapshot,
+} from '../../src/js/lib/net/SnapshotCodec.js';
+import { AdminServer } from './AdminServer.js';
+import { Metrics } from './Metrics.js';
+import { findPlantConflict, isValidPlantType, nudgePlant } from '../../src/js/lib/net/PlantSpacing.js';
+import { PhotoAssembler } from '../../src/js/lib/net/PhotoChunks.js';
+import { isValidEmote } from '../../src/js/lib/net/Emotes.js';
+import { sanitizeFaunaSync } from '../../src/js/lib/net/FaunaSync.js';
+import { MAX_ROOM_GARDEN_SIZE, getRoomGardenPlants, sanitizeRoomGarden } from '../../src/js/lib/net/RoomGarden.js';
 import { WebSocketServer } from 'ws';
+import { createRoomStore } from './RoomStore.js';
+import crypto from 'crypto';
 
 const PORT = process.env.MULTIPLAYER_PORT || 8090;
+const ADMIN_PORT = process.env.MULTIPLAYER_ADMIN_PORT || 8091;
+const ADMIN_HOST = process.env.MULTIPLAYER_ADMIN_HOST || '127.0.0.1';
+const ADMIN_TOKEN = process.env.MULTIPLAYER_ADMIN_TOKEN || '';
+const ROOM_STORE = process.env.MULTIPLAYER_ROOM_STORE || 'file';
+const DATA_DIR = process.env.MULTIPLAYER_DATA_DIR || '.multiplayer-rooms';
+const ROOM_IDLE_TIMEOUT = Number(process.env.MULTIPLAYER_ROOM_IDLE_TIMEOUT) || 7 * 24 * 60 * 60 * 1000; // 7 days
+// Players further apart than AOI_RADIUS meters only get each other's snapshots at AOI_FAR_RATE Hz, 0 disables
+const AOI_RADIUS = Number(process.env.MULTIPLAYER_AOI_RADIUS ?? 15);
+const AOI_FAR_RATE = Number(process.env.MULTIPLAYER_AOI_FAR_RATE) || 2;
+const SESSION_TTL = Number(process.env.MULTIPLAYER_SESSION_TTL) || 2 * 60 * 1000; // 2 minutes
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+const ROOM_EXPIRY_INTERVAL = 60000; // 1 minute
+
+// Close codes in the 4000 range tell the client not to reconnect
+const CLOSE_CODES = {
+  KICKED: 4001,
+  ROOM_CLOSED: 4002,
+  ROOM_FULL: 4003,
+  BAD_PASSWORD: 4004,
+  CLIENT_ID_TAKEN: 4005,
+};
+const MAX_ROOM_PLANTS = 5000;
+const MAX_NET_ID_LENGTH = 64;
+// Room ids name the room's file in the file store
+const MAX_ROOM_ID_LENGTH = 64;
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_SCALE_MULTIPLIER = 100;
+const MAX_DISPLAY_NAME_LENGTH = 24;
+const DEFAULT_AVATAR_COLOR = '#4caf50';
+const MAX_PLANT_GROUP_LENGTH = 32;
+// bytes of one WebSocket frame, the largest message is the host's room:garden
+const MAX_MESSAGE_SIZE = MAX_ROOM_GARDEN_SIZE + 64 * 1024;
+const MAX_EVENT_LOG = 1000; // sequenced events kept per room for resuming sessions
+const MIN_EMOTE_INTERVAL = 500; // ms between emotes of one client, more are dropped
+const MIN_FAUNA_SYNC_INTERVAL = 1000; // ms between fauna syncs of the host, more are dropped
+// Message types observers may send, they only watch the room
+const OBSERVER_MESSAGE_TYPES = ['hello', 'pong', 'clock:ping'];
+// Message types clients may send, anything else is counted as unknown in the metrics
+const CLIENT_MESSAGE_TYPES = [
+  'hello',
+  'snapshot',
+  'event:plant',
+  'event:pick',
+  'event:remove',
+  'event:water',
+  'photo:chunk',
+  'role:edit',
+  'emote',
+  'fauna:sync',
+  'room:garden',
+  'pong',
+  'clock:ping',
+];
 
 class MultiplayerServer {
   constructor() {
-    this.wss = new WebSocketServer({ port: PORT });
+    this.wss = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_SIZE });
     this.rooms = new Map(); // roomId -> Set<client>
-    this.clients = new Map(); // client -> { clientId, room, lastPing }
+    this.clients = new Map(); // client -> { clientId, name, color, room, sessionToken, lastPing, connectedAt, snapshotFormat, headPosition, farSnapshotTimes, photo }
+    this.roomStates = new Map(); // roomId -> { plants: Map<netId, plant>, lastActive, capacity, password, roomKey, garden, seq, eventLog, hostId, editors }
+    this.sessions = new Map(); // sessionToken -> { clientId, room, expiresAt, lastReliableSeq }
+    this.roomStore = createRoomStore(ROOM_STORE, DATA_DIR);
+    this.metrics = this.createMetrics();
 
     console.log(`🌻 Multiplayer server starting on port ${PORT}`);
+    this.restoreRooms();
     this.setupServer();
     this.startHeartbeat();
+    this.startRoomExpiry();
+    this.setupShutdown();
+    this.adminServer = new AdminServer(this, { port: ADMIN_PORT, host: ADMIN_HOST, token: ADMIN_TOKEN });
+  }
+
+  createMetrics() {
+    const metrics = new Metrics();
+    metrics.defineGauge(
+      'multiplayer_connections',
+      'Open WebSocket connections, including ones that have not sent hello',
+      () => this.wss.clients.size,
+    );
+    metrics.defineGauge('multiplayer_clients', 'Clients that joined a room', () => this.clients.size);
+    metrics.defineGauge(
+      'multiplayer_observers',
+      'Clients watching a room read-only',
+      () => Array.from(this.clients.values()).filter((client) => client.observer).length,
+    );
+    metrics.defineGauge('multiplayer_rooms', 'Rooms with at least one client', () => this.rooms.size);
+    metrics.defineGauge(
+      'multiplayer_rooms_stored',
+      'Rooms kept in memory, including empty ones',
+      () => this.roomStates.size,
+    );
+    metrics.defineGauge('multiplayer_sessions', 'Sessions that can be resumed', () => this.sessions.size);
+    metrics.defineCounter('multiplayer_messages_received_total', 'Messages received from clients', ['type']);
+    metrics.defineCounter('multiplayer_messages_sent_total', 'Messages sent to clients', ['type']);
+    metrics.defineCounter(
+      'multiplayer_snapshots_rate_limited_total',
+      'Snapshots dropped by the per-client rate limiter',
+    );
+    metrics.defineCounter(
+      'multiplayer_snapshots_throttled_total',
+      'Snapshot deliveries skipped between players outside each other\'s area of interest',
+    );
+    metrics.defineCounter(
+      'multiplayer_sanitize_rejections_total',
+      'Messages rejected as malformed or invalid',
+      ['type'],
+    );
+    metrics.defineCounter(
+      'multiplayer_heartbeat_terminations_total',
+      'Connections terminated for missing heartbeats',
+    );
+    metrics.defineCounter(
+      'multiplayer_plant_conflicts_total',
+      'Plants too close to another plant of the room, moved aside (nudged) or denied',
+      ['outcome'],
+    );
+    metrics.defineCounter(
+      'multiplayer_edits_denied_total',
+      'Garden edits sent by guests without edit rights',
+      ['type'],
+    );
+    metrics.defineCounter(
+      'multiplayer_reliable_discarded_total',
+      'Reliable channel messages dropped as duplicates or out of order',
+    );
+    return metrics;
+  }
+
+  countSent(type, count = 1) {
+    this.metrics.inc('multiplayer_messages_sent_total', { type }, count);
+  }
+
+  countRejection(type) {
+    this.metrics.inc('multiplayer_sanitize_rejections_total', { type });
+  }
+
+  restoreRooms() {
+    this.roomStore.loadAll().forEach((room, roomId) => {
+      this.roomStates.set(roomId, {
+        plants: new Map(room.plants.map((plant) => [plant.netId, plant])),
+        lastActive: room.lastActive || Date.now(),
+        capacity: room.capacity || null,
+        password: room.password || null,
+        roomKey: room.roomKey || null,
+        garden: room.garden || null,
+        seq: 0,
+        eventLog: [],
+        hostId: null,
+        editors: new Set(),
+      });
+    });
+    if (this.roomStates.size > 0) {
+      console.log(`Restored ${this.roomStates.size} room(s) from ${ROOM_STORE} store`);
+    }
+  }
+
+  setupShutdown() {
+    const shutdown = () => {
+      this.roomStore.flush().finally(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   }
 
   setupServer() {
     this.wss.on('connection', (ws) => {
       console.log('New connection established');
 
-      ws.on('message', (data) => {
+      ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+          this.metrics.inc('multiplayer_messages_received_total', { type: 'snapshot' });
+          this.handleBinarySnapshot(ws, data);
+          return;
+        }
         try {
           const message = JSON.parse(data.toString());
           this.handleMessage(ws, message);
         } catch (error) {
           console.warn('Invalid message format:', error.message);
+          this.countRejection('invalid');
           this.sendError(ws, 'Invalid message format');
         }
       });
@@ -37,6 +210,11 @@ class MultiplayerServer {
         this.handleDisconnect(ws);
       });
 
+      // Browsers answer protocol level pings on their own
+      ws.on('pong', () => {
+        this.handlePong(ws);
+      });
+
       ws.on('error', (error) => {
         console.warn('WebSocket error:', error.message);
       });
@@ -48,13 +226,24 @@ class MultiplayerServer {
 
   handleMessage(ws, message) {
     const { v: version, type } = message;
+    const knownType = CLIENT_MESSAGE_TYPES.includes(type) ? type : 'unknown';
+    this.metrics.inc('multiplayer_messages_received_total', { type: knownType });
 
     // Version check
     if (version !== 1) {
+      this.countRejection(knownType);
       this.sendError(ws, 'Unsupported message version');
       return;
     }
 
+    if (this.clients.get(ws)?.observer && !OBSERVER_MESSAGE_TYPES.includes(type)) {
+      this.countRejection(knownType);
+      this.sendError(ws, 'Observers cannot change the room');
+      return;
+    }
+
+    if (message.rseq !== undefined && !this.acceptReliable(ws, message.rseq)) return;
+
     switch (type) {
       case 'hello':
         this.handleHello(ws, message);
@@ -65,30 +254,110 @@ class MultiplayerServer {
       case 'event:plant':
         this.handlePlantEvent(ws, message);
         break;
+      case 'event:pick':
+      case 'event:remove':
+      case 'event:water':
+        this.handlePlantUpdateEvent(ws, message);
+        break;
+      case 'photo:chunk':
+        this.handlePhotoChunk(ws, message);
+        break;
+      case 'role:edit':
+        this.handleRoleEdit(ws, message);
+        break;
+      case 'emote':
+        this.handleEmote(ws, message);
+        break;
+      case 'fauna:sync':
+        this.handleFaunaSync(ws, message);
+        break;
+      case 'room:garden':
+        this.handleRoomGarden(ws, message);
+        break;
       case 'pong':
         this.handlePong(ws);
         break;
+      case 'clock:ping':
+        this.handleClockPing(ws, message);
+        break;
       default:
         console.warn(`Unknown message type: ${type}`);
     }
   }
 
   handleHello(ws, message) {
-    const { clientId, room = 'default' } = message;
+    const {
+      clientId,
+      room = 'default',
+      snapshotFormats,
+      password,
+      roomKey,
+      name,
+      color,
+      sessionToken,
+      lastSeq,
+      observer = false,
+    } = message;
 
     if (!clientId) {
+      this.countRejection('hello');
       this.sendError(ws, 'clientId required');
       return;
     }
+    if (!this.isValidRoomId(room)) {
+      this.countRejection('hello');
+      this.sendError(ws, 'Invalid room');
+      return;
+    }
+
+    const roomState = this.roomStates.get(room);
+    if (roomState && roomState.password && !this.checkPassword(password, roomState.password)) {
+      this.rejectClient(ws, CLOSE_CODES.BAD_PASSWORD, 'Wrong room password');
+      return;
+    }
+
+    // Presence and roles go by clientId, which every player in the room sees,
+    // so only the session holding it may take it over
+    const ownsSession = this.ownsSession(sessionToken, clientId, room);
+    if (!ownsSession && this.isClientIdTaken(clientId, room)) {
+      this.countRejection('hello');
+      this.rejectClient(ws, CLOSE_CODES.CLIENT_ID_TAKEN, 'clientId is already in use');
+      return;
+    }
+
+    const resumed = this.canResumeSession(sessionToken, clientId, room, lastSeq);
+    // The session proves this is the same player, whose old socket may not have timed out yet
+    if (ownsSession) this.dropStaleConnection(clientId, room, ws);
+
+    // Observers do not take a player's place
+    const playerCount = this.getPlayers(room).length;
+    if (!observer && roomState && roomState.capacity && playerCount >= roomState.capacity) {
+      this.rejectClient(ws, CLOSE_CODES.ROOM_FULL, 'Room is full');
+      return;
+    }
 
     // Clean up any existing connection for this client
     this.cleanupClient(ws);
 
+    const token = resumed ? sessionToken : this.createSession(clientId, room);
+    this.sessions.get(token).expiresAt = Infinity;
+
     // Register client
     this.clients.set(ws, {
       clientId,
+      observer: observer === true, // watches the room without a presence in it, e.g. the spectator page
+      name: this.sanitizeDisplayName(name) || 'Guest',
+      color: this.sanitizeColor(color),
       room,
+      sessionToken: token,
       lastPing: Date.now(),
+      connectedAt: Date.now(),
+      snapshotFormat: this.negotiateSnapshotFormat(snapshotFormats),
+      headPosition: null, // from the client's latest snapshot
+      farSnapshotTimes: new Map(), // clientId of a far player -> when its last snapshot was forwarded
+      photo: new PhotoAssembler(), // chunks of the photo being shared
+      lastEmote: 0, // when the client's last emote was forwarded
+      lastFaunaSync: 0, // when the client's last fauna:sync was forwarded
     });
 
     // Add to room
@@ -97,19 +366,33 @@ class MultiplayerServer {
     }
     this.rooms.get(room).add(ws);
 
-    console.log(`Client ${clientId} joined room ${room}`);
+    console.log(`Client ${clientId} ${resumed ? 'resumed its session in' : 'joined'} room ${room}`);
+    this.markRoomChanged(room);
 
-    // Notify others in the room
-    this.broadcastToRoom(
-      room,
-      {
-        v: 1,
-        type: 'join',
-        clientId,
-        timestamp: Date.now(),
-      },
-      ws,
-    );
+    // Notify others in the room, observers stay out of sight
+    const { name: displayName, color: avatarColor, observer: isObserver } = this.clients.get(ws);
+    if (!isObserver) {
+      this.broadcastEvent(
+        room,
+        {
+          v: 1,
+          type: 'join',
+          clientId,
+          name: displayName,
+          color: avatarColor,
+          timestamp: Date.now(),
+        },
+        ws,
+      );
+
+      // The holder of the room key always hosts, otherwise the first player in
+      const storedKey = this.getRoomState(room).roomKey;
+      const holdsRoomKey = !!storedKey && this.checkPassword(roomKey, storedKey);
+      if (holdsRoomKey || !this.isHostPresent(room)) {
+        // the new client gets the roles with the rest of the room state below
+        this.setHost(room, clientId, ws);
+      }
+    }
 
     // Confirm connection
     this.send(ws, {
@@ -117,30 +400,212 @@ class MultiplayerServer {
       type: 'hello_ack',
       clientId,
       room,
+      snapshotFormat: this.clients.get(ws).snapshotFormat,
+      aoiRadius: AOI_RADIUS,
+      sessionToken: token,
+      resumed,
+      roomSeq: this.getRoomState(room).seq,
     });
+
+    if (resumed) {
+      // Everything the client missed, its room state is otherwise still current
+      this.getRoomState(room).eventLog.forEach(({ seq, type, data }) => {
+        if (seq <= lastSeq || ws.readyState !== ws.OPEN) return;
+        ws.send(data);
+        this.countSent(type);
+      });
+      this.sendRoles(ws, room);
+      return;
+    }
+
+    // Introduce the players that are already here
+    this.rooms.get(room).forEach((peer) => {
+      const peerClient = this.clients.get(peer);
+      if (peer === ws || peerClient.observer) return;
+      this.send(ws, {
+        v: 1,
+        type: 'join',
+        clientId: peerClient.clientId,
+        name: peerClient.name,
+        color: peerClient.color,
+        timestamp: peerClient.connectedAt,
+      });
+    });
+
+    // Bring the new client up to date with the room's garden
+    this.send(ws, {
+      v: 1,
+      type: 'state:sync',
+      plants: this.getActivePlants(room),
+      garden: this.getRoomGarden(room),
+    });
+    this.sendRoles(ws, room);
   }
 
-  handleSnapshot(ws, message) {
+  /**
+   * Pick the first snapshot format offered by the client that the relay
+   * understands. Clients that offer nothing get JSON.
+   */
+  negotiateSnapshotFormat(snapshotFormats) {
+    if (!Array.isArray(snapshotFormats)) return SNAPSHOT_FORMATS.JSON;
+    const supported = Object.values(SNAPSHOT_FORMATS);
+    return snapshotFormats.find((format) => supported.includes(format)) || SNAPSHOT_FORMATS.JSON;
+  }
+
+  /**
+   * @returns {string} token the client presents in hello to resume this session
+   */
+  createSession(clientId, room) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, { clientId, room, expiresAt: Infinity, lastReliableSeq: 0 });
+    return token;
+  }
+
+  /**
+   * Reliable channel: clients number their garden edits and photo chunks
+   * (rseq) and send them again until they are acknowledged. Each message is
+   * processed once and in order, the count carries over a resumed session.
+   * @returns {boolean} whether the message should be processed
+   */
+  acceptReliable(ws, rseq) {
     const client = this.clients.get(ws);
-    if (!client) {
-      this.sendError(ws, 'Not authenticated');
-      return;
+    const session = client && this.sessions.get(client.sessionToken);
+    // the handler turns away clients that have not sent hello
+    if (!session) return true;
+    const accepted = rseq === session.lastReliableSeq + 1;
+    if (accepted) {
+      session.lastReliableSeq = rseq;
+    } else {
+      this.metrics.inc('multiplayer_reliable_discarded_total');
     }
+    // acknowledged before it is handled, rejected messages are not sent again either
+    this.send(ws, { v: 1, type: 'ack', rseq: session.lastReliableSeq });
+    return accepted;
+  }
+
+  /**
+   * @returns {boolean} whether the session token is a live session of this
+   * clientId in the room
+   */
+  ownsSession(sessionToken, clientId, room) {
+    const session = this.sessions.get(sessionToken);
+    return !!session && session.clientId === clientId && session.room === room && session.expiresAt >= Date.now();
+  }
+
+  /**
+   * @returns {boolean} whether a clientId is connected to the room, holds a
+   * role in it or has a session there that can still be resumed
+   */
+  isClientIdTaken(clientId, room) {
+    const roomState = this.roomStates.get(room);
+    if (roomState && (roomState.hostId === clientId || roomState.editors.has(clientId))) return true;
+    if (this.isClientInRoom(room, clientId)) return true;
+    const now = Date.now();
+    return Array.from(this.sessions.values()).some(
+      (session) => session.clientId === clientId && session.room === room && session.expiresAt >= now,
+    );
+  }
+
+  /**
+   * A session can be resumed within SESSION_TTL of its disconnect, as long as
+   * the room's event log still holds every event after lastSeq
+   */
+  canResumeSession(sessionToken, clientId, room, lastSeq) {
+    if (!this.ownsSession(sessionToken, clientId, room)) return false;
+    const { seq, eventLog } = this.getRoomState(room);
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq) return false;
+    const firstSeq = eventLog.length > 0 ? eventLog[0].seq : seq + 1;
+    return lastSeq >= firstSeq - 1;
+  }
+
+  /**
+   * Start the expiry of a client's session once its connection is gone
+   */
+  releaseSession(client) {
+    const session = this.sessions.get(client.sessionToken);
+    if (session) session.expiresAt = Date.now() + SESSION_TTL;
+  }
 
+  /**
+   * Drop the previous connection of a resuming client without telling the
+   * room it left
+   */
+  dropStaleConnection(clientId, room, ws) {
+    const roomClients = this.rooms.get(room);
+    if (!roomClients) return;
+    roomClients.forEach((peer) => {
+      if (peer === ws || this.clients.get(peer)?.clientId !== clientId) return;
+      this.cleanupClient(peer);
+      peer.terminate();
+    });
+  }
+
+  /**
+   * Applies the rate limit shared by JSON and binary snapshots
+   * @returns {boolean} whether the snapshot should be dropped
+   */
+  isSnapshotRateLimited(client) {
     // Rate limit: max 25 Hz (40ms intervals)
     const now = Date.now();
     if (client.lastSnapshot && now - client.lastSnapshot < 40) {
-      return; // Drop message
+      this.metrics.inc('multiplayer_snapshots_rate_limited_total');
+      return true;
     }
     client.lastSnapshot = now;
+    return false;
+  }
+
+  handleSnapshot(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    if (this.isSnapshotRateLimited(client)) return; // Drop message
 
     // Validate and sanitize snapshot data
     const sanitized = this.sanitizeSnapshot(message);
-    if (!sanitized) return;
+    if (!sanitized) {
+      this.countRejection('snapshot');
+      return;
+    }
 
     // Add client ID and broadcast
     sanitized.clientId = client.clientId;
-    this.broadcastToRoom(client.room, sanitized, ws);
+    client.headPosition = sanitized.head.p;
+    this.broadcastSnapshot(client.room, { json: sanitized }, ws);
+  }
+
+  handleBinarySnapshot(ws, data) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    if (client.observer) {
+      this.countRejection('snapshot');
+      this.sendError(ws, 'Observers cannot change the room');
+      return;
+    }
+
+    // Frames are decoded and sanitized like JSON snapshots, and encoded again
+    // for the clients that take binary, so both formats follow the same rules
+    const frame = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const decoded = decodeSnapshot(frame);
+    if (!decoded) {
+      this.countRejection('snapshot');
+      this.sendError(ws, 'Invalid snapshot frame');
+      return;
+    }
+
+    if (this.isSnapshotRateLimited(client)) return; // Drop message
+
+    const sanitized = this.sanitizeSnapshot(decoded);
+    sanitized.clientId = client.clientId;
+    client.headPosition = sanitized.head.p;
+    this.broadcastSnapshot(client.room, { json: sanitized }, ws);
   }
 
   handlePlantEvent(ws, message) {
@@ -151,24 +616,362 @@ class MultiplayerServer {
     }
 
     // Validate plant event
-    const { plantType, pos, quat, t } = message;
-    if (!plantType || !pos || !quat) {
+    const { netId, plantType, pos, quat, scale, scaleMultiplier, restored, t } = message;
+    if (!this.isValidNetId(netId) || !isValidPlantType(plantType) || !pos || !quat) {
+      this.countRejection('event:plant');
       this.sendError(ws, 'Invalid plant event data');
       return;
     }
+    if (!this.canEdit(client)) {
+      this.metrics.inc('multiplayer_edits_denied_total', { type: 'event:plant' });
+      this.sendPlantResult(ws, { netId, accepted: false, reason: 'No edit rights' });
+      return;
+    }
+
+    const roomState = this.getRoomState(client.room);
+    const existing = roomState.plants.get(netId);
+    if (existing) {
+      // sent again in a new session, the plant was accepted before
+      if (existing.clientId === client.clientId) {
+        this.sendPlantResult(ws, { netId, accepted: true, pos: existing.pos });
+      } else {
+        this.sendPlantResult(ws, { netId, accepted: false, reason: 'Duplicate plant id' });
+      }
+      return;
+    }
+    if (roomState.plants.size >= MAX_ROOM_PLANTS) {
+      this.sendPlantResult(ws, { netId, accepted: false, reason: 'Room plant limit reached' });
+      return;
+    }
 
     // Sanitize position and rotation
     const sanitized = {
       v: 1,
       type: 'event:plant',
       clientId: client.clientId,
+      netId,
       plantType,
       pos: this.clampVector3(pos),
       quat: this.clampQuaternion(quat),
+      scale: scale ? this.clampVector3(scale) : null,
       t: t || Date.now(),
     };
+    // Undo and redo bring plants back grown, at the size they had
+    if (restored === true) {
+      sanitized.restored = true;
+      sanitized.scaleMultiplier = this.clampScaleMultiplier(scaleMultiplier);
+    }
+
+    // Two players planting on the same spot: the plant that reached the relay
+    // first stays, the other one is moved aside or denied
+    const standingPlants = this.getActivePlants(client.room);
+    const conflict = findPlantConflict(sanitized, standingPlants);
+    if (conflict) {
+      const nudged = nudgePlant(sanitized, conflict, standingPlants);
+      if (!nudged) {
+        this.metrics.inc('multiplayer_plant_conflicts_total', { outcome: 'denied' });
+        this.sendPlantResult(ws, { netId, accepted: false, reason: 'Too close to another plant' });
+        return;
+      }
+      this.metrics.inc('multiplayer_plant_conflicts_total', { outcome: 'nudged' });
+      sanitized.pos = this.clampVector3(nudged);
+    }
+
+    roomState.plants.set(netId, {
+      clientId: sanitized.clientId,
+      netId,
+      plantType: sanitized.plantType,
+      pos: sanitized.pos,
+      quat: sanitized.quat,
+      scale: sanitized.scale,
+      scaleMultiplier: sanitized.scaleMultiplier ?? 1,
+      picked: false,
+      t: sanitized.t,
+    });
+    this.markRoomChanged(client.room);
+
+    this.sendPlantResult(ws, { netId, accepted: true, pos: sanitized.pos });
+    this.broadcastEvent(client.room, sanitized, ws);
+  }
+
+  /**
+   * The relay's verdict on an event:plant, so the planter can move its plant
+   * to the accepted position or take it back
+   * @param {WebSocket} ws - the planter
+   * @param {{ netId: string, accepted: boolean, pos?: Object, reason?: string }} result
+   */
+  sendPlantResult(ws, result) {
+    this.send(ws, { v: 1, type: 'plant:result', ...result });
+  }
+
+  /**
+   * Handles event:pick, event:remove and event:water, which all target an
+   * existing plant of the room by its network id.
+   */
+  handlePlantUpdateEvent(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    const { type, netId, t } = message;
+    if (!this.isValidNetId(netId)) {
+      this.countRejection(type);
+      this.sendError(ws, `Invalid ${type} event data`);
+      return;
+    }
+    if (!this.canEdit(client)) {
+      this.metrics.inc('multiplayer_edits_denied_total', { type });
+      this.sendError(ws, 'No edit rights');
+      return;
+    }
+
+    const roomState = this.getRoomState(client.room);
+    const plant = roomState.plants.get(netId);
+    if (!plant) {
+      this.sendError(ws, `Unknown plant ${netId}`);
+      return;
+    }
+
+    const sanitized = {
+      v: 1,
+      type,
+      clientId: client.clientId,
+      netId,
+      t: t || Date.now(),
+    };
+
+    switch (type) {
+      case 'event:pick':
+        if (plant.picked) {
+          this.sendError(ws, `Plant ${netId} was already picked`);
+          return;
+        }
+        plant.picked = true;
+        break;
+      case 'event:remove':
+        roomState.plants.delete(netId);
+        break;
+      case 'event:water': {
+        const { scaleMultiplier } = message;
+        if (plant.picked || !Number.isFinite(scaleMultiplier)) {
+          this.countRejection(type);
+          this.sendError(ws, 'Invalid event:water event data');
+          return;
+        }
+        const requested = this.clampScaleMultiplier(scaleMultiplier);
+        if (message.undo === true) {
+          // Only the last player who watered the plant may shrink it back, and
+          // not below the size it had before they watered it
+          const { lastWatering } = plant;
+          if (!lastWatering || lastWatering.clientId !== client.clientId) {
+            this.countRejection(type);
+            this.sendError(ws, `Cannot undo watering of plant ${netId}`);
+            return;
+          }
+          plant.scaleMultiplier = Math.min(plant.scaleMultiplier, Math.max(lastWatering.scaleMultiplier, requested));
+          sanitized.undo = true;
+        } else {
+          // Watering only ever grows a plant
+          if (requested > plant.scaleMultiplier && plant.lastWatering?.clientId !== client.clientId) {
+            plant.lastWatering = { clientId: client.clientId, scaleMultiplier: plant.scaleMultiplier };
+          }
+          plant.scaleMultiplier = Math.max(plant.scaleMultiplier, requested);
+        }
+        sanitized.scaleMultiplier = plant.scaleMultiplier;
+        break;
+      }
+    }
+    this.markRoomChanged(client.room);
+
+    this.broadcastEvent(client.room, sanitized, ws);
+  }
+
+  /**
+   * Collect the chunks of a shared photo and forward them to the room once
+   * the photo is complete. Photos are not part of the room state and are not
+   * replayed to resuming clients.
+   */
+  handlePhotoChunk(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    const { photoId, index, count, data, pos } = message;
+    const sanitized = {
+      v: 1,
+      type: 'photo:chunk',
+      clientId: client.clientId,
+      photoId,
+      index,
+      count,
+      data,
+    };
+    if (index === 0) sanitized.pos = this.clampVector3(pos);
+
+    // PhotoAssembler enforces the chunk order, chunk size and photo size caps
+    if (!client.photo.add(sanitized)) {
+      this.countRejection('photo:chunk');
+      this.sendError(ws, 'Invalid photo:chunk data');
+      return;
+    }
+    if (!client.photo.isComplete) return;
+
+    client.photo.chunks.forEach((chunk) => this.broadcastToRoom(client.room, chunk, ws));
+    client.photo.reset();
+  }
+
+  /**
+   * Forward an emote to the room:
+   *   { type: 'emote', emote }
+   * Emotes are fleeting, so they are neither sequenced nor replayed.
+   */
+  handleEmote(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    const { emote } = message;
+    if (!isValidEmote(emote)) {
+      this.countRejection('emote');
+      this.sendError(ws, 'Invalid emote data');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - client.lastEmote < MIN_EMOTE_INTERVAL) return; // Drop message
+    client.lastEmote = now;
 
-    this.broadcastToRoom(client.room, sanitized, ws);
+    this.broadcastToRoom(client.room, { v: 1, type: 'emote', clientId: client.clientId, emote }, ws);
+  }
+
+  /**
+   * Forward the host's fauna to the room, so everyone sees it in the same
+   * places (see src/js/lib/net/FaunaSync.js). A sync is superseded by the
+   * next one, so it is neither sequenced nor replayed.
+   */
+  handleFaunaSync(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    // a sync sent just before the host changed
+    if (this.getRoomState(client.room).hostId !== client.clientId) return;
+
+    const now = Date.now();
+    if (now - client.lastFaunaSync < MIN_FAUNA_SYNC_INTERVAL) return; // Drop message
+
+    const sanitized = sanitizeFaunaSync(message);
+    if (!sanitized) {
+      this.countRejection('fauna:sync');
+      this.sendError(ws, 'Invalid fauna:sync data');
+      return;
+    }
+    client.lastFaunaSync = now;
+
+    this.broadcastToRoom(client.room, { v: 1, type: 'fauna:sync', clientId: client.clientId, ...sanitized }, ws);
+  }
+
+  /**
+   * The host opens the room with one of its saved gardens:
+   *   { type: 'room:garden', gardenId, objects }
+   * objects is the garden's SavableObject data (see
+   * src/js/lib/net/RoomGarden.js). Its plants replace the room's.
+   */
+  handleRoomGarden(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    const roomState = this.getRoomState(client.room);
+    if (roomState.hostId !== client.clientId) {
+      this.sendError(ws, 'Only the host can open the room with a garden');
+      return;
+    }
+    const garden = sanitizeRoomGarden(message);
+    if (!garden) {
+      this.countRejection('room:garden');
+      this.sendError(ws, 'Invalid room:garden data');
+      return;
+    }
+
+    const t = Date.now();
+    roomState.plants = new Map(
+      getRoomGardenPlants(garden.objects).map((plant) => [
+        plant.netId,
+        {
+          clientId: client.clientId,
+          netId: plant.netId,
+          plantType: plant.plantType,
+          pos: this.clampVector3(plant.pos),
+          quat: this.clampQuaternion(plant.quat),
+          scale: this.clampVector3(plant.scale),
+          scaleMultiplier: this.clampScaleMultiplier(plant.scaleMultiplier),
+          picked: false,
+          t,
+        },
+      ]),
+    );
+    roomState.garden = garden;
+    console.log(`Client ${client.clientId} opened room ${client.room} with garden ${garden.gardenId}`);
+    this.markRoomChanged(client.room);
+
+    this.broadcastEvent(client.room, { v: 1, type: 'room:garden', clientId: client.clientId, ...garden }, ws);
+  }
+
+  /**
+   * The garden the room was opened with, down to the plants that are still
+   * standing. Plants added since are in the room's plants.
+   * @returns {{ gardenId: string, objects: Object[] }|null}
+   */
+  getRoomGarden(roomId) {
+    const { garden } = this.getRoomState(roomId);
+    if (!garden) return null;
+    const netIds = new Set(this.getActivePlants(roomId).map((plant) => plant.netId));
+    return {
+      gardenId: garden.gardenId,
+      objects: garden.objects.filter((object) => netIds.has(object.NetworkedPlantComponent.netId)),
+    };
+  }
+
+  /**
+   * The host grants or revokes a guest's edit rights:
+   *   { type: 'role:edit', clientId, canEdit }
+   */
+  handleRoleEdit(ws, message) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      this.sendError(ws, 'Not authenticated');
+      return;
+    }
+
+    const { clientId, canEdit } = message;
+    const roomState = this.getRoomState(client.room);
+    if (roomState.hostId !== client.clientId) {
+      this.sendError(ws, 'Only the host can change edit rights');
+      return;
+    }
+    if (typeof canEdit !== 'boolean' || !this.isClientInRoom(client.room, clientId) || clientId === client.clientId) {
+      this.countRejection('role:edit');
+      this.sendError(ws, 'Invalid role:edit data');
+      return;
+    }
+
+    if (canEdit) {
+      roomState.editors.add(clientId);
+    } else {
+      roomState.editors.delete(clientId);
+    }
+    this.broadcastRoles(client.room);
   }
 
   handlePong(ws) {
@@ -178,11 +981,19 @@ class MultiplayerServer {
     }
   }
 
+  /**
+   * Answer a client's clock sync probe with the relay time; allowed before hello
+   */
+  handleClockPing(ws, { clientTime }) {
+    if (!Number.isFinite(clientTime)) return;
+    this.send(ws, { v: 1, type: 'clock:pong', clientTime, serverTime: Date.now() });
+  }
+
   handleDisconnect(ws) {
     const client = this.clients.get(ws);
     if (!client) return;
 
-    const { clientId, room } = client;
+    const { clientId, room, observer } = client;
     console.log(`Client ${clientId} disconnected from room ${room}`);
 
     // Remove from room
@@ -191,19 +1002,32 @@ class MultiplayerServer {
       roomClients.delete(ws);
       if (roomClients.size === 0) {
         this.rooms.delete(room);
-      } else {
-        // Notify others
-        this.broadcastToRoom(room, {
-          v: 1,
-          type: 'leave',
-          clientId,
-          timestamp: Date.now(),
-        });
       }
+      roomClients.forEach((peer) => this.clients.get(peer)?.farSnapshotTimes.delete(clientId));
+    }
+
+    // Notify others, logged even in an empty room for players resuming later
+    if (!observer) {
+      this.broadcastEvent(room, {
+        v: 1,
+        type: 'leave',
+        clientId,
+        timestamp: Date.now(),
+      });
+    }
+
+    // Hand the room to the player who has been here longest
+    if (this.getRoomState(room).hostId === clientId) {
+      const successor = this.getPlayers(room).sort((a, b) => a.connectedAt - b.connectedAt)[0];
+      this.setHost(room, successor ? successor.clientId : null);
     }
 
     // Clean up client
+    this.releaseSession(client);
     this.clients.delete(ws);
+
+    // Idle time is counted from the last player leaving
+    this.markRoomChanged(room);
   }
 
   cleanupClient(ws) {
@@ -213,10 +1037,235 @@ class MultiplayerServer {
       if (room) {
         room.delete(ws);
       }
+      this.releaseSession(client);
       this.clients.delete(ws);
     }
   }
 
+  getRoomState(roomId) {
+    // Room state outlives the connections so players can drop in and out
+    if (!this.roomStates.has(roomId)) {
+      this.roomStates.set(roomId, {
+        plants: new Map(),
+        lastActive: Date.now(),
+        capacity: null,
+        password: null,
+        roomKey: null,
+        garden: null,
+        seq: 0,
+        eventLog: [],
+        hostId: null,
+        editors: new Set(),
+      });
+    }
+    return this.roomStates.get(roomId);
+  }
+
+  /**
+   * @returns {Object[]} the clients in a room, without observers
+   */
+  getPlayers(roomId) {
+    return Array.from(this.rooms.get(roomId) || [])
+      .map((ws) => this.clients.get(ws))
+      .filter((client) => client && !client.observer);
+  }
+
+  isClientInRoom(roomId, clientId) {
+    return this.getPlayers(roomId).some((client) => client.clientId === clientId);
+  }
+
+  isHostPresent(roomId) {
+    const { hostId } = this.getRoomState(roomId);
+    return hostId !== null && this.isClientInRoom(roomId, hostId);
+  }
+
+  /**
+   * Make a player the host of a room, or leave it without one. The previous
+   * host keeps edit rights. Roles are not persisted, they only last while
+   * the room has players.
+   * @param {string|null} clientId
+   * @param {WebSocket|null} exclude - connection not to tell
+   */
+  setHost(roomId, clientId, exclude = null) {
+    const roomState = this.getRoomState(roomId);
+    if (roomState.hostId === clientId) return;
+    if (clientId === null) {
+      // the last player left, whoever comes next starts over as host
+      roomState.editors.clear();
+    } else {
+      if (roomState.hostId !== null) roomState.editors.add(roomState.hostId);
+      roomState.editors.delete(clientId);
+      console.log(`Client ${clientId} is now the host of room ${roomId}`);
+    }
+    roomState.hostId = clientId;
+    this.broadcastRoles(roomId, exclude);
+  }
+
+  /**
+   * Guests only tour the garden unless the host granted them edit rights
+   */
+  canEdit(client) {
+    const { hostId, editors } = this.getRoomState(client.room);
+    return hostId === client.clientId || editors.has(client.clientId);
+  }
+
+  createRolesMessage(roomId) {
+    const { hostId, editors } = this.getRoomState(roomId);
+    return { v: 1, type: 'roles', hostId, editors: Array.from(editors) };
+  }
+
+  /**
+   * Sequenced like garden edits, so resuming players catch up on role changes
+   */
+  broadcastRoles(roomId, exclude = null) {
+    this.broadcastEvent(roomId, this.createRolesMessage(roomId), exclude);
+  }
+
+  sendRoles(ws, roomId) {
+    this.send(ws, this.createRolesMessage(roomId));
+  }
+
+  /**
+   * Record activity in a room and hand its state to the room store
+   */
+  markRoomChanged(roomId) {
+    const roomState = this.getRoomState(roomId);
+    roomState.lastActive = Date.now();
+    this.roomStore.save(roomId, {
+      roomId,
+      plants: Array.from(roomState.plants.values()),
+      lastActive: roomState.lastActive,
+      capacity: roomState.capacity,
+      password: roomState.password,
+      roomKey: roomState.roomKey,
+      garden: roomState.garden,
+    });
+  }
+
+  /**
+   * @returns {string} salted scrypt hash, as stored in the room state
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+  }
+
+  checkPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+    // a stored value that is not salt:hash matches no password
+    const [salt, hash] = stored.split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    if (expected.length === 0) return false;
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Tell a client why it cannot stay, then close the socket with a code that
+   * stops it from reconnecting
+   */
+  rejectClient(ws, code, reason) {
+    // A kicked player has to join again rather than resume
+    const client = this.clients.get(ws);
+    if (client) this.sessions.delete(client.sessionToken);
+    this.sendError(ws, reason);
+    ws.close(code, reason);
+  }
+
+  // Admin API
+
+  listRooms() {
+    return Array.from(this.roomStates.keys()).map((roomId) => {
+      const { clients, ...summary } = this.getRoomDetails(roomId);
+      return { ...summary, clientCount: clients.length };
+    });
+  }
+
+  getRoomDetails(roomId) {
+    const roomState = this.roomStates.get(roomId);
+    if (!roomState) return null;
+    const roomClients = this.rooms.get(roomId) || new Set();
+    return {
+      roomId,
+      plantCount: this.getActivePlants(roomId).length,
+      lastActive: roomState.lastActive,
+      capacity: roomState.capacity,
+      hasPassword: !!roomState.password,
+      hasRoomKey: !!roomState.roomKey,
+      gardenId: roomState.garden?.gardenId ?? null,
+      hostId: roomState.hostId,
+      clients: Array.from(roomClients).map((ws) => {
+        const client = this.clients.get(ws);
+        const { clientId, observer, name, color, lastPing, connectedAt } = client;
+        return { clientId, observer, name, color, lastPing, connectedAt, canEdit: this.canEdit(client) };
+      }),
+    };
+  }
+
+  updateRoomSettings(roomId, { capacity, password, roomKey }) {
+    const roomState = this.getRoomState(roomId);
+    if (capacity !== undefined) roomState.capacity = capacity;
+    if (password !== undefined) roomState.password = password ? this.hashPassword(password) : null;
+    if (roomKey !== undefined) roomState.roomKey = roomKey ? this.hashPassword(roomKey) : null;
+    this.markRoomChanged(roomId);
+  }
+
+  kickClient(roomId, clientId) {
+    const roomClients = this.rooms.get(roomId);
+    if (!roomClients) return false;
+    const ws = Array.from(roomClients).find((socket) => this.clients.get(socket).clientId === clientId);
+    if (!ws) return false;
+    console.log(`Kicking client ${clientId} from room ${roomId}`);
+    this.rejectClient(ws, CLOSE_CODES.KICKED, 'Kicked by an admin');
+    return true;
+  }
+
+  /**
+   * Disconnect everyone in a room. The garden itself is kept.
+   * @returns {number} number of disconnected clients
+   */
+  closeRoom(roomId) {
+    const roomClients = Array.from(this.rooms.get(roomId) || []);
+    console.log(`Closing room ${roomId}`);
+    roomClients.forEach((ws) => this.rejectClient(ws, CLOSE_CODES.ROOM_CLOSED, 'Room closed by an admin'));
+    return roomClients.length;
+  }
+
+  getActivePlants(roomId) {
+    return Array.from(this.getRoomState(roomId).plants.values()).filter((plant) => !plant.picked);
+  }
+
+  isValidRoomId(roomId) {
+    return typeof roomId === 'string' && roomId.length > 0 && roomId.length <= MAX_ROOM_ID_LENGTH && ROOM_ID_PATTERN.test(roomId);
+  }
+
+  isValidNetId(netId) {
+    return typeof netId === 'string' && netId.length > 0 && netId.length <= MAX_NET_ID_LENGTH;
+  }
+
+  /**
+   * Display names are shown on nameplates to everyone in the room. Keep
+   * printable Latin-1 characters (what the nameplate font covers), collapse
+   * whitespace and cap the length.
+   */
+  sanitizeDisplayName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+      .normalize('NFC')
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_DISPLAY_NAME_LENGTH)
+      .trim();
+  }
+
+  sanitizeColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)
+      ? color.toLowerCase()
+      : DEFAULT_AVATAR_COLOR;
+  }
+
   sanitizeSnapshot(message) {
     const { t, head, lh, rh } = message;
 
@@ -225,7 +1274,9 @@ class MultiplayerServer {
     return {
       v: 1,
       type: 'snapshot',
-      t: t || Date.now(),
+      t: Number.isFinite(t) && t > 0 ? t : Date.now(),
+      mode: Number.isInteger(message.mode) && message.mode >= 0 && message.mode <= 255 ? message.mode : 0,
+      plantGroup: this.sanitizePlantGroup(message.plantGroup),
       head: {
         p: this.clampVector3(head.p),
         q: this.clampQuaternion(head.q),
@@ -233,14 +1284,35 @@ class MultiplayerServer {
       lh: {
         p: this.clampVector3(lh.p),
         q: this.clampQuaternion(lh.q),
+        ...this.sanitizeHandPose(lh),
       },
       rh: {
         p: this.clampVector3(rh.p),
         q: this.clampQuaternion(rh.q),
+        ...this.sanitizeHandPose(rh),
       },
     };
   }
 
+  sanitizeHandPose({ pose, f }) {
+    const fingers = Array.isArray(f) ? f : [];
+    return {
+      pose: HAND_POSES.includes(pose) ? pose : HAND_POSES[0],
+      f: [0, 1, 2].map((i) => {
+        const value = Number(fingers[i]);
+        return Number.isFinite(value) ? Math.max(0, Math.min(1, Math.round(value * 1000) / 1000)) : 0;
+      }),
+    };
+  }
+
+  sanitizePlantGroup(plantGroup) {
+    return typeof plantGroup === 'string' &&
+      plantGroup.length <= MAX_PLANT_GROUP_LENGTH &&
+      /^[a-z0-9_]*$/i.test(plantGroup)
+      ? plantGroup
+      : '';
+  }
+
   clampVector3(vec) {
     if (!vec || typeof vec.x !== 'number') return { x: 0, y: 0, z: 0 };
     return {
@@ -250,6 +1322,11 @@ class MultiplayerServer {
     };
   }
 
+  clampScaleMultiplier(scaleMultiplier) {
+    if (!Number.isFinite(scaleMultiplier)) return 1;
+    return Math.max(1, Math.min(MAX_SCALE_MULTIPLIER, Math.round(scaleMultiplier * 1000) / 1000));
+  }
+
   clampQuaternion(quat) {
     if (!quat || typeof quat.x !== 'number') return { x: 0, y: 0, z: 0, w: 1 };
     return {
@@ -260,6 +1337,19 @@ class MultiplayerServer {
     };
   }
 
+  /**
+   * Broadcast a room event with the room's next sequence number, and keep it
+   * in the room's event log so resuming clients can catch up on it
+   */
+  broadcastEvent(roomId, message, exclude = null) {
+    const roomState = this.getRoomState(roomId);
+    roomState.seq++;
+    const sequenced = { ...message, seq: roomState.seq };
+    roomState.eventLog.push({ seq: roomState.seq, type: message.type, data: JSON.stringify(sequenced) });
+    if (roomState.eventLog.length > MAX_EVENT_LOG) roomState.eventLog.shift();
+    this.broadcastToRoom(roomId, sequenced, exclude);
+  }
+
   broadcastToRoom(roomId, message, exclude = null) {
     const roomClients = this.rooms.get(roomId);
     if (!roomClients) return;
@@ -268,13 +1358,71 @@ class MultiplayerServer {
     roomClients.forEach((client) => {
       if (client !== exclude && client.readyState === client.OPEN) {
         client.send(messageStr);
+        this.countSent(message.type);
       }
     });
   }
 
+  /**
+   * Area of interest: whether a snapshot of sender should be forwarded to
+   * receiver now. Players within AOI_RADIUS get every snapshot, the others a
+   * throttled stream so they still know roughly where everyone is.
+   */
+  isInterested(receiver, sender, now) {
+    if (!(AOI_RADIUS > 0) || !sender || !receiver) return true;
+    const a = sender.headPosition;
+    const b = receiver.headPosition;
+    // until both have reported a position
+    if (!a || !b) return true;
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    if (dx * dx + dy * dy + dz * dz <= AOI_RADIUS * AOI_RADIUS) return true;
+
+    const lastSent = receiver.farSnapshotTimes.get(sender.clientId) || 0;
+    if (now - lastSent < 1000 / AOI_FAR_RATE) {
+      this.metrics.inc('multiplayer_snapshots_throttled_total');
+      return false;
+    }
+    receiver.farSnapshotTimes.set(sender.clientId, now);
+    return true;
+  }
+
+  /**
+   * Send a snapshot to every client of a room in the format it negotiated,
+   * filtered by area of interest. Each encoding is produced at most once per
+   * snapshot.
+   * @param {string} roomId
+   * @param {{ json?: Object, binary?: Uint8Array }} snapshot - at least one encoding
+   * @param {WebSocket} exclude - the sender
+   */
+  broadcastSnapshot(roomId, snapshot, exclude = null) {
+    const roomClients = this.rooms.get(roomId);
+    if (!roomClients) return;
+
+    const sender = this.clients.get(exclude);
+    const now = Date.now();
+    let jsonStr = null;
+    let binary = snapshot.binary || null;
+    roomClients.forEach((ws) => {
+      if (ws === exclude || ws.readyState !== ws.OPEN) return;
+      const client = this.clients.get(ws);
+      if (!this.isInterested(client, sender, now)) return;
+      if (client && client.snapshotFormat === SNAPSHOT_FORMATS.BINARY) {
+        if (!binary) binary = new Uint8Array(encodeSnapshot(snapshot.json, snapshot.json.clientId));
+        ws.send(binary);
+      } else {
+        if (!jsonStr) jsonStr = JSON.stringify(snapshot.json || decodeSnapshot(binary));
+        ws.send(jsonStr);
+      }
+      this.countSent('snapshot');
+    });
+  }
+
   send(ws, message) {
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify(message));
+      this.countSent(message.type);
     }
   }
 
@@ -299,6 +1447,7 @@ class MultiplayerServer {
         // Check if client is stale (no pong in 60 seconds)
         if (now - client.lastPing > 60000) {
           console.log(`Terminating stale connection for client ${client.clientId}`);
+          this.metrics.inc('multiplayer_heartbeat_terminations_total');
           ws.terminate();
           return;
         }
@@ -308,6 +1457,26 @@ class MultiplayerServer {
       });
     }, HEARTBEAT_INTERVAL);
   }
+
+  startRoomExpiry() {
+    setInterval(() => {
+      const now = Date.now();
+
+      this.roomStates.forEach((roomState, roomId) => {
+        // Rooms with connected players never expire
+        if (this.rooms.has(roomId)) return;
+        if (now - roomState.lastActive < ROOM_IDLE_TIMEOUT) return;
+
+        console.log(`Expiring idle room ${roomId}`);
+        this.roomStates.delete(roomId);
+        this.roomStore.delete(roomId);
+      });
+
+      this.sessions.forEach((session, token) => {
+        if (session.expiresAt < now) this.sessions.delete(token);
+      });
+    }, ROOM_EXPIRY_INTERVAL);
+  }
 }
 
 // Start server
@@ -32,6 +32,7 @@ import {
 
 import { CapsuleColliderComponent } from './js/components/ColliderComponents';
 import { GameStateComponent } from './js/components/GameStateComponent';
+import { GardenHistoryComponent } from './js/components/GardenHistoryComponent';
 import { LoopingAudioComponent } from './js/components/AudioComponents';
 import { SessionComponent } from './js/components/SessionComponent';
 import { THREEGlobalComponent } from './js/components/THREEGlobalComponent';
@@ -149,6 +150,8 @@ prepare().then((xrdevice) => {
 
 		gameManager.addComponent(SessionComponent);
 
+		gameManager.addComponent(GardenHistoryComponent);
+
 		gameManager.addComponent(THREEGlobalComponent, {
 			renderer: renderer,
 			scene: scene,
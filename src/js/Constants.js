@@ -358,6 +358,8 @@ const SCREENSHOT_CAMERA_CONSTANTS = {
 	BUTTON_DEFAULT_COLOR: 0xffffff,
 	BUTTON_HIGHLIGHT_COLOR: 0xfff000,
 	PHOTO_EXPIRATION_TIME: 5,
+	// shared photos stay around longer so others have time to grab them
+	SHARED_PHOTO_EXPIRATION_TIME: 30,
 };
 
 const MODE_SELECTION_WHEEL_CONSTANTS = {
@@ -368,11 +370,49 @@ const MODE_SELECTION_WHEEL_CONSTANTS = {
 	TILE_FACE_COLOR_DEFAULT: 0xffffff,
 	TILE_FACE_COLOR_SELECTED: 0x79fcf2,
 	TILE_FACE_COLOR_HOVERED: 0xfaf084,
+	TILE_FACE_COLOR_DISABLED: 0x808080,
 	TILE_ENCLOSURE_COLOR: 0xd3d3d3,
 };
 
+const EMOTE_WHEEL_CONSTANTS = {
+	WHEEL_POSITION_OFFSET: new THREE.Vector3(0, 0, -0.2),
+	TILE_RING_RADIUS: 0.08, // meters from the center of the wheel to each tile
+	TILE_SIZE: 0.05,
+	// drawn with the system emoji font
+	ICONS: {
+		heart: '❤️',
+		wave: '👋',
+		thumbsup: '👍',
+		clap: '👏',
+	},
+	SFX: {
+		heart: 'CHOOSING_SEED',
+		wave: 'SEEDBOX_PAGINATE_NEXT',
+		thumbsup: 'PLANTING_SEED',
+		clap: 'CAMERA_SHUTTER',
+	},
+	BURST_PARTICLE_COUNT: 8,
+	BURST_PARTICLE_SIZE: 0.08,
+	BURST_DURATION: 1.5, // seconds
+	BURST_SPEED: 0.4, // meters per second, upwards
+	BURST_SPREAD: 0.15, // meters per second, sideways
+};
+
 const LONG_PRESS_DURATION = 0.5;
 
+const GARDEN_HISTORY_CONSTANTS = {
+	MAX_COMMANDS: 50, // oldest plants, picks and waterings are forgotten first
+	// below the mode tiles of the selection wheel
+	UNDO_TILE_POSITION: new THREE.Vector3(-0.045, -0.13, 0),
+	REDO_TILE_POSITION: new THREE.Vector3(0.045, -0.13, 0),
+	TILE_SIZE: 0.04,
+	// drawn with the system font
+	ICONS: {
+		undo: '\u21b6',
+		redo: '\u21b7',
+	},
+};
+
 const COLLISION_LAYERS = {
 	UNKNOWN: 0 << 0,
 	PLANT: 1 << 0,
@@ -533,6 +573,31 @@ const AERIAL_FAUNA_CONSTANTS = {
 	],
 };
 
+const SPECTATOR_CONSTANTS = {
+	// x and z of BASE_SCENE shown on the spectator map, the garden and its surroundings
+	MAP_MIN: new THREE.Vector2(-50, -50),
+	MAP_MAX: new THREE.Vector2(50, 50),
+	MAP_RESOLUTION: 1024, // pixels of the map's sides
+	MAP_CAMERA_HEIGHT: 200, // meters, above anything in the scene
+	PLAYER_MARKER_SIZE: 14, // pixels
+	PLANT_ICON_SIZE: 5, // pixels
+	// plant icons are colored by species, the part of the plant type before the variant
+	PLANT_COLORS: {
+		default: '#7cb342',
+		allium: '#ab47bc',
+		carnation: '#f06292',
+		cherryblossom: '#f8bbd0',
+		daffodil: '#fdd835',
+		lavender: '#9575cd',
+		nasturtium: '#ff7043',
+		pansy: '#7e57c2',
+		rose: '#e53935',
+		succulent: '#26a69a',
+		sunflower: '#ffb300',
+		tulip: '#ec407a',
+	},
+};
+
 const THREEJS_LAYERS = {
 	VIEWER_ONLY: 11,
 	SCREENSHOT_ONLY: 12,
@@ -553,10 +618,13 @@ export {
 	LOCALSTORAGE_KEYS,
 	SCREENSHOT_CAMERA_CONSTANTS,
 	MODE_SELECTION_WHEEL_CONSTANTS,
+	EMOTE_WHEEL_CONSTANTS,
 	LONG_PRESS_DURATION,
+	GARDEN_HISTORY_CONSTANTS,
 	COLLISION_LAYERS,
 	LOCOMOTION_VIGNETTE_CONSTATNTS,
 	WATER_FAUNA_CONSTANTS,
 	AERIAL_FAUNA_CONSTANTS,
+	SPECTATOR_CONSTANTS,
 	THREEJS_LAYERS,
 };
@@ -111,6 +111,8 @@ import { FaunaCreationSystem } from './systems/fauna/FaunaCreationSystem';
 import { FaunaMovementBoundSamplerSystem } from './devTools/FaunaMovementBoundSamplerSystem';
 import { GameStateComponent } from './components/GameStateComponent';
 import { GameStateUpdateSystem } from './systems/core/GameStateUpdateSystem';
+import { GardenHistoryComponent } from './components/GardenHistoryComponent';
+import { GardenHistorySystem } from './systems/plants/GardenHistorySystem';
 import { GardenManagementSystem } from './systems/landing-page/GardenManagementSystem';
 import { GazeFollowSystem } from './systems/ui/GazeFollowSystem';
 import { GazeFollowerComponent } from './components/GazeFollowerComponent';
@@ -181,8 +183,20 @@ import { StationaryFaunaComponent } from './components/StationaryFaunaComponent'
 import { StationaryFaunaSystem } from './systems/fauna/StationaryFaunaSystem';
 import { THREEGlobalComponent } from './components/THREEGlobalComponent';
 import { Networked } from './components/Networked';
+import {
+	EmoteBurstComponent,
+	EmoteRequestComponent,
+	EmoteWheelComponent,
+} from './components/multiplayer/EmoteComponents';
+import { EmoteBurstSystem } from './systems/multiplayer/EmoteBurstSystem';
+import { EmoteWheelCreationSystem } from './systems/selectionWheels/EmoteWheelCreationSystem';
+import { EmoteWheelSystem } from './systems/selectionWheels/EmoteWheelSystem';
+import { NetworkedPlantComponent } from './components/multiplayer/NetworkedPlantComponent';
 import { NetworkedPlayerComponent } from './components/multiplayer/NetworkedPlayerComponent';
+import { PhotoShareRequestComponent } from './components/multiplayer/PhotoShareRequestComponent';
+import { PlantRestoreRequestComponent } from './components/multiplayer/PlantRestoreRequestComponent';
 import { MultiplayerSystem } from './systems/multiplayer/MultiplayerSystem';
+import { RemoteAvatarSystem } from './systems/multiplayer/RemoteAvatarSystem';
 import { TeleportationSystem } from './systems/locomotion/TeleportationSystem';
 import { UIPanelInteractionSystem } from './systems/ui/UIPanelInteractionSystem';
 import { UIPanelMediaSystem } from './systems/ui/UIPanelMediaSystem';
@@ -278,6 +292,7 @@ const registerComponents = (world) => {
 	world.registerComponent(PlaylistAudioComponent);
 	world.registerComponent(PlaylistAudioResources);
 	world.registerComponent(PlantTinyColliderComponent);
+	world.registerComponent(GardenHistoryComponent);
 	world.registerComponent(SeedAnimationComponent);
 	world.registerComponent(SeedbagComponent);
 	world.registerComponent(InstancedMeshComponent);
@@ -295,6 +310,12 @@ const registerComponents = (world) => {
 	world.registerComponent(UserIdentityComponent);
 	world.registerComponent(Networked);
 	world.registerComponent(NetworkedPlayerComponent);
+	world.registerComponent(NetworkedPlantComponent);
+	world.registerComponent(PhotoShareRequestComponent);
+	world.registerComponent(PlantRestoreRequestComponent);
+	world.registerComponent(EmoteWheelComponent);
+	world.registerComponent(EmoteRequestComponent);
+	world.registerComponent(EmoteBurstComponent);
 	world.registerComponent(WaterFaunaMovementComponent);
 	world.registerComponent(WaterFaunaGroupComponent);
 	world.registerComponent(SettingsPanelComponent);
@@ -353,6 +374,7 @@ export const registerSystemsAfterLoad = (world) => {
 	world.registerSystem(ScreenshotCameraCreationSystem);
 	world.registerSystem(PhotoMenuCreationSystem);
 	world.registerSystem(SelectionWheelCreationSystem);
+	world.registerSystem(EmoteWheelCreationSystem);
 	world.registerSystem(SeedboxCreationSystem);
 	world.registerSystem(CollisionWorldSystem);
 	world.registerSystem(CollisionAreaSystem);
@@ -371,6 +393,7 @@ export const registerSystemsAfterLoad = (world) => {
 	// It needs to be executed before mode selection and teleportaion
 	world.registerSystem(GameStateUpdateSystem);
 	world.registerSystem(SelectionWheelSystem);
+	world.registerSystem(EmoteWheelSystem);
 	world.registerSystem(IndicatorRingSystem);
 	world.registerSystem(SnapTurnSystem);
 	world.registerSystem(TeleportationSystem);
@@ -405,6 +428,7 @@ export const registerSystemsAfterLoad = (world) => {
 	world.registerSystem(PlantGrowingSystem);
 	world.registerSystem(PlantShrinkingSystem);
 	world.registerSystem(PlantColliderSystem);
+	world.registerSystem(GardenHistorySystem);
 	world.registerSystem(SaveControllerSystem);
 	world.registerSystem(RayDrawingSystem);
 	world.registerSystem(LocalSaveDataSystem);
@@ -428,6 +452,10 @@ export const registerSystemsAfterLoad = (world) => {
 
 	// Register multiplayer system late so inputs/transforms exist. It self-disables when not enabled.
 	world.registerSystem(MultiplayerSystem, { priority: 50 });
+	// Poses hands and props from the state MultiplayerSystem sampled this frame
+	world.registerSystem(RemoteAvatarSystem, { priority: 50 });
+	// Plays emotes sent this frame, from the wheel or from other players
+	world.registerSystem(EmoteBurstSystem, { priority: 50 });
 };
 
 /**
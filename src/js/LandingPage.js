@@ -5,6 +5,12 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import {
+	getPlayerProfile,
+	isMultiplayerEnabled,
+	setPlayerProfile,
+} from './utils/multiplayerUtils';
+
 import AboutPage from '../subpages/about.html';
 import LegalPage from '../subpages/legal.html';
 import MainPage from '../subpages/main.html';
@@ -67,6 +73,24 @@ export const setupRouter = () => {
 		loadPage();
 	};
 
+	// display name and avatar color shown to other players
+	const initMultiplayerProfile = () => {
+		if (!isMultiplayerEnabled()) return;
+		const nameInput = document.getElementById('mp-display-name');
+		const colorInput = document.getElementById('mp-avatar-color');
+		const { name, color } = getPlayerProfile();
+		nameInput.value = name;
+		colorInput.value = color;
+		nameInput.addEventListener('change', () => {
+			setPlayerProfile({ name: nameInput.value });
+		});
+		colorInput.addEventListener('change', () => {
+			setPlayerProfile({ color: colorInput.value });
+		});
+		document.getElementById('multiplayer-profile').classList.add('enabled');
+	};
+
 	initPages();
+	initMultiplayerProfile();
 	window.addEventListener('hashchange', loadPage);
 };
@@ -14,6 +14,9 @@ export class FaunaClusterComponent extends Component {}
  * of bounding boxes and smoothly turn around in the box and avoid each other.
  */
 FaunaClusterComponent.schema = {
+	// identifies the cluster in multiplayer fauna:sync messages
+	id: { type: Types.String, default: '' },
+
 	/**
 	 * @type {THREE.Vector3}
 	 */
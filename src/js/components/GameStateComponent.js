@@ -50,6 +50,13 @@ GameStateComponent.INTERACTION_MODES = {
 	CONTROLS: 6, // just displays the controls panel
 };
 
+// modes that change the garden, unavailable to multiplayer guests without edit rights
+GameStateComponent.EDITING_MODES = [
+	GameStateComponent.INTERACTION_MODES.PLANTING,
+	GameStateComponent.INTERACTION_MODES.PICKING,
+	GameStateComponent.INTERACTION_MODES.WATERING,
+];
+
 GameStateComponent.schema = {
 	allAssetsLoaded: { type: Types.Boolean, default: false },
 
@@ -60,6 +67,14 @@ GameStateComponent.schema = {
 	createGardenPending: { type: Types.Boolean, default: false },
 	loadGardenPending: { type: Types.Boolean, default: false },
 	updateGardenPending: { type: Types.Boolean, default: false },
+	// set once the saved objects of currentGardenId are in the world
+	loadedGardenId: { type: Types.String, default: '' },
+	// saved garden of the host that the multiplayer room was opened with, only the host saves it
+	roomGardenId: { type: Types.String, default: '' },
+	// saved garden picked for the multiplayer room that is too large to open it with
+	oversizedRoomGardenId: { type: Types.String, default: '' },
+	// saved objects of the loaded garden that could not be restored and were quarantined
+	unrestoredObjectCount: { type: Types.Number, default: 0 },
 
 	interactionMode: {
 		type: Types.Number,
@@ -70,4 +85,9 @@ GameStateComponent.schema = {
 		default: GameStateComponent.INTERACTION_MODES.DEFAULT,
 	},
 	interactionModeOverridden: { type: Types.Boolean, default: false },
+
+	// false while a multiplayer host has not granted the local player edit rights
+	canEdit: { type: Types.Boolean, default: true },
+	// true while another multiplayer player hosts the room, fauna then follows their fauna:sync
+	followsFaunaSync: { type: Types.Boolean, default: false },
 };
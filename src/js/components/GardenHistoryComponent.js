@@ -0,0 +1,69 @@
+/**
+ * Undo and redo of the local player's edits of the garden: plants, picks and
+ * waterings. Lives on the game manager entity, GardenHistorySystem undoes and
+ * redoes the commands and clears them when another garden is shown.
+ */
+
+import { Component, Types } from 'ecsy';
+
+import { GARDEN_HISTORY_CONSTANTS } from '../Constants';
+
+/**
+ * A plant that commands refer to. Undo and redo re-create picked plants, the
+ * handle then moves on to the new entity so older commands keep finding it.
+ * @typedef {{
+ * 	entity: import('ecsy').Entity,
+ * 	object: THREE.Object3D,
+ * 	snapshot: Object|null
+ * }} PlantHandle
+ */
+
+/**
+ * @typedef {{ type: 'plant', plant: PlantHandle }
+ * 	| { type: 'pick', plant: PlantHandle }
+ * 	| { type: 'water', plants: { plant: PlantHandle, before: number, after: number }[] }
+ * } GardenCommand
+ */
+
+export class GardenHistoryComponent extends Component {
+	/**
+	 * Record an edit, which drops everything that could be redone
+	 * @param {GardenCommand} command
+	 */
+	record(command) {
+		this.undoStack.push(command);
+		if (this.undoStack.length > GARDEN_HISTORY_CONSTANTS.MAX_COMMANDS) {
+			this.undoStack.shift();
+		}
+		this.redoStack.length = 0;
+	}
+
+	clear() {
+		this.undoStack.length = 0;
+		this.redoStack.length = 0;
+		this.undoPending = false;
+		this.redoPending = false;
+	}
+}
+
+GardenHistoryComponent.COMMAND_TYPES = {
+	PLANT: 'plant',
+	PICK: 'pick',
+	WATER: 'water',
+};
+
+GardenHistoryComponent.schema = {
+	/**
+	 * @type {GardenCommand[]} - most recent last
+	 */
+	undoStack: { type: Types.Array, default: [] },
+	/**
+	 * @type {GardenCommand[]} - most recently undone last
+	 */
+	redoStack: { type: Types.Array, default: [] },
+	// the garden the commands were made in, see GameStateComponent.loadedGardenId
+	gardenId: { type: Types.String, default: '' },
+	// set by the selection wheel and the undo gesture, handled by GardenHistorySystem
+	undoPending: { type: Types.Boolean, default: false },
+	redoPending: { type: Types.Boolean, default: false },
+};
@@ -53,7 +53,7 @@ export class PlantedComponent extends Component {
 		this.segmentScales = new THREE.Vector4().fromArray(jsonData.segmentScales);
 	}
 
-	async afterDeserialize(entity, _scene) {
+	afterDeserialize(entity, _scene) {
 		if (!entity.hasComponent(Object3DComponent)) {
 			entity.addComponent(Object3DComponent, {
 				value: new THREE.Object3D(),
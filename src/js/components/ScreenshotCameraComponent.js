@@ -80,4 +80,9 @@ PhotoMenuComponent.schema = {
 	 * @type {THREE.Mesh}
 	 */
 	saveButton: { type: Types.Ref, default: undefined },
+
+	/**
+	 * @type {THREE.Mesh} only in multiplayer, null otherwise
+	 */
+	shareButton: { type: Types.Ref, default: null },
 };
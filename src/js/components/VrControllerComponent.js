@@ -27,4 +27,9 @@ VrControllerComponent.schema = {
 	 * @type {number}
 	 */
 	threeControllerIdx: { type: Types.Number },
+	/**
+	 * pose last applied to the hand model by HandAnimationSystem
+	 * @type {{ pose: string, index: number, grip: number, thumb: number }}
+	 */
+	handPose: { type: Types.Ref, default: undefined },
 };
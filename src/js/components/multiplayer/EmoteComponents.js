@@ -0,0 +1,68 @@
+/**
+ * Emotes: the wheel on the left controller, emotes waiting to be sent to the
+ * room, and the bursts played for sent and received emotes
+ */
+
+import { Component, Types } from 'ecsy';
+
+import { WHEEL_STATE } from '../SelectionWheelComponent';
+
+export class EmoteWheelComponent extends Component {}
+
+EmoteWheelComponent.schema = {
+	/**
+	 * @type {THREE.Object3D[]} tiles, each with an emote, backgroundMesh and defaultPosition
+	 */
+	wheelTiles: { type: Types.Array, default: [] },
+	/**
+	 * @type {THREE.Object3D}
+	 */
+	focusedTile: { type: Types.Ref },
+
+	state: { type: Types.Number, default: WHEEL_STATE.RETRACTED },
+	transitionTimer: { type: Types.Number, default: 0 },
+};
+
+/**
+ * Created by EmoteWheelSystem, MultiplayerSystem sends the emote and removes
+ * the entity
+ */
+export class EmoteRequestComponent extends Component {}
+
+EmoteRequestComponent.schema = {
+	emote: { type: Types.String, default: '' },
+};
+
+/**
+ * Emote icons rising and fading from a position, with the emote's sound
+ */
+export class EmoteBurstComponent extends Component {
+	/**
+	 * Creates a temporary entity that EmoteBurstSystem removes once the burst is over
+	 * @param {World} world
+	 * @param {{ emote: string, position: THREE.Vector3 }} properties
+	 */
+	static createBurst(world, properties) {
+		const tempEntity = world.createEntity();
+		tempEntity.addComponent(EmoteBurstComponent, properties);
+	}
+}
+
+EmoteBurstComponent.schema = {
+	emote: { type: Types.String, default: '' },
+	/**
+	 * @type {THREE.Vector3}
+	 */
+	position: { type: Types.Ref },
+
+	// managed by EmoteBurstSystem
+	/**
+	 * @type {THREE.Points}
+	 */
+	particles: { type: Types.Ref, default: null },
+	/**
+	 * @type {Float32Array} meters per second, 3 per particle
+	 */
+	velocities: { type: Types.Ref, default: null },
+	age: { type: Types.Number, default: 0 },
+};
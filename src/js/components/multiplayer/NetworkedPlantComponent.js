@@ -0,0 +1,12 @@
+/**
+ * Component for plants that are replicated across multiplayer clients
+ */
+
+import { Component, Types } from 'ecsy';
+
+export class NetworkedPlantComponent extends Component {}
+
+NetworkedPlantComponent.schema = {
+	// Stable id shared by every client in the room, assigned by the planting client
+	netId: { type: Types.String, default: '' },
+};
@@ -10,20 +10,41 @@ NetworkedPlayerComponent.schema = {
 	// Remote player identifier
 	clientId: { type: Types.String, default: '' },
 
+	// Profile announced in hello, sanitized by the relay
+	displayName: { type: Types.String, default: '' },
+	color: { type: Types.String, default: '' },
+
 	// THREE.Group references for avatar visualization
 	headGroup: { type: Types.Ref, default: null },
 	leftHandGroup: { type: Types.Ref, default: null },
 	rightHandGroup: { type: Types.Ref, default: null },
 
-	// Interpolation targets
-	targetHeadPosition: { type: Types.Ref, default: null },
-	targetHeadRotation: { type: Types.Ref, default: null },
-	targetLeftHandPosition: { type: Types.Ref, default: null },
-	targetLeftHandRotation: { type: Types.Ref, default: null },
-	targetRightHandPosition: { type: Types.Ref, default: null },
-	targetRightHandRotation: { type: Types.Ref, default: null },
+	// 'host', 'editor' or 'visitor', from the relay's roles message
+	role: { type: Types.String, default: '' },
+
+	// UIPanel showing displayName and role above the head
+	nameplate: { type: Types.Ref, default: null },
+
+	// UIPanelComponent entity below the nameplate, for the host to grant or revoke edit rights
+	editRightsPanel: { type: Types.Ref, default: null },
+
+	// Tool and hand poses sampled from the snapshot buffer:
+	// { mode, plantGroup, lh: { pose, index, grip, thumb }, rh: { pose, index, grip, thumb } }
+	state: { type: Types.Ref, default: null },
 
-	// Last received snapshot timestamp
+	// Hand model and held prop entities, managed by RemoteAvatarSystem
+	leftHandEntity: { type: Types.Ref, default: null },
+	rightHandEntity: { type: Types.Ref, default: null },
+	leftPropEntity: { type: Types.Ref, default: null },
+	rightPropEntity: { type: Types.Ref, default: null },
+
+	// SnapshotBuffer of received transforms, sampled in the past for interpolation
+	snapshotBuffer: { type: Types.Ref, default: null },
+
+	// Relay time of the newest received snapshot
 	lastSnapshotTime: { type: Types.Number, default: 0 },
+
+	// 0 to 1, fades the avatar in on join and out beyond the relay's area of interest
+	opacity: { type: Types.Number, default: 0 },
 };
 
@@ -0,0 +1,8 @@
+/**
+ * Added to a photo by PhotoSystem to share it with the room. MultiplayerSystem
+ * sends the photo and removes the component again.
+ */
+
+import { Component } from 'ecsy';
+
+export class PhotoShareRequestComponent extends Component {}
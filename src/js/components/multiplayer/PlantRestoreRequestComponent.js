@@ -0,0 +1,12 @@
+/**
+ * Added to a plant by GardenHistorySystem when undo or redo brings it back.
+ * MultiplayerSystem gives it a new network id, sends it to the room and
+ * removes the component again.
+ */
+
+import { Component } from 'ecsy';
+
+export class PlantRestoreRequestComponent extends Component {}
+
+// a request, not part of the plant
+PlantRestoreRequestComponent.prototype.serialize = undefined;
@@ -0,0 +1,118 @@
+/**
+ * Portable garden files, which move a garden between devices. A file holds
+ * the garden's meta data and its serialized SavableObject array, in the save
+ * format of formatVersion:
+ *   { format: 'flowerbed-garden', version: 1, meta, formatVersion, gardenData }
+ */
+
+import { SAVE_FORMAT_VERSION, migrateGardenData } from './SaveMigrations';
+
+export const GARDEN_FILE_FORMAT = 'flowerbed-garden';
+export const GARDEN_FILE_VERSION = 1;
+export const GARDEN_FILE_EXTENSION = '.flowerbed.json';
+
+const MAX_GARDEN_NAME_LENGTH = 64;
+
+const isPlainObject = (value) =>
+	typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * @param {import('./StorageInterface').GardenMeta} gardenMeta
+ * @param {Object[]} gardenData - serialized SavableObjects
+ * @returns {Object} the contents of a garden file
+ */
+export const createGardenFile = (gardenMeta, gardenData) => ({
+	format: GARDEN_FILE_FORMAT,
+	version: GARDEN_FILE_VERSION,
+	meta: {
+		gardenName: gardenMeta.gardenName,
+		gardenMapId: gardenMeta.gardenMapId ?? 'BASE_SCENE',
+		timeCreated: gardenMeta.timeCreated,
+		timeLastUpdated: gardenMeta.timeLastUpdated,
+	},
+	formatVersion: SAVE_FORMAT_VERSION,
+	gardenData,
+});
+
+/**
+ * @param {import('./StorageInterface').GardenMeta} gardenMeta
+ * @returns {string} a file name made of the garden's name
+ */
+export const getGardenFileName = (gardenMeta) => {
+	const name = gardenMeta.gardenName
+		.replace(/[^A-Za-z0-9_-]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+	return (name || 'garden') + GARDEN_FILE_EXTENSION;
+};
+
+/**
+ * Read and validate a garden file, and migrate its garden to the current save
+ * format
+ * @param {string} text - contents of the file
+ * @param {Set<string>} componentNames - components a saved object may have
+ * @returns {{ meta: Object, gardenData: Object[] }}
+ * @throws {Error} with a message for the player when the file is not a garden
+ */
+export const parseGardenFile = (text, componentNames) => {
+	let file;
+	try {
+		file = JSON.parse(text);
+	} catch (error) {
+		throw new Error('This file is not a garden file.');
+	}
+	if (!isPlainObject(file) || file.format !== GARDEN_FILE_FORMAT) {
+		throw new Error('This file is not a garden file.');
+	}
+	if (file.version !== GARDEN_FILE_VERSION) {
+		throw new Error('This garden file was made by another version.');
+	}
+
+	// files from before save format versioning are version 0
+	const { meta, formatVersion = 0 } = file;
+	if (Number.isInteger(formatVersion) && formatVersion > SAVE_FORMAT_VERSION) {
+		throw new Error('This garden file was made by a newer version.');
+	}
+	const isValidMeta =
+		isPlainObject(meta) &&
+		typeof meta.gardenName === 'string' &&
+		meta.gardenName.length > 0 &&
+		meta.gardenName.length <= MAX_GARDEN_NAME_LENGTH &&
+		(meta.gardenMapId ?? 'BASE_SCENE') === 'BASE_SCENE' &&
+		Number.isFinite(meta.timeCreated) &&
+		Number.isFinite(meta.timeLastUpdated);
+	if (
+		!isValidMeta ||
+		!Array.isArray(file.gardenData) ||
+		!file.gardenData.every(isPlainObject)
+	) {
+		throw new Error('This garden file is damaged.');
+	}
+
+	let gardenData;
+	try {
+		gardenData = migrateGardenData(file.gardenData, formatVersion);
+	} catch (error) {
+		throw new Error('This garden file is damaged.');
+	}
+	const isValidData = gardenData.every(
+		(object) =>
+			isPlainObject(object) &&
+			Object.entries(object).every(
+				([name, component]) =>
+					componentNames.has(name) && isPlainObject(component),
+			),
+	);
+	if (!isValidData) {
+		throw new Error('This garden file is damaged.');
+	}
+
+	return {
+		meta: {
+			gardenName: meta.gardenName,
+			gardenMapId: 'BASE_SCENE',
+			timeCreated: meta.timeCreated,
+			timeLastUpdated: meta.timeLastUpdated,
+		},
+		gardenData,
+	};
+};
@@ -0,0 +1,82 @@
+/**
+ * Versioning of saved gardens. Saves are stamped with SAVE_FORMAT_VERSION, and
+ * the migrations below bring older saves up to date when they are loaded.
+ *
+ * When the save data of a component changes (a renamed component, a changed
+ * schema), append a migration that rewrites saves of the previous version,
+ * and add a fixture of such a save to scripts/fixtures/saves. Migrations work
+ * on plain serialized objects, never on components, so that they keep
+ * working once the components have changed.
+ *
+ * Imports nothing, so that scripts/check-save-migrations.js runs it in node.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string} 32 bit FNV-1a hash of the text, in base 36
+ */
+const hashString = (text) => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(36);
+};
+
+/**
+ * Ordered migrations, SAVE_MIGRATIONS[i] turns a save of version i into one
+ * of version i + 1. Saves from before versioning are version 0.
+ * @type {{ version: number, description: string, migrate: (gardenData: Object[]) => Object[] }[]}
+ */
+export const SAVE_MIGRATIONS = [
+	{
+		version: 1,
+		description:
+			'plants carry a NetworkedPlantComponent with a network id that is stable across loads',
+		migrate: (gardenData) => {
+			// derived from the save, so that an older save that is loaded again
+			// without being saved gets the same ids. netIds only need to be
+			// unique within a room.
+			const prefix = 'save' + hashString(JSON.stringify(gardenData));
+			return gardenData.map((object, index) => {
+				if (!object.PlantedComponent || object.NetworkedPlantComponent) {
+					return object;
+				}
+				return {
+					...object,
+					NetworkedPlantComponent: { netId: `${prefix}_${index.toString(36)}` },
+				};
+			});
+		},
+	},
+];
+
+export const SAVE_FORMAT_VERSION = SAVE_MIGRATIONS.length;
+
+/**
+ * @param {Object[]} gardenData - serialized SavableObjects
+ * @param {number} formatVersion - version the garden was saved with
+ * @returns {Object[]} the garden data in the current format, data that is not
+ * a list is returned as it is for the caller to set aside
+ * @throws {Error} when the garden was saved by a newer version of the game
+ */
+export const migrateGardenData = (gardenData, formatVersion) => {
+	if (
+		!Number.isInteger(formatVersion) ||
+		formatVersion < 0 ||
+		formatVersion > SAVE_FORMAT_VERSION
+	) {
+		throw new Error(`Unsupported save format version ${formatVersion}`);
+	}
+	if (formatVersion === SAVE_FORMAT_VERSION || !Array.isArray(gardenData)) {
+		return gardenData;
+	}
+
+	// migrations may change objects in place, keep the caller's copy intact
+	let migrated = JSON.parse(JSON.stringify(gardenData));
+	SAVE_MIGRATIONS.slice(formatVersion).forEach(({ migrate }) => {
+		migrated = migrate(migrated);
+	});
+	return migrated;
+};
@@ -0,0 +1,38 @@
+/**
+ * Seedable pseudorandom numbers (mulberry32), for randomness that has to come
+ * out the same on every player's machine
+ */
+
+/**
+ * 32 bit FNV-1a hash of a seed string
+ * @param {string} seed
+ * @returns {number}
+ */
+const hashSeed = (seed) => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < seed.length; i++) {
+		hash ^= seed.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+};
+
+export class SeededRandom {
+	/**
+	 * @param {string} seed - the same seed always gives the same numbers
+	 */
+	constructor(seed) {
+		this.state = hashSeed(seed);
+	}
+
+	/**
+	 * @returns {number} between 0 (inclusive) and 1 (exclusive), like Math.random
+	 */
+	next() {
+		this.state = (this.state + 0x6d2b79f5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+}
@@ -7,11 +7,38 @@
 
 import * as localForage from 'localforage';
 
+import { SAVE_FORMAT_VERSION, migrateGardenData } from './SaveMigrations';
+
 import { APIUrls } from '../ServerConfigs';
 import { v4 as uuidv4 } from 'uuid';
 
 const GARDEN_META_ID_SUFFIX = '_meta';
 const GARDEN_DATA_ID_SUFFIX = '_data';
+const GARDEN_QUARANTINE_ID_SUFFIX = '_quarantine';
+const GARDEN_HISTORY_ID_SUFFIX = '_history';
+const GARDEN_VERSION_ID_SUFFIX = '_version_';
+
+// a save keeps the garden it overwrites as a version at most this often, ms
+const GARDEN_VERSION_INTERVAL = 5 * 60 * 1000;
+// the oldest versions of a garden are dropped beyond either of these
+const GARDEN_VERSIONS_MAX_COUNT = 20;
+const GARDEN_VERSIONS_MAX_SIZE = 2 * 1024 * 1024; // characters of JSON
+
+/**
+ * @typedef {Object} GardenVersion
+ * @property {string} versionId
+ * @property {number} timeSaved - when the garden was saved like this
+ * @property {number} formatVersion - SAVE_FORMAT_VERSION of the saved garden
+ * @property {number} size - characters of the saved garden's JSON
+ * @property {number} plantCount
+ */
+
+/**
+ * @typedef {Object} QuarantinedObject
+ * @property {*} object - a saved object that could not be restored
+ * @property {string} reason
+ * @property {number} timeQuarantined
+ */
 
 /**
  * @typedef {Object} GardenMeta
@@ -25,6 +52,8 @@ const GARDEN_DATA_ID_SUFFIX = '_data';
  * @typedef {Object} GardenData
  * @property {string} gardenId
  * @property {string} gardenData
+ * @property {number} formatVersion - SAVE_FORMAT_VERSION the garden was saved
+ * with, missing from saves made before versioning
  */
 
 export const StorageInterface = (function () {
@@ -38,6 +67,62 @@ export const StorageInterface = (function () {
 		return month + '/' + date + '/' + year;
 	}
 
+	/**
+	 * Keep a local garden's save as a version before it is overwritten, the
+	 * versions are a ring capped by GARDEN_VERSIONS_MAX_COUNT and
+	 * GARDEN_VERSIONS_MAX_SIZE
+	 * @param {string} gardenId
+	 * @param {GardenData} saved - the save about to be overwritten
+	 * @param {number} timeSaved - when it was saved
+	 * @param {boolean} force - keep it even if the last version is recent
+	 */
+	async function keepGardenVersion(gardenId, saved, timeSaved, force) {
+		if (!Array.isArray(saved.gardenData) || saved.gardenData.length === 0) {
+			return;
+		}
+		const historyKey = gardenId + GARDEN_HISTORY_ID_SUFFIX;
+		const history = (await localForage.getItem(historyKey)) || {
+			gardenId: gardenId,
+			versions: [],
+		};
+		const latest = history.versions[history.versions.length - 1];
+		if (
+			latest &&
+			(latest.timeSaved === timeSaved ||
+				(!force && timeSaved - latest.timeSaved < GARDEN_VERSION_INTERVAL))
+		) {
+			return;
+		}
+
+		const versionId = uuidv4();
+		await localForage.setItem(gardenId + GARDEN_VERSION_ID_SUFFIX + versionId, {
+			gardenId: gardenId,
+			gardenData: saved.gardenData,
+			formatVersion: saved.formatVersion ?? 0,
+		});
+		history.versions.push({
+			versionId: versionId,
+			timeSaved: timeSaved,
+			formatVersion: saved.formatVersion ?? 0,
+			size: JSON.stringify(saved.gardenData).length,
+			plantCount: saved.gardenData.filter((object) => object.PlantedComponent)
+				.length,
+		});
+
+		let size = history.versions.reduce((sum, version) => sum + version.size, 0);
+		while (
+			history.versions.length > GARDEN_VERSIONS_MAX_COUNT ||
+			(history.versions.length > 0 && size > GARDEN_VERSIONS_MAX_SIZE)
+		) {
+			const dropped = history.versions.shift();
+			size -= dropped.size;
+			await localForage.removeItem(
+				gardenId + GARDEN_VERSION_ID_SUFFIX + dropped.versionId,
+			);
+		}
+		await localForage.setItem(historyKey, history);
+	}
+
 	return {
 		/**
 		 * Create empty save with garden meta data
@@ -66,7 +151,8 @@ export const StorageInterface = (function () {
 		},
 
 		/**
-		 * Load the garden save data of a garden id
+		 * Load the garden save data of a garden id, migrated to the current
+		 * save format
 		 * @param {string} gardenId
 		 * @returns {Promise<GardenData>} garden data
 		 */
@@ -98,6 +184,7 @@ export const StorageInterface = (function () {
 		 * @param {string} gardenId
 		 */
 		removeGarden: async function (gardenId) {
+			await localForage.removeItem(gardenId + GARDEN_QUARANTINE_ID_SUFFIX);
 			if (gardenId.startsWith('cloud-')) {
 				return await StorageInterface.removeGardenCloud(gardenId);
 			} else {
@@ -118,6 +205,141 @@ export const StorageInterface = (function () {
 			}
 		},
 
+		/**
+		 * Create a garden from an imported garden file, imported gardens are
+		 * always kept locally
+		 * @param {GardenMeta} gardenMeta - without a gardenId
+		 * @param {*} gardenData - in the current save format
+		 * @returns {Promise<string>} new garden id
+		 */
+		importGarden: async function (gardenMeta, gardenData) {
+			return await StorageInterface.importGardenLocal(gardenMeta, gardenData);
+		},
+
+		/**
+		 * Keep saved objects of a garden that could not be restored aside, they
+		 * are no longer in the garden once it is saved again. Quarantined objects
+		 * are always kept locally, also for cloud gardens.
+		 * @param {string} gardenId
+		 * @param {{ object: *, reason: string }[]} entries
+		 */
+		quarantineGardenObjects: async function (gardenId, entries) {
+			const key = gardenId + GARDEN_QUARANTINE_ID_SUFFIX;
+			const quarantine = (await localForage.getItem(key)) || {
+				gardenId: gardenId,
+				entries: [],
+			};
+			// a garden that was not saved since has the same objects again
+			const knownObjects = new Set(
+				quarantine.entries.map(({ object }) => JSON.stringify(object)),
+			);
+			const timeQuarantined = Date.now();
+			entries.forEach(({ object, reason }) => {
+				if (knownObjects.has(JSON.stringify(object))) return;
+				knownObjects.add(JSON.stringify(object));
+				quarantine.entries.push({ object, reason, timeQuarantined });
+			});
+			await localForage.setItem(key, quarantine);
+		},
+
+		/**
+		 * @param {string} gardenId
+		 * @returns {Promise<QuarantinedObject[]>} saved objects of the garden that
+		 * could not be restored
+		 */
+		loadGardenQuarantine: async function (gardenId) {
+			const quarantine = await localForage.getItem(
+				gardenId + GARDEN_QUARANTINE_ID_SUFFIX,
+			);
+			return quarantine ? quarantine.entries : [];
+		},
+
+		/**
+		 * @param {string} gardenId
+		 * @returns {Promise<GardenVersion[]>} earlier saves of a local garden,
+		 * oldest first
+		 */
+		loadGardenVersions: async function (gardenId) {
+			const history = await localForage.getItem(
+				gardenId + GARDEN_HISTORY_ID_SUFFIX,
+			);
+			return history ? history.versions : [];
+		},
+
+		/**
+		 * Load an earlier save of a local garden, migrated to the current save
+		 * format
+		 * @param {string} gardenId
+		 * @param {string} versionId
+		 * @returns {Promise<*>} garden data
+		 */
+		loadGardenVersion: async function (gardenId, versionId) {
+			const saved = await localForage.getItem(
+				gardenId + GARDEN_VERSION_ID_SUFFIX + versionId,
+			);
+			if (!saved) {
+				throw new Error('This version of the garden is no longer kept.');
+			}
+			return migrateGardenData(saved.gardenData, saved.formatVersion ?? 0);
+		},
+
+		/**
+		 * Bring a local garden back to an earlier save. The garden as it is now
+		 * is kept as a version, so restoring can be undone by restoring that.
+		 * @param {string} gardenId
+		 * @param {string} versionId
+		 * @returns {Promise<GardenMeta>}
+		 */
+		restoreGardenVersion: async function (gardenId, versionId) {
+			const gardenData = await StorageInterface.loadGardenVersion(
+				gardenId,
+				versionId,
+			);
+			const gardenMeta = await localForage.getItem(
+				gardenId + GARDEN_META_ID_SUFFIX,
+			);
+			const current = await localForage.getItem(
+				gardenId + GARDEN_DATA_ID_SUFFIX,
+			);
+			if (current) {
+				await keepGardenVersion(
+					gardenId,
+					current,
+					gardenMeta.timeLastUpdated,
+					true,
+				);
+			}
+			return await StorageInterface.updateGardenLocal(gardenId, gardenData);
+		},
+
+		/**
+		 * Create a new local garden from an earlier save of a garden
+		 * @param {GardenMeta} gardenMeta
+		 * @param {string} versionId
+		 * @returns {Promise<string>} new garden id
+		 */
+		forkGardenVersion: async function (gardenMeta, versionId) {
+			const gardenData = await StorageInterface.loadGardenVersion(
+				gardenMeta.gardenId,
+				versionId,
+			);
+			const version = (
+				await StorageInterface.loadGardenVersions(gardenMeta.gardenId)
+			).find((version) => version.versionId === versionId);
+			return await StorageInterface.importGardenLocal(
+				{
+					gardenName:
+						gardenMeta.gardenName +
+						' (' +
+						new Date(version.timeSaved).toLocaleString() +
+						')',
+					gardenMapId: gardenMeta.gardenMapId ?? 'BASE_SCENE',
+					timeCreated: Date.now(),
+				},
+				gardenData,
+			);
+		},
+
 		/**
 		 * Update the playerToken stored
 		 * @param {string} playerToken
@@ -163,6 +385,7 @@ export const StorageInterface = (function () {
 			await localForage.setItem(gardenId + GARDEN_DATA_ID_SUFFIX, {
 				gardenId: gardenId,
 				gardenData: [],
+				formatVersion: SAVE_FORMAT_VERSION,
 			});
 			return gardenId;
 		},
@@ -214,7 +437,13 @@ export const StorageInterface = (function () {
 				console.log('Error: cannot create garden in cloud');
 			} else {
 				const responseBody = await response.json();
-				return JSON.parse(responseBody.gardenData);
+				const saved = JSON.parse(responseBody.gardenData);
+				// saves from before versioning are just the array of objects, and
+				// anything else that is not a versioned record is passed on as is
+				if (Array.isArray(saved) || saved?.gardenData === undefined) {
+					return migrateGardenData(saved, 0);
+				}
+				return migrateGardenData(saved.gardenData, saved.formatVersion);
 			}
 		},
 
@@ -222,7 +451,9 @@ export const StorageInterface = (function () {
 			return localForage
 				.getItem(gardenId + GARDEN_DATA_ID_SUFFIX)
 				.then(function (value) {
-					return value.gardenData;
+					// a garden without saved data is an empty garden
+					if (value === null) return [];
+					return migrateGardenData(value.gardenData, value.formatVersion ?? 0);
 				});
 		},
 
@@ -232,7 +463,10 @@ export const StorageInterface = (function () {
 				body: JSON.stringify({
 					token: verifiedPlayerToken,
 					gardenId: gardenId.substring(6),
-					gardenData: JSON.stringify(gardenData),
+					gardenData: JSON.stringify({
+						formatVersion: SAVE_FORMAT_VERSION,
+						gardenData: gardenData,
+					}),
 				}),
 			});
 			if (!response.ok) {
@@ -257,11 +491,21 @@ export const StorageInterface = (function () {
 			let gardenMeta = await localForage.getItem(
 				gardenId + GARDEN_META_ID_SUFFIX,
 			);
+			const saved = await localForage.getItem(gardenId + GARDEN_DATA_ID_SUFFIX);
+			if (saved) {
+				await keepGardenVersion(
+					gardenId,
+					saved,
+					gardenMeta.timeLastUpdated,
+					false,
+				);
+			}
 			gardenMeta.timeLastUpdated = timeUpdated;
 			await localForage.setItem(gardenId + GARDEN_META_ID_SUFFIX, gardenMeta);
 			await localForage.setItem(gardenId + GARDEN_DATA_ID_SUFFIX, {
 				gardenId: gardenId,
 				gardenData: gardenData,
+				formatVersion: SAVE_FORMAT_VERSION,
 			});
 			return gardenMeta;
 		},
@@ -285,6 +529,13 @@ export const StorageInterface = (function () {
 		removeGardenLocal: async function (gardenId) {
 			await localForage.removeItem(gardenId + GARDEN_META_ID_SUFFIX);
 			await localForage.removeItem(gardenId + GARDEN_DATA_ID_SUFFIX);
+			const versions = await StorageInterface.loadGardenVersions(gardenId);
+			for (let { versionId } of versions) {
+				await localForage.removeItem(
+					gardenId + GARDEN_VERSION_ID_SUFFIX + versionId,
+				);
+			}
+			await localForage.removeItem(gardenId + GARDEN_HISTORY_ID_SUFFIX);
 			// no need to return anything as removeItem will fail silently when there
 			// is no such key in the database
 		},
@@ -318,6 +569,24 @@ export const StorageInterface = (function () {
 			}
 		},
 
+		importGardenLocal: async function (gardenMeta, gardenData) {
+			let gardenId = uuidv4();
+			await localForage.setItem(gardenId + GARDEN_META_ID_SUFFIX, {
+				gardenName: gardenMeta.gardenName,
+				gardenId: gardenId,
+				gardenMapId: gardenMeta.gardenMapId,
+				timeCreated: gardenMeta.timeCreated,
+				// the imported garden is the latest one, and is opened next
+				timeLastUpdated: Date.now(),
+			});
+			await localForage.setItem(gardenId + GARDEN_DATA_ID_SUFFIX, {
+				gardenId: gardenId,
+				gardenData: gardenData,
+				formatVersion: SAVE_FORMAT_VERSION,
+			});
+			return gardenId;
+		},
+
 		loadSettings: async function () {
 			const settings = await localForage.getItem('settings');
 			return settings || {};
@@ -0,0 +1,50 @@
+/**
+ * Estimates the offset between the local clock and the relay clock from
+ * clock:ping / clock:pong round trips (NTP style, keeping the sample with
+ * the lowest round trip time of a sliding window).
+ */
+
+const MAX_SAMPLES = 8;
+
+export class ClockSync {
+	constructor() {
+		this.samples = [];
+		this.offset = 0;
+		this.rtt = 0;
+	}
+
+	get isSynced() {
+		return this.samples.length > 0;
+	}
+
+	/**
+	 * @returns {Object} clock:ping message to send to the relay
+	 */
+	createPing() {
+		return { v: 1, type: 'clock:ping', clientTime: performance.now() };
+	}
+
+	/**
+	 * Add a sample from the relay's answer to one of our pings
+	 * @param {{ clientTime: number, serverTime: number }} pong
+	 */
+	handlePong({ clientTime, serverTime }) {
+		if (!Number.isFinite(clientTime) || !Number.isFinite(serverTime)) return;
+		const now = performance.now();
+		const rtt = now - clientTime;
+		if (rtt < 0) return;
+		this.samples.push({ rtt, offset: serverTime + rtt / 2 - now });
+		if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+		const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+		this.offset = best.offset;
+		this.rtt = best.rtt;
+	}
+
+	/**
+	 * @returns {number} current relay time in milliseconds
+	 */
+	now() {
+		return performance.now() + this.offset;
+	}
+}
@@ -0,0 +1,13 @@
+/**
+ * Emotes players can send to their room, shared by the client and the
+ * multiplayer relay:
+ *   { type: 'emote', emote }
+ */
+
+export const EMOTES = ['heart', 'wave', 'thumbsup', 'clap'];
+
+/**
+ * @param {string} emote
+ * @returns {boolean}
+ */
+export const isValidEmote = (emote) => EMOTES.includes(emote);
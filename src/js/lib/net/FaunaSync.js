@@ -0,0 +1,66 @@
+/**
+ * Fauna state the multiplayer host sends its room every few seconds. Fauna
+ * spawns from the room's seed, but moves by each player's frame times, so it
+ * slowly drifts apart between players until the next sync puts it back in
+ * step. Shared by the client and the relay.
+ *
+ *   { type: 'fauna:sync', time, groups: [{ id, faunas }] }
+ *
+ * time is the host's world time in seconds, which fauna paths vary with.
+ * Every fauna is a list of numbers, see faunaSyncUtils.js for what they are.
+ */
+
+export const FAUNA_SYNC_INTERVAL = 5; // seconds between syncs from the host
+export const MAX_FAUNA_GROUPS = 32;
+export const MAX_FAUNAS_PER_GROUP = 32;
+export const MAX_FAUNA_VALUES = 16;
+
+const MAX_GROUP_ID_LENGTH = 32;
+const GROUP_ID_PATTERN = /^[a-z0-9/_-]+$/i;
+
+/**
+ * Millimeters, and thousandths of quaternions and directions, are precise
+ * enough for fauna
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundFaunaValue = (value) => Math.round(value * 1000) / 1000;
+
+const isValidFaunaGroup = (group) => {
+	const { id, faunas } = group ?? {};
+	return (
+		typeof id === 'string' &&
+		id.length <= MAX_GROUP_ID_LENGTH &&
+		GROUP_ID_PATTERN.test(id) &&
+		Array.isArray(faunas) &&
+		faunas.length <= MAX_FAUNAS_PER_GROUP &&
+		faunas.every(
+			(values) =>
+				Array.isArray(values) &&
+				values.length <= MAX_FAUNA_VALUES &&
+				values.every(Number.isFinite),
+		)
+	);
+};
+
+/**
+ * @param {{ time: number, groups: Object[] }} message - fauna:sync message as received
+ * @returns {{ time: number, groups: { id: string, faunas: number[][] }[] }|null} null if it is malformed
+ */
+export const sanitizeFaunaSync = ({ time, groups }) => {
+	if (
+		!Number.isFinite(time) ||
+		!Array.isArray(groups) ||
+		groups.length > MAX_FAUNA_GROUPS ||
+		!groups.every(isValidFaunaGroup)
+	) {
+		return null;
+	}
+	return {
+		time,
+		groups: groups.map(({ id, faunas }) => ({
+			id,
+			faunas: faunas.map((values) => values.map(roundFaunaValue)),
+		})),
+	};
+};
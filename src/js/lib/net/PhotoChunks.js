@@ -0,0 +1,102 @@
+/**
+ * Chunking of shared photos, shared by the client and the multiplayer relay.
+ *
+ * A photo is a JPEG data URL split into photo:chunk messages:
+ *   { type: 'photo:chunk', photoId, index, count, data }
+ * sent in order, with the photo's world position (pos) on index 0.
+ * The relay reassembles a photo before forwarding its chunks, so clients
+ * only ever receive complete photos.
+ */
+
+export const PHOTO_CHUNK_SIZE = 16 * 1024; // characters of the data URL per chunk
+export const MAX_PHOTO_SIZE = 192 * 1024; // characters of the whole data URL
+export const MAX_PHOTO_CHUNKS = Math.ceil(MAX_PHOTO_SIZE / PHOTO_CHUNK_SIZE);
+export const PHOTO_DATA_URL_PREFIX = 'data:image/jpeg;base64,';
+
+const MAX_PHOTO_ID_LENGTH = 64;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * @param {string} dataUrl - JPEG data URL of at most MAX_PHOTO_SIZE characters
+ * @returns {string[]} chunk data, in order
+ */
+export const splitPhoto = (dataUrl) => {
+	const chunks = [];
+	for (let i = 0; i < dataUrl.length; i += PHOTO_CHUNK_SIZE) {
+		chunks.push(dataUrl.slice(i, i + PHOTO_CHUNK_SIZE));
+	}
+	return chunks;
+};
+
+const isValidChunkData = (index, data) => {
+	if (typeof data !== 'string' || data.length === 0 || data.length > PHOTO_CHUNK_SIZE) {
+		return false;
+	}
+	if (index > 0) return BASE64_PATTERN.test(data);
+	return (
+		data.startsWith(PHOTO_DATA_URL_PREFIX) &&
+		BASE64_PATTERN.test(data.slice(PHOTO_DATA_URL_PREFIX.length))
+	);
+};
+
+/**
+ * Collects the chunks of one photo at a time from a single sender
+ */
+export class PhotoAssembler {
+	constructor() {
+		this.reset();
+	}
+
+	reset() {
+		this.photoId = null;
+		this.count = 0;
+		this.chunks = [];
+		this.size = 0;
+	}
+
+	get isComplete() {
+		return this.count > 0 && this.chunks.length === this.count;
+	}
+
+	/**
+	 * Chunks have to arrive in order, index 0 starts a new photo and drops an
+	 * unfinished one
+	 * @param {{ photoId: string, index: number, count: number, data: string }} chunk
+	 * @returns {boolean} false if the chunk is invalid, the photo is discarded then
+	 */
+	add(chunk) {
+		const { photoId, index, count, data } = chunk;
+		if (index === 0) {
+			this.reset();
+			this.photoId = photoId;
+			this.count = count;
+		}
+		const isValid =
+			typeof photoId === 'string' &&
+			photoId.length > 0 &&
+			photoId.length <= MAX_PHOTO_ID_LENGTH &&
+			photoId === this.photoId &&
+			Number.isInteger(count) &&
+			count >= 1 &&
+			count <= MAX_PHOTO_CHUNKS &&
+			count === this.count &&
+			index === this.chunks.length &&
+			index < count &&
+			isValidChunkData(index, data) &&
+			this.size + data.length <= MAX_PHOTO_SIZE;
+		if (!isValid) {
+			this.reset();
+			return false;
+		}
+		this.chunks.push(chunk);
+		this.size += data.length;
+		return true;
+	}
+
+	/**
+	 * @returns {string} the data URL of a complete photo
+	 */
+	getDataUrl() {
+		return this.chunks.map(({ data }) => data).join('');
+	}
+}
@@ -0,0 +1,126 @@
+/**
+ * Spacing between plants, which the multiplayer relay uses to settle two
+ * players planting on the same spot. Shared by the client and the relay, so
+ * plant types are spelled out rather than taken from PLANT_TYPES in
+ * Constants.js, which pulls in three.js.
+ */
+
+// meters around the stem kept clear of other plants, roughly the footprint of a grown plant
+export const PLANT_SPACING_RADII = {
+	default: 0.12,
+	pansy_a: 0.08,
+	pansy_b: 0.08,
+	pansy_c: 0.08,
+	succulent_a: 0.08,
+	succulent_b: 0.08,
+	succulent_c: 0.08,
+	nasturtium_a: 0.1,
+	nasturtium_b: 0.1,
+	nasturtium_c: 0.1,
+	tulip: 0.1,
+	tulip_a: 0.1,
+	tulip_b: 0.1,
+	tulip_c: 0.1,
+	tulip_d: 0.1,
+	carnation_a: 0.1,
+	carnation_b: 0.1,
+	daffodil_a: 0.1,
+	daffodil_b: 0.1,
+	allium_a: 0.1,
+	allium_b: 0.1,
+	allium_c: 0.1,
+	lavender_a: 0.12,
+	lavender_b: 0.12,
+	rose_a: 0.15,
+	rose_b: 0.15,
+	rose_c: 0.15,
+	rose_d: 0.15,
+	sunflower_a: 0.15,
+	sunflower_b: 0.15,
+	fir: 0.4,
+	sugarpine: 0.4,
+	cherryblossom: 0.4,
+	oak: 0.5,
+};
+
+const MAX_PLANT_TYPE_LENGTH = 32;
+// plant types are lowercase ids like rose_a, unknown ones get the default spacing
+const PLANT_TYPE_PATTERN = /^[a-z0-9_]+$/;
+
+// how far a plant may be moved to make room before it is denied instead
+export const MAX_PLANT_NUDGE = 0.1;
+
+/**
+ * @param {*} plantType - of a plant sent to or by the relay
+ * @returns {boolean}
+ */
+export const isValidPlantType = (plantType) =>
+	typeof plantType === 'string' &&
+	plantType.length > 0 &&
+	plantType.length <= MAX_PLANT_TYPE_LENGTH &&
+	PLANT_TYPE_PATTERN.test(plantType);
+
+/**
+ * @param {string} plantType
+ * @returns {number} meters
+ */
+export const getPlantSpacing = (plantType) => {
+	return Object.prototype.hasOwnProperty.call(PLANT_SPACING_RADII, plantType)
+		? PLANT_SPACING_RADII[plantType]
+		: PLANT_SPACING_RADII.default;
+};
+
+/**
+ * Find the plant that a new plant would be too close to. Only the horizontal
+ * distance between stems counts.
+ * @param {{ plantType: string, pos: { x: number, z: number } }} plant
+ * @param {Iterable<{ plantType: string, pos: { x: number, z: number } }>} plants
+ * @returns {Object|null} the closest conflicting plant
+ */
+export const findPlantConflict = (plant, plants) => {
+	const spacing = getPlantSpacing(plant.plantType);
+	let conflict = null;
+	let conflictDistance = Infinity;
+	for (const other of plants) {
+		const distance = Math.hypot(
+			other.pos.x - plant.pos.x,
+			other.pos.z - plant.pos.z,
+		);
+		if (
+			distance < spacing + getPlantSpacing(other.plantType) &&
+			distance < conflictDistance
+		) {
+			conflict = other;
+			conflictDistance = distance;
+		}
+	}
+	return conflict;
+};
+
+/**
+ * Place a plant just clear of the plant it conflicts with, if that is at
+ * most MAX_PLANT_NUDGE away and clear of every other plant
+ * @param {{ plantType: string, pos: { x: number, y: number, z: number } }} plant
+ * @param {Object} conflict - from findPlantConflict
+ * @param {Iterable<Object>} plants
+ * @returns {{ x: number, y: number, z: number }|null} the nudged position
+ */
+export const nudgePlant = (plant, conflict, plants) => {
+	const dx = plant.pos.x - conflict.pos.x;
+	const dz = plant.pos.z - conflict.pos.z;
+	const distance = Math.hypot(dx, dz);
+	const clearance =
+		getPlantSpacing(plant.plantType) + getPlantSpacing(conflict.plantType);
+	// a plant right on top of another has no direction to move in
+	if (distance < 0.001 || clearance - distance > MAX_PLANT_NUDGE) return null;
+	// a millimeter extra keeps rounding from landing it back inside
+	const scale = (clearance + 0.001) / distance;
+	const pos = {
+		x: conflict.pos.x + dx * scale,
+		y: plant.pos.y,
+		z: conflict.pos.z + dz * scale,
+	};
+	return findPlantConflict({ plantType: plant.plantType, pos }, plants)
+		? null
+		: pos;
+};
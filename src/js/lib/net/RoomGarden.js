@@ -0,0 +1,155 @@
+/**
+ * A saved garden that a multiplayer room is opened with, shared by the
+ * client and the relay. The host sends its garden's SavableObject data as
+ * serialized by LocalSaveDataSystem:
+ *   { type: 'room:garden', gardenId, objects }
+ * and the relay derives the room's plants from it. Component names are
+ * spelled out rather than taken from the component classes, which pull in
+ * three.js.
+ */
+
+import { getPlantMeshId } from '../../utils/plantUtils.js';
+import { isValidPlantType } from './PlantSpacing.js';
+
+export const MAX_ROOM_GARDEN_SIZE = 1024 * 1024; // characters of the objects' JSON
+export const MAX_ROOM_GARDEN_OBJECTS = 5000; // as many as a room holds plants
+
+const MAX_GARDEN_ID_LENGTH = 64;
+const GARDEN_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+const MAX_NET_ID_LENGTH = 64;
+
+const MAX_SCALE_MULTIPLIER = 100; // as much as the relay lets watering grow a plant
+
+const isPlainObject = (value) =>
+	typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isNumberArray = (value, length) =>
+	Array.isArray(value) &&
+	value.length === length &&
+	value.every((n) => Number.isFinite(n));
+
+/**
+ * @param {*} gardenId - a StorageInterface garden id
+ * @returns {boolean}
+ */
+export const isValidGardenId = (gardenId) =>
+	typeof gardenId === 'string' &&
+	gardenId.length > 0 &&
+	gardenId.length <= MAX_GARDEN_ID_LENGTH &&
+	GARDEN_ID_PATTERN.test(gardenId);
+
+const sanitizeGardenObject = (object) => {
+	if (!isPlainObject(object)) return null;
+	const {
+		Object3DComponent: transform,
+		PlantedComponent: planted,
+		NetworkedPlantComponent: networked,
+	} = object;
+	const isValid =
+		isPlainObject(transform) &&
+		isNumberArray(transform.position, 3) &&
+		Array.isArray(transform.rotation) &&
+		isNumberArray(transform.rotation.slice(0, 3), 3) &&
+		(transform.rotation[3] ?? 'XYZ') === 'XYZ' &&
+		isNumberArray(transform.scale, 3) &&
+		isPlainObject(planted) &&
+		isValidPlantType(planted.plantType) &&
+		isNumberArray(planted.plantedScale, 3) &&
+		isNumberArray(planted.segmentScales, 4) &&
+		Number.isFinite(planted.scaleMultiplier ?? 1) &&
+		isPlainObject(networked) &&
+		typeof networked.netId === 'string' &&
+		networked.netId.length > 0 &&
+		networked.netId.length <= MAX_NET_ID_LENGTH;
+	if (!isValid) return null;
+	// rebuilt from the checked fields only, the other players load it as it is
+	const meshId = getPlantMeshId(planted.plantType);
+	return {
+		Object3DComponent: {
+			position: [...transform.position],
+			rotation: [...transform.rotation.slice(0, 3), 'XYZ'],
+			scale: [...transform.scale],
+			visible: true,
+			userData: {},
+		},
+		// as saved once the plant's model is in place
+		MeshIdComponent: { id: meshId, needsUpdate: false, modelHasChanged: true },
+		PlantedComponent: {
+			plantType: planted.plantType,
+			plantedScale: [...planted.plantedScale],
+			segmentScales: [...planted.segmentScales],
+			scaleMultiplier: Math.min(
+				MAX_SCALE_MULTIPLIER,
+				Math.max(1, planted.scaleMultiplier ?? 1),
+			),
+			pickable: true,
+		},
+		InstancedMeshInstanceComponent: { meshId },
+		SavableObject: {},
+		NetworkedPlantComponent: { netId: networked.netId },
+	};
+};
+
+/**
+ * @param {{ gardenId: string, objects: Object[] }} message - a room:garden message
+ * @returns {{ gardenId: string, objects: Object[] }|null} the garden's plants
+ * with only the data a grown plant needs, null if the message is invalid or
+ * too large
+ */
+export const sanitizeRoomGarden = ({ gardenId, objects } = {}) => {
+	if (
+		!isValidGardenId(gardenId) ||
+		!Array.isArray(objects) ||
+		objects.length > MAX_ROOM_GARDEN_OBJECTS ||
+		JSON.stringify(objects).length > MAX_ROOM_GARDEN_SIZE
+	) {
+		return null;
+	}
+	const sanitized = objects.map(sanitizeGardenObject);
+	if (sanitized.includes(null)) return null;
+	const netIds = new Set(
+		sanitized.map((object) => object.NetworkedPlantComponent.netId),
+	);
+	if (netIds.size !== sanitized.length) return null;
+	return { gardenId, objects: sanitized };
+};
+
+// same as THREE.Quaternion.setFromEuler for the default XYZ order
+const eulerToQuaternion = ([x, y, z]) => {
+	const c1 = Math.cos(x / 2);
+	const c2 = Math.cos(y / 2);
+	const c3 = Math.cos(z / 2);
+	const s1 = Math.sin(x / 2);
+	const s2 = Math.sin(y / 2);
+	const s3 = Math.sin(z / 2);
+	return {
+		x: s1 * c2 * c3 + c1 * s2 * s3,
+		y: c1 * s2 * c3 - s1 * c2 * s3,
+		z: c1 * c2 * s3 + s1 * s2 * c3,
+		w: c1 * c2 * c3 - s1 * s2 * s3,
+	};
+};
+
+/**
+ * The relay's plant records of a sanitized garden, as event:plant would
+ * have created them
+ * @param {Object[]} objects - from sanitizeRoomGarden
+ * @returns {{ netId: string, plantType: string, pos: Object, quat: Object, scale: Object, scaleMultiplier: number }[]}
+ */
+export const getRoomGardenPlants = (objects) =>
+	objects.map((object) => {
+		const { position, rotation } = object.Object3DComponent;
+		const {
+			plantType,
+			plantedScale,
+			scaleMultiplier = 1,
+		} = object.PlantedComponent;
+		return {
+			netId: object.NetworkedPlantComponent.netId,
+			plantType,
+			pos: { x: position[0], y: position[1], z: position[2] },
+			quat: eulerToQuaternion(rotation),
+			scale: { x: plantedScale[0], y: plantedScale[1], z: plantedScale[2] },
+			scaleMultiplier,
+		};
+	});
@@ -0,0 +1,147 @@
+/**
+ * Time ordered buffer of presence snapshots for one remote player. Remote
+ * avatars are rendered slightly in the past so there are usually two samples
+ * to interpolate between; when packets are late the last motion is
+ * extrapolated for a short while, then held. Finger curls are interpolated
+ * too, the held tool and hand poses switch at the sample time.
+ */
+
+import * as THREE from 'three';
+
+const CAPACITY = 32;
+const MAX_EXTRAPOLATION = 250; // ms
+const TRANSFORM_KEYS = ['head', 'lh', 'rh'];
+const HAND_KEYS = ['lh', 'rh'];
+
+const createSample = () => {
+	const sample = { t: 0, mode: 0, plantGroup: '' };
+	TRANSFORM_KEYS.forEach((key) => {
+		sample[key] = { p: new THREE.Vector3(), q: new THREE.Quaternion() };
+	});
+	HAND_KEYS.forEach((key) => {
+		sample[key].pose = 'EMPTY';
+		sample[key].f = [0, 0, 0];
+	});
+	return sample;
+};
+
+export class SnapshotBuffer {
+	constructor() {
+		// samples are recycled to keep the 20Hz stream garbage free
+		this.pool = Array.from({ length: CAPACITY }, createSample);
+		this.samples = [];
+		this.velocity = new THREE.Vector3();
+	}
+
+	/**
+	 * Insert a snapshot, keeping samples ordered by time
+	 * @param {{ t: number, head: Object, lh: Object, rh: Object, mode: number, plantGroup: string }} snapshot - with
+	 * p (position) and q (quaternion) per transform, and pose and f (finger curls) per hand
+	 * @returns {boolean} false if the snapshot was dropped as a duplicate
+	 */
+	push(snapshot) {
+		if (this.samples.some((s) => s.t === snapshot.t)) return false;
+		const sample =
+			this.samples.length >= CAPACITY ? this.samples.shift() : this.pool.pop();
+		sample.t = snapshot.t;
+		TRANSFORM_KEYS.forEach((key) => {
+			const { p, q } = snapshot[key];
+			sample[key].p.set(p.x, p.y, p.z);
+			sample[key].q.set(q.x, q.y, q.z, q.w);
+		});
+		sample.mode = snapshot.mode ?? 0;
+		sample.plantGroup = snapshot.plantGroup ?? '';
+		HAND_KEYS.forEach((key) => {
+			const { pose = 'EMPTY', f = [] } = snapshot[key];
+			sample[key].pose = pose;
+			for (let i = 0; i < 3; i++) sample[key].f[i] = f[i] ?? 0;
+		});
+		let index = this.samples.length;
+		while (index > 0 && this.samples[index - 1].t > sample.t) index--;
+		this.samples.splice(index, 0, sample);
+		return true;
+	}
+
+	/**
+	 * Drop samples that are no longer needed to render renderTime
+	 * @param {number} renderTime
+	 */
+	prune(renderTime) {
+		while (this.samples.length > 2 && this.samples[1].t <= renderTime) {
+			this.pool.push(this.samples.shift());
+		}
+	}
+
+	/**
+	 * Write the interpolated transforms at renderTime into the given objects
+	 * @param {number} renderTime - relay time in milliseconds
+	 * @param {{ head: THREE.Object3D, lh: THREE.Object3D, rh: THREE.Object3D, state: Object }} targets - state
+	 * receives mode, plantGroup, and lh / rh as { pose, index, grip, thumb }
+	 * @returns {boolean} false if there is nothing to sample yet
+	 */
+	sample(renderTime, targets) {
+		if (this.samples.length === 0) return false;
+		this.prune(renderTime);
+
+		const first = this.samples[0];
+		const last = this.samples[this.samples.length - 1];
+
+		if (this.samples.length === 1 || renderTime <= first.t) {
+			this.copySample(first, targets);
+			this.copyState(first, first, 0, targets.state);
+			return true;
+		}
+
+		if (renderTime >= last.t) {
+			const previous = this.samples[this.samples.length - 2];
+			const extrapolation = Math.min(renderTime - last.t, MAX_EXTRAPOLATION);
+			const span = last.t - previous.t;
+			TRANSFORM_KEYS.forEach((key) => {
+				const target = targets[key];
+				target.quaternion.copy(last[key].q);
+				target.position.copy(last[key].p);
+				if (span > 0) {
+					this.velocity.subVectors(last[key].p, previous[key].p).divideScalar(span);
+					target.position.addScaledVector(this.velocity, extrapolation);
+				}
+			});
+			this.copyState(last, last, 0, targets.state);
+			return true;
+		}
+
+		let i = 0;
+		while (this.samples[i + 1].t < renderTime) i++;
+		const from = this.samples[i];
+		const to = this.samples[i + 1];
+		const alpha = (renderTime - from.t) / (to.t - from.t);
+		TRANSFORM_KEYS.forEach((key) => {
+			const target = targets[key];
+			target.position.lerpVectors(from[key].p, to[key].p, alpha);
+			target.quaternion.slerpQuaternions(from[key].q, to[key].q, alpha);
+		});
+		this.copyState(from, to, alpha, targets.state);
+		return true;
+	}
+
+	copyState(from, to, alpha, state) {
+		if (!state) return;
+		state.mode = from.mode;
+		state.plantGroup = from.plantGroup;
+		HAND_KEYS.forEach((key) => {
+			const hand = state[key];
+			hand.pose = from[key].pose;
+			// blending fingers across a pose change would mix unrelated joints
+			const f = from[key].pose === to[key].pose ? to[key].f : from[key].f;
+			hand.index = THREE.MathUtils.lerp(from[key].f[0], f[0], alpha);
+			hand.grip = THREE.MathUtils.lerp(from[key].f[1], f[1], alpha);
+			hand.thumb = THREE.MathUtils.lerp(from[key].f[2], f[2], alpha);
+		});
+	}
+
+	copySample(sample, targets) {
+		TRANSFORM_KEYS.forEach((key) => {
+			targets[key].position.copy(sample[key].p);
+			targets[key].quaternion.copy(sample[key].q);
+		});
+	}
+}
@@ -0,0 +1,220 @@
+/**
+ * Compact binary encoding of presence snapshots, shared by the client
+ * transport and the multiplayer relay.
+ *
+ * Frame layout (little endian):
+ *   0   uint8    frame kind (SNAPSHOT_FRAME_KIND)
+ *   1   uint8    codec version (SNAPSHOT_CODEC_VERSION)
+ *   2   float64  snapshot time
+ *   10  3 x transform (head, left hand, right hand), 10 bytes each:
+ *         int16 x, y, z   position quantized to 1/256m (+-128m)
+ *         uint32          smallest-three quaternion (2 bit index, 3 x 10 bit)
+ *   40  uint8    interaction mode
+ *   41  2 x hand pose (left, right), 4 bytes each:
+ *         uint8           index into HAND_POSES
+ *         uint8 x 3       index, grip and thumb curl, quantized to 1/255
+ *   49  uint8    plantGroup byte length
+ *   50  utf8     plantGroup of the held seed bag
+ *   ..  uint8    clientId byte length (0 when sent by a client)
+ *   ..  utf8     clientId, appended by the relay
+ */
+
+export const SNAPSHOT_FORMATS = {
+	BINARY: 'binary/2',
+	JSON: 'json',
+};
+
+export const SNAPSHOT_FRAME_KIND = 1;
+export const SNAPSHOT_CODEC_VERSION = 2;
+export const SNAPSHOT_HEADER_SIZE = 49;
+
+/**
+ * Hand poses from HandPoses.js JOINTS_DATA, in wire order
+ */
+export const HAND_POSES = ['EMPTY', 'WATERING', 'CAMERA', 'PLANTING', 'GRABBING', 'SEEDBOX'];
+
+const TRANSFORM_KEYS = ['head', 'lh', 'rh'];
+const HAND_KEYS = ['lh', 'rh'];
+const TRANSFORM_SIZE = 10;
+const MODE_OFFSET = 40;
+const POSE_OFFSET = 41;
+const POSE_SIZE = 4;
+const FINGER_SCALE = 255;
+const POSITION_SCALE = 256;
+const INT16_MAX = 32767;
+const QUAT_BITS = 10;
+const QUAT_MASK = (1 << QUAT_BITS) - 1;
+// an even number of steps so that 0 is exactly representable
+const QUAT_MAX = QUAT_MASK - 1;
+const QUAT_RANGE = Math.SQRT1_2;
+const MAX_STRING_LENGTH = 255;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const quantizePosition = (value) => {
+	const quantized = Math.round(value * POSITION_SCALE);
+	return Math.max(-INT16_MAX, Math.min(INT16_MAX, quantized || 0));
+};
+
+const quantizeQuatComponent = (value) => {
+	const normalized = (value + QUAT_RANGE) / (2 * QUAT_RANGE);
+	return Math.max(0, Math.min(QUAT_MAX, Math.round(normalized * QUAT_MAX)));
+};
+
+const dequantizeQuatComponent = (value) => {
+	return (value / QUAT_MAX) * 2 * QUAT_RANGE - QUAT_RANGE;
+};
+
+const quantizeFinger = (value) => {
+	return Math.max(0, Math.min(FINGER_SCALE, Math.round((value || 0) * FINGER_SCALE)));
+};
+
+const encodeString = (value) => {
+	return textEncoder.encode(value || '').subarray(0, MAX_STRING_LENGTH);
+};
+
+/**
+ * @param {Uint8Array} bytes - a frame with a valid header
+ * @returns {{ plantGroupEnd: number, end: number }} where the two trailing strings end
+ */
+const getStringBounds = (bytes) => {
+	const plantGroupEnd = SNAPSHOT_HEADER_SIZE + 1 + bytes[SNAPSHOT_HEADER_SIZE];
+	if (plantGroupEnd >= bytes.length) return { plantGroupEnd, end: -1 };
+	return { plantGroupEnd, end: plantGroupEnd + 1 + bytes[plantGroupEnd] };
+};
+
+/**
+ * Pack a quaternion by dropping its largest component, which is recovered
+ * from the unit length constraint when decoding.
+ * @param {{x: number, y: number, z: number, w: number}} q
+ * @returns {number} unsigned 32 bit packed quaternion
+ */
+export const packQuaternion = (q) => {
+	const components = [q.x || 0, q.y || 0, q.z || 0, q.w || 0];
+	const length = Math.hypot(...components) || 1;
+	let largest = 3;
+	for (let i = 0; i < 4; i++) {
+		components[i] /= length;
+		if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i;
+	}
+	// q and -q are the same rotation, keep the dropped component positive
+	const sign = components[largest] < 0 ? -1 : 1;
+	let packed = largest;
+	for (let i = 0; i < 4; i++) {
+		if (i === largest) continue;
+		packed = packed * (QUAT_MASK + 1) + quantizeQuatComponent(components[i] * sign);
+	}
+	return packed >>> 0;
+};
+
+/**
+ * @param {number} packed - unsigned 32 bit packed quaternion
+ * @param {Object} out - object receiving x, y, z and w
+ * @returns {{x: number, y: number, z: number, w: number}}
+ */
+export const unpackQuaternion = (packed, out = {}) => {
+	const components = [0, 0, 0, 0];
+	const largest = packed >>> (QUAT_BITS * 3);
+	let sumSquares = 0;
+	for (let i = 3, shift = 0; i >= 0; i--) {
+		if (i === largest) continue;
+		const value = dequantizeQuatComponent((packed >>> shift) & QUAT_MASK);
+		components[i] = value;
+		sumSquares += value * value;
+		shift += QUAT_BITS;
+	}
+	components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+	out.x = components[0];
+	out.y = components[1];
+	out.z = components[2];
+	out.w = components[3];
+	return out;
+};
+
+/**
+ * Encode a snapshot into a binary frame
+ * @param {{t: number, head: Object, lh: Object, rh: Object, mode: number, plantGroup: string}} snapshot - transforms
+ * with p (position) and q (quaternion); lh and rh also carry pose (a HAND_POSES name) and f ([index, grip, thumb])
+ * @param {string} clientId - only set by the relay when forwarding
+ * @returns {ArrayBuffer}
+ */
+export const encodeSnapshot = (snapshot, clientId = '') => {
+	const plantGroupBytes = encodeString(snapshot.plantGroup);
+	const idBytes = encodeString(clientId);
+	const buffer = new ArrayBuffer(SNAPSHOT_HEADER_SIZE + 2 + plantGroupBytes.length + idBytes.length);
+	const view = new DataView(buffer);
+	const bytes = new Uint8Array(buffer);
+	view.setUint8(0, SNAPSHOT_FRAME_KIND);
+	view.setUint8(1, SNAPSHOT_CODEC_VERSION);
+	view.setFloat64(2, snapshot.t || 0, true);
+	TRANSFORM_KEYS.forEach((key, index) => {
+		const offset = 10 + index * TRANSFORM_SIZE;
+		const { p, q } = snapshot[key];
+		view.setInt16(offset, quantizePosition(p.x), true);
+		view.setInt16(offset + 2, quantizePosition(p.y), true);
+		view.setInt16(offset + 4, quantizePosition(p.z), true);
+		view.setUint32(offset + 6, packQuaternion(q), true);
+	});
+	view.setUint8(MODE_OFFSET, snapshot.mode || 0);
+	HAND_KEYS.forEach((key, index) => {
+		const offset = POSE_OFFSET + index * POSE_SIZE;
+		const { pose, f = [] } = snapshot[key];
+		view.setUint8(offset, Math.max(0, HAND_POSES.indexOf(pose)));
+		for (let i = 0; i < 3; i++) view.setUint8(offset + 1 + i, quantizeFinger(f[i]));
+	});
+	let offset = SNAPSHOT_HEADER_SIZE;
+	bytes[offset] = plantGroupBytes.length;
+	bytes.set(plantGroupBytes, offset + 1);
+	offset += 1 + plantGroupBytes.length;
+	bytes[offset] = idBytes.length;
+	bytes.set(idBytes, offset + 1);
+	return buffer;
+};
+
+/**
+ * Check that a frame is a snapshot this codec version can read
+ * @param {ArrayBuffer|Uint8Array} frame
+ * @returns {boolean}
+ */
+export const isSnapshotFrame = (frame) => {
+	const bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+	if (bytes.length < SNAPSHOT_HEADER_SIZE + 2) return false;
+	if (bytes[0] !== SNAPSHOT_FRAME_KIND || bytes[1] !== SNAPSHOT_CODEC_VERSION) return false;
+	return bytes.length === getStringBounds(bytes).end;
+};
+
+/**
+ * Decode a binary frame into the same shape as a JSON snapshot message
+ * @param {ArrayBuffer|Uint8Array} frame
+ * @param {Object} out - optional message object to reuse
+ * @returns {Object|null} snapshot message, or null if the frame is invalid
+ */
+export const decodeSnapshot = (frame, out = {}) => {
+	if (!isSnapshotFrame(frame)) return null;
+	const bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	out.v = 1;
+	out.type = 'snapshot';
+	out.t = view.getFloat64(2, true);
+	TRANSFORM_KEYS.forEach((key, index) => {
+		const offset = 10 + index * TRANSFORM_SIZE;
+		const transform = out[key] || (out[key] = { p: {}, q: {} });
+		transform.p.x = view.getInt16(offset, true) / POSITION_SCALE;
+		transform.p.y = view.getInt16(offset + 2, true) / POSITION_SCALE;
+		transform.p.z = view.getInt16(offset + 4, true) / POSITION_SCALE;
+		unpackQuaternion(view.getUint32(offset + 6, true), transform.q);
+	});
+	out.mode = bytes[MODE_OFFSET];
+	HAND_KEYS.forEach((key, index) => {
+		const offset = POSE_OFFSET + index * POSE_SIZE;
+		const transform = out[key];
+		transform.pose = HAND_POSES[bytes[offset]] ?? HAND_POSES[0];
+		transform.f = transform.f || [0, 0, 0];
+		for (let i = 0; i < 3; i++) transform.f[i] = bytes[offset + 1 + i] / FINGER_SCALE;
+	});
+	const { plantGroupEnd, end } = getStringBounds(bytes);
+	out.plantGroup = textDecoder.decode(bytes.subarray(SNAPSHOT_HEADER_SIZE + 1, plantGroupEnd));
+	out.clientId = textDecoder.decode(bytes.subarray(plantGroupEnd + 1, end));
+	return out;
+};
@@ -1,21 +1,61 @@
 /**
- * WebSocket transport with reconnection logic and message queuing
+ * WebSocket transport with reconnection logic and two channels.
+ *
+ * The reliable channel (CHANNELS.RELIABLE) queues messages while
+ * disconnected and until the owner calls markReady() for the new connection
+ * (once the relay accepted its hello). Each message gets a sequence number
+ * (rseq) when it is sent and is kept until the relay acknowledges it with an
+ * ack message carrying the last rseq it processed. Unacknowledged messages
+ * are sent again after ackTimeout and on every new connection, the relay
+ * drops the ones it already processed. Reliable messages are never dropped,
+ * however long the queue gets while disconnected.
+ *
+ * The unreliable channel (CHANNELS.UNRELIABLE) is latest-wins: messages are
+ * never queued, and are skipped while the socket is still busy sending
+ * earlier data, since the next one supersedes them. Presence snapshots go
+ * this way, in the negotiated snapshot format.
+ *
+ * Handshake messages go through sendNow() and are never queued either.
  */
 
+import {
+	SNAPSHOT_FORMATS,
+	decodeSnapshot,
+	encodeSnapshot,
+} from './SnapshotCodec';
+
+export const CHANNELS = {
+	RELIABLE: 'reliable',
+	UNRELIABLE: 'unreliable',
+};
+
 export class TransportWebSocket {
-	constructor(url) {
+	/**
+	 * @param {string} url
+	 * @param {{ snapshotFormats: string[] }} options - snapshot formats offered in hello, in order of preference
+	 */
+	constructor(url, { snapshotFormats = [SNAPSHOT_FORMATS.BINARY, SNAPSHOT_FORMATS.JSON] } = {}) {
 		this.url = url;
 		this.ws = null;
 		this.isConnecting = false;
 		this.isConnected = false;
+		this.isReady = false;
 		this.reconnectAttempts = 0;
 		this.maxReconnectAttempts = 10;
 		this.reconnectDelay = 1000; // Start at 1 second
 		this.maxReconnectDelay = 30000; // Max 30 seconds
-		this.messageQueue = [];
-		this.maxQueueSize = 100;
+		this.messageQueue = []; // reliable messages not sent yet
+		this.unackedMessages = []; // { rseq, message, sentAt } sent on the reliable channel, in rseq order
+		this.nextReliableSeq = 1;
+		this.ackTimeout = 2000; // ms before an unacknowledged message is sent again
+		this.retransmitTimer = null;
+		this.maxBufferedAmount = 64 * 1024; // bytes, unreliable messages are skipped above this
+		this.skippedMessages = 0;
 		this.listeners = new Map();
 		this.reconnectTimer = null;
+		this.snapshotFormats = snapshotFormats;
+		// JSON until the server picks a format in hello_ack
+		this.snapshotFormat = SNAPSHOT_FORMATS.JSON;
 
 		// Bind methods
 		this.onOpen = this.onOpen.bind(this);
@@ -34,6 +74,7 @@ export class TransportWebSocket {
 
 		try {
 			this.ws = new WebSocket(this.url);
+			this.ws.binaryType = 'arraybuffer';
 			this.ws.addEventListener('open', this.onOpen);
 			this.ws.addEventListener('close', this.onClose);
 			this.ws.addEventListener('error', this.onError);
@@ -62,47 +103,184 @@ export class TransportWebSocket {
 			this.ws = null;
 		}
 
+		this.stopRetransmitTimer();
 		this.isConnecting = false;
 		this.isConnected = false;
+		this.isReady = false;
 		this.messageQueue.length = 0;
+		this.unackedMessages.length = 0;
+		this.nextReliableSeq = 1;
 	}
 
-	send(message) {
-		const messageStr = JSON.stringify(message);
+	/**
+	 * @param {Object} message
+	 * @param {string} channel - CHANNELS.RELIABLE or CHANNELS.UNRELIABLE
+	 * @returns {boolean} whether the message was sent right away
+	 */
+	send(message, channel = CHANNELS.RELIABLE) {
+		if (channel === CHANNELS.UNRELIABLE) return this.sendUnreliable(message);
+		this.queueMessage(message);
+		this.flushQueue();
+		return this.messageQueue.length === 0;
+	}
 
-		if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-			try {
-				this.ws.send(messageStr);
-				return true;
-			} catch (error) {
-				console.warn('Failed to send message:', error);
-				this.queueMessage(messageStr);
-				return false;
+	/**
+	 * Send a message if the connection is ready and not backed up, presence
+	 * snapshots in the negotiated format
+	 * @param {Object} message
+	 * @returns {boolean} whether the message was sent
+	 */
+	sendUnreliable(message) {
+		if (!this.isReady || this.ws.readyState !== WebSocket.OPEN) return false;
+		if (this.ws.bufferedAmount > this.maxBufferedAmount) {
+			this.skippedMessages++;
+			return false;
+		}
+		try {
+			if (message.type === 'snapshot' && this.snapshotFormat === SNAPSHOT_FORMATS.BINARY) {
+				this.ws.send(encodeSnapshot(message));
+			} else {
+				this.ws.send(JSON.stringify(message));
 			}
-		} else {
-			this.queueMessage(messageStr);
+			return true;
+		} catch (error) {
+			console.warn('Failed to send message:', error);
 			return false;
 		}
 	}
 
-	queueMessage(messageStr) {
-		if (this.messageQueue.length >= this.maxQueueSize) {
-			this.messageQueue.shift(); // Remove oldest message
+	/**
+	 * Send a message on the current connection only, without queuing. Used for
+	 * hello and clock probes, which mean nothing on a later connection.
+	 * @param {Object} message
+	 * @returns {boolean} whether the message was sent
+	 */
+	sendNow(message) {
+		if (!this.isConnected || this.ws.readyState !== WebSocket.OPEN) return false;
+		try {
+			this.ws.send(JSON.stringify(message));
+			return true;
+		} catch (error) {
+			console.warn('Failed to send message:', error);
+			return false;
 		}
-		this.messageQueue.push(messageStr);
 	}
 
+	/**
+	 * The relay accepted this connection, send what it has not acknowledged
+	 * yet and everything queued meanwhile
+	 */
+	markReady() {
+		if (!this.isConnected) return;
+		this.isReady = true;
+		this.retransmit(0);
+		this.flushQueue();
+		this.startRetransmitTimer();
+	}
+
+	/**
+	 * Start the reliable channel over for a new relay session, which has not
+	 * seen any of our sequence numbers. Unacknowledged messages go back to
+	 * the front of the queue, to be numbered again.
+	 */
+	resetReliableChannel() {
+		this.messageQueue.unshift(...this.unackedMessages.map(({ message }) => message));
+		this.unackedMessages.length = 0;
+		this.nextReliableSeq = 1;
+	}
+
+	/**
+	 * Apply the snapshot format chosen by the server
+	 * @param {string} format
+	 */
+	setSnapshotFormat(format) {
+		this.snapshotFormat = this.snapshotFormats.includes(format)
+			? format
+			: SNAPSHOT_FORMATS.JSON;
+	}
+
+	queueMessage(message) {
+		this.messageQueue.push(message);
+	}
+
+	/**
+	 * @param {function(Object): boolean} predicate
+	 * @returns {boolean} whether a reliable message the relay has not
+	 * acknowledged yet matches
+	 */
+	hasQueuedMessage(predicate) {
+		return (
+			this.unackedMessages.some(({ message }) => predicate(message)) ||
+			this.messageQueue.some(predicate)
+		);
+	}
+
+	/**
+	 * Send queued reliable messages, numbered in the order they are sent
+	 */
 	flushQueue() {
-		while (this.messageQueue.length > 0 && this.isConnected) {
-			const messageStr = this.messageQueue.shift();
+		while (this.messageQueue.length > 0 && this.isReady) {
+			const entry = {
+				rseq: this.nextReliableSeq,
+				message: this.messageQueue[0],
+				sentAt: Date.now(),
+			};
 			try {
-				this.ws.send(messageStr);
+				this.sendSequenced(entry);
 			} catch (error) {
 				console.warn('Failed to send queued message:', error);
-				// Put it back at the front
-				this.messageQueue.unshift(messageStr);
 				break;
 			}
+			this.messageQueue.shift();
+			this.nextReliableSeq++;
+			this.unackedMessages.push(entry);
+		}
+	}
+
+	sendSequenced({ rseq, message }) {
+		this.ws.send(JSON.stringify({ ...message, rseq }));
+	}
+
+	/**
+	 * Send unacknowledged messages again, in order
+	 * @param {number} timeout - ms since a message was last sent
+	 */
+	retransmit(timeout = this.ackTimeout) {
+		if (!this.isReady) return;
+		// still on its way out, the relay cannot have acknowledged it yet
+		if (timeout > 0 && this.ws.bufferedAmount > 0) return;
+		const now = Date.now();
+		for (const entry of this.unackedMessages) {
+			if (now - entry.sentAt < timeout) break;
+			try {
+				this.sendSequenced(entry);
+			} catch (error) {
+				console.warn('Failed to resend message:', error);
+				break;
+			}
+			entry.sentAt = now;
+		}
+	}
+
+	/**
+	 * @param {number} rseq - the last sequence number the relay processed
+	 */
+	handleAck(rseq) {
+		if (!Number.isInteger(rseq)) return;
+		while (this.unackedMessages.length > 0 && this.unackedMessages[0].rseq <= rseq) {
+			this.unackedMessages.shift();
+		}
+	}
+
+	startRetransmitTimer() {
+		this.stopRetransmitTimer();
+		this.retransmitTimer = setInterval(() => this.retransmit(), this.ackTimeout / 2);
+	}
+
+	stopRetransmitTimer() {
+		if (this.retransmitTimer) {
+			clearInterval(this.retransmitTimer);
+			this.retransmitTimer = null;
 		}
 	}
 
@@ -143,7 +321,7 @@ export class TransportWebSocket {
 		this.reconnectAttempts = 0;
 		this.reconnectDelay = 1000;
 
-		this.flushQueue();
+		// Queued messages wait for markReady(), after the owner's handshake
 		this.emit('open');
 	}
 
@@ -151,11 +329,15 @@ export class TransportWebSocket {
 		console.log('WebSocket closed:', event.code, event.reason);
 		this.isConnecting = false;
 		this.isConnected = false;
+		this.isReady = false;
+		this.stopRetransmitTimer();
+		this.snapshotFormat = SNAPSHOT_FORMATS.JSON;
 
 		this.emit('close', event);
 
-		// Attempt to reconnect unless it was a clean close
-		if (event.code !== 1000) {
+		// Attempt to reconnect unless it was a clean close, or the server
+		// turned us away on purpose (kicked, room full, wrong password...)
+		if (event.code !== 1000 && event.code < 4000) {
 			this.scheduleReconnect();
 		}
 	}
@@ -166,8 +348,21 @@ export class TransportWebSocket {
 	}
 
 	onMessage(event) {
+		if (event.data instanceof ArrayBuffer) {
+			const message = decodeSnapshot(event.data);
+			if (message) {
+				this.emit('message', message);
+			} else {
+				console.warn('Failed to decode binary WebSocket message');
+			}
+			return;
+		}
 		try {
 			const message = JSON.parse(event.data);
+			if (message.type === 'ack') {
+				this.handleAck(message.rseq);
+				return;
+			}
 			this.emit('message', message);
 		} catch (error) {
 			console.warn('Failed to parse WebSocket message:', error);
@@ -203,8 +398,11 @@ export class TransportWebSocket {
 		return {
 			isConnected: this.isConnected,
 			isConnecting: this.isConnecting,
+			isReady: this.isReady,
 			reconnectAttempts: this.reconnectAttempts,
 			queuedMessages: this.messageQueue.length,
+			unackedMessages: this.unackedMessages.length,
+			skippedMessages: this.skippedMessages,
 		};
 	}
 }
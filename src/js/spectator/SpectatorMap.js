@@ -0,0 +1,150 @@
+/**
+ * Top-down map of BASE_SCENE for the spectator page. The scene is rendered
+ * once from above into the backdrop, players and plants are drawn over it
+ * every frame.
+ */
+
+import * as THREE from 'three';
+
+import { AssetURLs } from '@config/AssetURLs';
+import { CompressedGLTFLoader } from '../lib/CompressedGLTFLoader';
+import { SPECTATOR_CONSTANTS } from '../Constants';
+import { updateMatrixRecursively } from '../utils/object3dUtils';
+
+const {
+	MAP_MIN,
+	MAP_MAX,
+	MAP_RESOLUTION,
+	MAP_CAMERA_HEIGHT,
+	PLAYER_MARKER_SIZE,
+	PLANT_ICON_SIZE,
+	PLANT_COLORS,
+} = SPECTATOR_CONSTANTS;
+
+export class SpectatorMap {
+	/**
+	 * @param {HTMLElement} container - holds the backdrop and the overlay on top of each other
+	 */
+	constructor(container) {
+		this.renderer = new THREE.WebGLRenderer({ antialias: true });
+		this.renderer.outputEncoding = THREE.sRGBEncoding;
+		this.renderer.setSize(MAP_RESOLUTION, MAP_RESOLUTION, false);
+		this.renderer.domElement.classList.add('spectator-map-layer');
+		container.appendChild(this.renderer.domElement);
+
+		this.overlay = document.createElement('canvas');
+		this.overlay.width = MAP_RESOLUTION;
+		this.overlay.height = MAP_RESOLUTION;
+		this.overlay.classList.add('spectator-map-layer');
+		container.appendChild(this.overlay);
+		this.context = this.overlay.getContext('2d');
+
+		this.forward = new THREE.Vector3();
+		this.quaternion = new THREE.Quaternion();
+	}
+
+	/**
+	 * Render BASE_SCENE from above, without its sky
+	 * @returns {Promise<void>}
+	 */
+	async renderBackdrop() {
+		const scene = new THREE.Scene();
+		scene.background = new THREE.Color(0x9ecfe0);
+		scene.add(new THREE.HemisphereLight(0xffffff, 0x667755, 1.2));
+		const sun = new THREE.DirectionalLight(0xffffff, 0.8);
+		sun.position.set(20, 50, 10);
+		scene.add(sun);
+
+		const loader = new CompressedGLTFLoader(this.renderer);
+		const gltf = await loader.loadAsync(AssetURLs.MESHES.BASE_SCENE);
+		gltf.scene.traverse((node) => {
+			if (node.name.match(/sky/i) || node.material?.name?.match(/sky/i)) {
+				node.visible = false;
+			}
+		});
+		scene.add(gltf.scene);
+		updateMatrixRecursively(scene);
+		scene.updateMatrixWorld(true);
+
+		// north (-z) is up
+		const camera = new THREE.OrthographicCamera(
+			MAP_MIN.x,
+			MAP_MAX.x,
+			-MAP_MIN.y,
+			-MAP_MAX.y,
+			0.1,
+			MAP_CAMERA_HEIGHT * 2,
+		);
+		camera.position.set(0, MAP_CAMERA_HEIGHT, 0);
+		camera.up.set(0, 0, -1);
+		camera.lookAt(0, 0, 0);
+		camera.updateMatrix();
+		camera.updateMatrixWorld(true);
+		this.renderer.render(scene, camera);
+	}
+
+	/**
+	 * @param {{ x: number, z: number }} pos - position in the scene
+	 * @returns {{ x: number, y: number }} pixels on the map
+	 */
+	toMap({ x, z }) {
+		return {
+			x: ((x - MAP_MIN.x) / (MAP_MAX.x - MAP_MIN.x)) * MAP_RESOLUTION,
+			y: ((z - MAP_MIN.y) / (MAP_MAX.y - MAP_MIN.y)) * MAP_RESOLUTION,
+		};
+	}
+
+	/**
+	 * @param {Map<string, Object>} players - from SpectatorSession
+	 * @param {Map<string, Object>} plants - from SpectatorSession
+	 * @param {string|null} hostId
+	 */
+	draw(players, plants, hostId) {
+		const ctx = this.context;
+		ctx.clearRect(0, 0, MAP_RESOLUTION, MAP_RESOLUTION);
+
+		plants.forEach(({ plantType, pos }) => {
+			const { x, y } = this.toMap(pos);
+			ctx.fillStyle =
+				PLANT_COLORS[plantType?.split('_')[0]] ?? PLANT_COLORS.default;
+			ctx.beginPath();
+			ctx.arc(x, y, PLANT_ICON_SIZE / 2, 0, Math.PI * 2);
+			ctx.fill();
+		});
+
+		players.forEach(({ name, color, head }, clientId) => {
+			if (!head) return;
+			const { x, y } = this.toMap(head.p);
+			// the direction the player looks in, flattened onto the map
+			this.quaternion.set(head.q.x, head.q.y, head.q.z, head.q.w);
+			this.forward.set(0, 0, -1).applyQuaternion(this.quaternion);
+			const heading = Math.atan2(this.forward.z, this.forward.x);
+
+			ctx.save();
+			ctx.translate(x, y);
+			ctx.rotate(heading);
+			ctx.fillStyle = color;
+			ctx.strokeStyle = '#ffffff';
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.moveTo(PLAYER_MARKER_SIZE, 0);
+			ctx.lineTo(-PLAYER_MARKER_SIZE / 2, PLAYER_MARKER_SIZE / 2);
+			ctx.lineTo(-PLAYER_MARKER_SIZE / 4, 0);
+			ctx.lineTo(-PLAYER_MARKER_SIZE / 2, -PLAYER_MARKER_SIZE / 2);
+			ctx.closePath();
+			ctx.fill();
+			ctx.stroke();
+			ctx.restore();
+
+			const label = clientId === hostId ? `${name} (host)` : name;
+			if (!label) return;
+			ctx.font = '14px Roboto, sans-serif';
+			ctx.textAlign = 'center';
+			ctx.lineWidth = 3;
+			ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+			ctx.strokeText(label, x, y - PLAYER_MARKER_SIZE - 4);
+			ctx.fillStyle = '#ffffff';
+			ctx.fillText(label, x, y - PLAYER_MARKER_SIZE - 4);
+		});
+	}
+}
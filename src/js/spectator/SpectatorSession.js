@@ -0,0 +1,138 @@
+/**
+ * Read-only connection of the spectator page to a multiplayer room. It joins
+ * the relay as an observer, which other players do not see, and keeps track
+ * of where everyone is and what is planted.
+ */
+
+import {
+	getMultiplayerServerUrl,
+	getRoomPassword,
+} from '../utils/multiplayerUtils';
+
+import { SNAPSHOT_FORMATS } from '../lib/net/SnapshotCodec';
+import { TransportWebSocket } from '../lib/net/TransportWebSocket';
+import { getRoomGardenPlants } from '../lib/net/RoomGarden';
+
+export class SpectatorSession {
+	/**
+	 * @param {string} room - the room to watch
+	 */
+	constructor(room) {
+		this.room = room;
+		this.clientId =
+			'pfb_spectator_' +
+			Math.random().toString(36).slice(2, 8) +
+			'_' +
+			Date.now().toString(36);
+		this.sessionToken = null; // from hello_ack, presented again to resume after a reconnect
+		this.lastSeq = 0; // sequence number of the last room event received
+		this.hostId = null;
+		this.players = new Map(); // clientId -> { name, color, head: { p, q }|null }
+		this.plants = new Map(); // netId -> { plantType, pos }
+		this.error = null; // last error from the relay
+		this.transport = new TransportWebSocket(getMultiplayerServerUrl(), {
+			snapshotFormats: [SNAPSHOT_FORMATS.BINARY, SNAPSHOT_FORMATS.JSON],
+		});
+		this.transport.on('open', () => {
+			this.transport.sendNow({
+				v: 1,
+				type: 'hello',
+				clientId: this.clientId,
+				room: this.room,
+				observer: true,
+				password: getRoomPassword(),
+				sessionToken: this.sessionToken ?? undefined,
+				lastSeq: this.lastSeq,
+			});
+		});
+		this.transport.on('message', (message) => this.handleMessage(message));
+	}
+
+	get isConnected() {
+		return this.transport.isConnected;
+	}
+
+	connect() {
+		this.transport.connect();
+	}
+
+	handleMessage(message) {
+		const { type, seq } = message;
+		// Room events are sequenced, replays after a resume may overlap what we have
+		if (Number.isInteger(seq)) {
+			if (seq <= this.lastSeq) return;
+			this.lastSeq = seq;
+		}
+		switch (type) {
+			case 'hello_ack':
+				this.handleHelloAck(message);
+				break;
+			case 'join':
+				this.handlePlayerJoin(message);
+				break;
+			case 'leave':
+				this.players.delete(message.clientId);
+				break;
+			case 'snapshot':
+				this.handleSnapshot(message);
+				break;
+			case 'roles':
+				this.hostId = message.hostId ?? null;
+				break;
+			case 'state:sync':
+				this.plants.clear();
+				(message.plants ?? []).forEach((plant) => this.addPlant(plant));
+				break;
+			case 'room:garden':
+				this.plants.clear();
+				getRoomGardenPlants(message.objects).forEach((plant) =>
+					this.addPlant(plant),
+				);
+				break;
+			case 'event:plant':
+				this.addPlant(message);
+				break;
+			case 'event:pick':
+			case 'event:remove':
+				this.plants.delete(message.netId);
+				break;
+			case 'error':
+				this.error = message.error;
+				console.warn('Multiplayer server error:', message.error);
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * A new session is followed by the players and the whole room state again
+	 * @param {{ sessionToken: string, resumed: boolean, roomSeq: number }} message
+	 */
+	handleHelloAck({ sessionToken, resumed, roomSeq }) {
+		this.sessionToken = sessionToken ?? null;
+		this.error = null;
+		if (resumed) return;
+		this.lastSeq = Number.isInteger(roomSeq) ? roomSeq : 0;
+		this.players.clear();
+	}
+
+	handlePlayerJoin({ clientId, name, color }) {
+		const player = this.players.get(clientId);
+		this.players.set(clientId, { head: null, ...player, name, color });
+	}
+
+	handleSnapshot({ clientId, head }) {
+		if (!head) return;
+		const player = this.players.get(clientId) ?? {
+			name: '',
+			color: '#4caf50',
+		};
+		this.players.set(clientId, { ...player, head });
+	}
+
+	addPlant({ netId, plantType, pos }) {
+		if (!netId || !pos) return;
+		this.plants.set(netId, { plantType, pos });
+	}
+}
@@ -13,6 +13,46 @@ import { PhotoMenuComponent } from 'src/js/components/ScreenshotCameraComponent'
 import { System } from 'ecsy';
 import { THREEGlobalComponent } from 'src/js/components/THREEGlobalComponent';
 import { getOnlyEntity } from 'src/js/utils/entityUtils';
+import { isMultiplayerEnabled } from 'src/js/utils/multiplayerUtils';
+
+/**
+ * Face of the share tile, there is no share icon in the tile model
+ * @returns {THREE.Texture}
+ */
+const createShareIconTexture = () => {
+	const canvas = document.createElement('CANVAS');
+	canvas.width = 128;
+	canvas.height = 128;
+	const ctx = canvas.getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+	// three connected nodes
+	const nodes = [
+		[84, 36],
+		[40, 64],
+		[84, 92],
+	];
+	ctx.strokeStyle = '#333333';
+	ctx.lineWidth = 8;
+	ctx.beginPath();
+	ctx.moveTo(...nodes[0]);
+	ctx.lineTo(...nodes[1]);
+	ctx.lineTo(...nodes[2]);
+	ctx.stroke();
+	ctx.fillStyle = '#333333';
+	nodes.forEach(([x, y]) => {
+		ctx.beginPath();
+		ctx.arc(x, y, 14, 0, Math.PI * 2);
+		ctx.fill();
+	});
+
+	const texture = new THREE.CanvasTexture(canvas);
+	// same conventions as the textures of the tile model
+	texture.encoding = THREE.sRGBEncoding;
+	texture.flipY = false;
+	return texture;
+};
 
 export class PhotoMenuCreationSystem extends System {
 	init() {
@@ -38,7 +78,20 @@ export class PhotoMenuCreationSystem extends System {
 
 			const deleteButton = actionButtons.getObjectByName('discard_tile');
 			const saveButton = actionButtons.getObjectByName('download_tile');
-			[deleteButton, saveButton].forEach((tileObject) => {
+			const tileObjects = [deleteButton, saveButton];
+
+			// sharing with the room only makes sense in multiplayer
+			let shareButton = null;
+			if (isMultiplayerEnabled()) {
+				shareButton = saveButton.clone();
+				shareButton.name = 'share_tile';
+				shareButton.getObjectByName('download_tile_face').name =
+					'share_tile_face';
+				actionButtons.add(shareButton);
+				tileObjects.push(shareButton);
+			}
+
+			tileObjects.forEach((tileObject) => {
 				tileObject.position.x = -0.15;
 
 				const tileFaceMesh = tileObject.getObjectByName(
@@ -61,9 +114,16 @@ export class PhotoMenuCreationSystem extends System {
 				tileObject.faceMesh = tileFaceMesh;
 			});
 
+			if (shareButton) {
+				// on the other side of the photo, away from the other two tiles
+				shareButton.position.set(0.15, 0, 0);
+				shareButton.faceMesh.material.map = createShareIconTexture();
+			}
+
 			this.actionMenuEntity.addComponent(PhotoMenuComponent, {
 				deleteButton,
 				saveButton,
+				shareButton,
 			});
 		}
 	}
@@ -22,6 +22,7 @@ import { InteractionSystem } from '../../lib/InteractionSystem';
 import { MeshIdComponent } from 'src/js/components/AssetReplacementComponents';
 import { Object3DComponent } from '../../components/Object3DComponent';
 import { OneshotAudioComponent } from '../../components/AudioComponents';
+import { PhotoShareRequestComponent } from '../../components/multiplayer/PhotoShareRequestComponent';
 import { TRIGGERS } from '../../lib/ControllerInterface';
 import { updateMatrixRecursively } from '../../utils/object3dUtils';
 import { usedPhotoButtonEvent } from '../../lib/CustomEvents';
@@ -30,6 +31,7 @@ const INTERACTION_MODES = GameStateComponent.INTERACTION_MODES;
 const PHOTO_ACTION = {
 	DELETE: 0,
 	SAVE: 1,
+	SHARE: 2,
 };
 
 export class PhotoSystem extends InteractionSystem {
@@ -43,6 +45,7 @@ export class PhotoSystem extends InteractionSystem {
 		this.photoInHand = null;
 		this.deleteButton = null;
 		this.saveButton = null;
+		this.shareButton = null;
 		this.actionButtons = null;
 		this.cameraPosition = new THREE.Vector3();
 		this.actionToTake = null;
@@ -58,6 +61,9 @@ export class PhotoSystem extends InteractionSystem {
 		this.saveButton = photoMenuEntity.getComponent(
 			PhotoMenuComponent,
 		).saveButton;
+		this.shareButton = photoMenuEntity.getComponent(
+			PhotoMenuComponent,
+		).shareButton;
 	}
 
 	onExitMode() {
@@ -119,6 +125,15 @@ export class PhotoSystem extends InteractionSystem {
 							});
 							this._savePhoto(this.photoInHand);
 							break;
+						case PHOTO_ACTION.SHARE:
+							OneshotAudioComponent.createSFX(this.world, {
+								id: 'CAMERA_SAVE',
+								position: this.actionButtons.getWorldPosition(
+									new THREE.Vector3(),
+								),
+							});
+							this._sharePhoto(this.photoInHand);
+							break;
 						default:
 							break;
 					}
@@ -192,6 +207,22 @@ export class PhotoSystem extends InteractionSystem {
 		this._deletePhoto(photoEntity);
 	}
 
+	/**
+	 * Share photo with everyone in the multiplayer room and leave it where it
+	 * was let go, where the other players' copies appear too
+	 * @param {import('ecsy').Entity} photoEntity
+	 */
+	_sharePhoto(photoEntity) {
+		if (!photoEntity.hasComponent(PhotoShareRequestComponent)) {
+			photoEntity.addComponent(PhotoShareRequestComponent);
+		}
+		this._detachPhoto();
+		photoEntity.getMutableComponent(PhotoComponent).deleteTimer =
+			SCREENSHOT_CAMERA_CONSTANTS.SHARED_PHOTO_EXPIRATION_TIME;
+
+		window.dispatchEvent(usedPhotoButtonEvent);
+	}
+
 	/**
 	 * Find the closest grabbable photo and its distance to the controller
 	 * @param {import('../../lib/ControllerInterface').ControllerInterface} controller
@@ -264,7 +295,9 @@ export class PhotoSystem extends InteractionSystem {
 		[
 			[this.deleteButton, PHOTO_ACTION.DELETE],
 			[this.saveButton, PHOTO_ACTION.SAVE],
+			[this.shareButton, PHOTO_ACTION.SHARE],
 		].forEach(([buttonMesh, action]) => {
+			if (!buttonMesh) return;
 			const distance = photoObject
 				.getWorldPosition(new THREE.Vector3())
 				.distanceTo(buttonMesh.getWorldPosition(new THREE.Vector3()));
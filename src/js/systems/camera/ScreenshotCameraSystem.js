@@ -22,6 +22,7 @@ import { PlayerStateComponent } from '../../components/PlayerStateComponent';
 import { SCREENSHOT_CAMERA_CONSTANTS } from '../../Constants';
 import { SceneLightingComponent } from '../../components/SceneLightingComponent';
 import { THREEGlobalComponent } from '../../components/THREEGlobalComponent';
+import { createPhotoObject } from '../../utils/photoUtils';
 import { getOnlyEntity } from '../../utils/entityUtils';
 import { updateMatrixRecursively } from 'src/js/utils/object3dUtils';
 
@@ -335,30 +336,23 @@ export class ScreenshotCameraSystem extends InteractionSystem {
 
 		const _this = this;
 
-		const photoGeometry = new THREE.PlaneGeometry(
-			(processedCanvas.width / processedCanvas.height) *
-				(SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT -
-					SCREENSHOT_CAMERA_CONSTANTS.PREVIEW_PADDING[1]),
-			SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT -
-				SCREENSHOT_CAMERA_CONSTANTS.PREVIEW_PADDING[0],
-		);
-		const backerGeometry = new THREE.PlaneGeometry(
-			(processedCanvas.width / processedCanvas.height) *
-				SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT,
-			SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT,
-		);
-		const photoObject = new THREE.Group();
-
-		const backMesh = new THREE.Mesh(
-			backerGeometry,
-			new THREE.MeshBasicMaterial({
-				color: 0xffffff,
-				side: THREE.DoubleSide,
-			}),
+		const savedRenderTarget = new THREE.WebGLRenderTarget(
+			SCREENSHOT_CAMERA_CONSTANTS.CAMERA_PREVIEW_RESOLUTION_WIDTH,
+			SCREENSHOT_CAMERA_CONSTANTS.CAMERA_PREVIEW_RESOLUTION_HEIGHT,
+			{ samples: 4, generateMipmaps: true },
 		);
+		this.renderToTarget(cameraComponent.previewCamera, savedRenderTarget, true);
 
-		// back side with solid color
-		photoObject.add(backMesh);
+		_this.photoMaterial = new THREE.MeshBasicMaterial({
+			map: savedRenderTarget.texture,
+			transparent: false,
+			opacity: 1.0,
+		});
+
+		const photoObject = createPhotoObject(
+			_this.photoMaterial,
+			processedCanvas.width / processedCanvas.height,
+		);
 
 		cameraObject.add(photoObject);
 		photoObject.position.copy(
@@ -376,26 +370,6 @@ export class ScreenshotCameraSystem extends InteractionSystem {
 			position: photoObject.position,
 		});
 
-		const savedRenderTarget = new THREE.WebGLRenderTarget(
-			SCREENSHOT_CAMERA_CONSTANTS.CAMERA_PREVIEW_RESOLUTION_WIDTH,
-			SCREENSHOT_CAMERA_CONSTANTS.CAMERA_PREVIEW_RESOLUTION_HEIGHT,
-			{ samples: 4, generateMipmaps: true },
-		);
-		this.renderToTarget(cameraComponent.previewCamera, savedRenderTarget, true);
-
-		_this.photoMaterial = new THREE.MeshBasicMaterial({
-			map: savedRenderTarget.texture,
-			transparent: false,
-			opacity: 1.0,
-		});
-
-		const photoMesh = new THREE.Mesh(photoGeometry, _this.photoMaterial);
-		// offset this a bit to avoid zfighting
-		photoMesh.position.z += 0.0001;
-
-		// front side with texture
-		photoObject.add(photoMesh);
-
 		_this.currentPhotoTexture = savedRenderTarget.texture;
 		_this.currentPhotoDataUrl = rotatedCanvas.toDataURL('image/jpeg', 0.9);
 	}
@@ -15,6 +15,10 @@ import {
 	MeshIdComponent,
 	createReplaceableMesh,
 } from 'src/js/components/AssetReplacementComponents';
+import {
+	createFaunaRandom,
+	getRandomHorizontalDirection,
+} from 'src/js/utils/faunaUtils';
 
 import { AERIAL_FAUNA_CONSTANTS } from 'src/js/Constants';
 import { DEBUG_CONSTANTS } from '../../Constants';
@@ -31,6 +35,7 @@ export class AerialFaunaCreationSystem extends System {
 		this._scene = getOnlyEntity(this.queries.gameManager).getComponent(
 			THREEGlobalComponent,
 		).scene;
+		this._random = createFaunaRandom('aerial');
 
 		if (DEBUG_CONSTANTS.DISABLE_AIR_FAUNA !== true) {
 			AERIAL_FAUNA_CONSTANTS.GROUPS.forEach((group) => {
@@ -80,10 +85,14 @@ export class AerialFaunaCreationSystem extends System {
 		const entity = this.world.createEntity();
 		const mesh = createReplaceableMesh(
 			entity,
-			VARIATION_MESH_IDS[Math.floor(Math.random() * VARIATION_MESH_IDS.length)],
+			VARIATION_MESH_IDS[
+				Math.floor(this._random.next() * VARIATION_MESH_IDS.length)
+			],
 		);
 		const speed =
-			BASE_SPEED - SPEED_DELTA_RANGE / 2 + Math.random() * SPEED_DELTA_RANGE;
+			BASE_SPEED -
+			SPEED_DELTA_RANGE / 2 +
+			this._random.next() * SPEED_DELTA_RANGE;
 		entity.addComponent(FaunaAnimationComponent, {
 			selfAlternatingAnimations: SELF_ALTER_ANIM_IDS.map((animId) => ({
 				animId: animId,
@@ -97,12 +106,12 @@ export class AerialFaunaCreationSystem extends System {
 			})),
 		});
 
-		const initialDirection = new THREE.Vector3().random();
-		initialDirection.y = 0;
-		initialDirection.normalize();
+		const initialDirection = getRandomHorizontalDirection(
+			this._random,
+		).normalize();
 
 		this._scene.add(mesh);
-		mesh.position.copy(generateRandomPointInBox3(BOUNDING_BOX3));
+		mesh.position.copy(generateRandomPointInBox3(BOUNDING_BOX3, this._random));
 		mesh.lookAt(initialDirection);
 		entity.addComponent(AerialFaunaMovementComponent, {
 			speed,
@@ -110,11 +119,11 @@ export class AerialFaunaCreationSystem extends System {
 			verticalVariationOffset:
 				VERTICAL_PATH_VARIATION_FACTOR == 0
 					? 0
-					: Math.random() / VERTICAL_PATH_VARIATION_FREQ,
+					: this._random.next() / VERTICAL_PATH_VARIATION_FREQ,
 			horizontalVariationOffset:
 				HORIZONTAL_PATH_VARIATION_FACTOR == 0
 					? 0
-					: Math.random() / HORIZONTAL_PATH_VARIATION_FREQ,
+					: this._random.next() / HORIZONTAL_PATH_VARIATION_FREQ,
 		});
 		if (AUDIO_CONFIG) {
 			entity.addComponent(PlaylistAudioComponent, AUDIO_CONFIG);
@@ -143,9 +152,9 @@ AerialFaunaCreationSystem.queries = {
 	faunaGroups: { components: [AerialFaunaGroupComponent] },
 };
 
-const generateRandomPointInBox3 = (box3) => {
-	const x = box3.min.x + (box3.max.x - box3.min.x) * Math.random();
-	const y = box3.min.y + (box3.max.y - box3.min.y) * Math.random();
-	const z = box3.min.z + (box3.max.z - box3.min.z) * Math.random();
+const generateRandomPointInBox3 = (box3, random) => {
+	const x = box3.min.x + (box3.max.x - box3.min.x) * random.next();
+	const y = box3.min.y + (box3.max.y - box3.min.y) * random.next();
+	const z = box3.min.z + (box3.max.z - box3.min.z) * random.next();
 	return new THREE.Vector3(x, y, z);
 };
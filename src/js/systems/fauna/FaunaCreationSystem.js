@@ -20,6 +20,10 @@ import {
 	MorphTargetMeshInitialized,
 } from '../../components/MorphTargetAnimationComponent';
 import { Not, System } from 'ecsy';
+import {
+	createFaunaRandom,
+	getRandomHorizontalDirection,
+} from '../../utils/faunaUtils';
 
 import { DEBUG_CONSTANTS } from '../../Constants';
 import { FaunaClusterComponent } from '../../components/FaunaClusterComponent';
@@ -62,6 +66,10 @@ export class FaunaCreationSystem extends System {
 
 		this.allSkeletonAnimationModelsLoaded = false;
 		this.allPlantersLoaded = false;
+
+		// butterflies draw from a stream per planter, set up with the planters
+		this.spawnRandom = createFaunaRandom('spawn');
+		this.animationRandom = createFaunaRandom('animation');
 	}
 
 	execute(_delta, _time) {
@@ -153,7 +161,11 @@ export class FaunaCreationSystem extends System {
 				if (Math.abs(angleRadian) > LOOK_AWAY_ANGLE_RADIAN) {
 					if (planter.pendingCluster) {
 						const butterflyBox = this._getButterflyBox(planter);
-						planter.cluster = this._createButterflies(this.scene, butterflyBox);
+						planter.cluster = this._createButterflies(
+							this.scene,
+							butterflyBox,
+							planter,
+						);
 						planter.pendingCluster = false;
 					} else if (planter.pendingButterfly) {
 						const clusterComponent = planter.cluster.getMutableComponent(
@@ -169,7 +181,11 @@ export class FaunaCreationSystem extends System {
 						clusterComponent.boundingBoxInnerMin = butterflyBox.innerMin;
 						clusterComponent.boundingBoxInnerMax = butterflyBox.innerMax;
 						clusterComponent.faunas.push(
-							...this._randomButterflyEntities(this.scene, clusterComponent),
+							...this._randomButterflyEntities(
+								this.scene,
+								clusterComponent,
+								planter.random,
+							),
 						);
 						planter.pendingButterfly = false;
 
@@ -199,14 +215,15 @@ export class FaunaCreationSystem extends System {
 
 			// Choose a random starting morph target so that faunas aren't all animating the same
 			component.morphTargetSequenceIndex = Math.floor(
-				Math.random() * component.morphTargetSequence.length,
+				this.animationRandom.next() * component.morphTargetSequence.length,
 			);
 
 			// Further randomize a time offset within animating a morph target to allow faunas to differ
 			const duration =
 				component.morphTargetSequence[component.morphTargetSequenceIndex]
 					.duration;
-			component.morphTargetAnimationOffset = Math.random() * duration;
+			component.morphTargetAnimationOffset =
+				this.animationRandom.next() * duration;
 
 			entity.addComponent(MorphTargetMeshInitialized);
 		});
@@ -236,7 +253,7 @@ export class FaunaCreationSystem extends System {
 			component.animationMixer = new THREE.AnimationMixer(obj);
 			component.animationActions = [];
 			component.idleAnimationSwitchTimer =
-				Math.random() *
+				this.animationRandom.next() *
 					(MAX_SECONDS_BETWEEN_IDLE_ANIMATION -
 						MIN_SECONDS_BETWEEN_IDLE_ANIMATION) +
 				MIN_SECONDS_BETWEEN_IDLE_ANIMATION;
@@ -295,12 +312,15 @@ export class FaunaCreationSystem extends System {
 
 		for (const entity of planterEntities) {
 			const planter = entity.getComponent(Object3DComponent).value;
+			const id = `planter/${this.planters.length}`;
 			this.planters.push({
+				id,
 				plants: [],
 				planterObj: planter,
 				cluster: null,
 				pendingCluster: false,
 				pendingButterfly: false,
+				random: createFaunaRandom(id),
 			});
 		}
 	}
@@ -500,7 +520,7 @@ export class FaunaCreationSystem extends System {
 
 		const usedIndices = {};
 		for (let i = 0; i < count; i++) {
-			const model = models[Math.floor(Math.random() * models.length)];
+			const model = models[Math.floor(this.spawnRandom.next() * models.length)];
 			const entity = this._createEntity(scene, model);
 			const obj = entity.getComponent(Object3DComponent).value;
 
@@ -510,18 +530,15 @@ export class FaunaCreationSystem extends System {
 				spawnLocations: locations,
 			});
 
-			let randomIndex = Math.floor(Math.random() * locations.length);
+			let randomIndex = Math.floor(this.spawnRandom.next() * locations.length);
 			while (usedIndices[randomIndex]) {
-				randomIndex = Math.floor(Math.random() * locations.length);
+				randomIndex = Math.floor(this.spawnRandom.next() * locations.length);
 			}
 
 			obj.position.copy(locations[randomIndex]);
 			usedIndices[randomIndex] = true;
 
-			const randomDirection = new THREE.Vector3();
-			randomDirection.random();
-			randomDirection.y = 0;
-			obj.lookAt(randomDirection);
+			obj.lookAt(getRandomHorizontalDirection(this.spawnRandom));
 
 			// add a collider
 			const cylinder = new THREE.Mesh(
@@ -608,9 +625,10 @@ export class FaunaCreationSystem extends System {
 		};
 	}
 
-	_createButterflies(scene, butterflyBox) {
+	_createButterflies(scene, butterflyBox, planter) {
 		const cluster = this.world.createEntity();
 		cluster.addComponent(FaunaClusterComponent, {
+			id: planter.id,
 			boundingBoxCenter: butterflyBox.center,
 			boundingBoxOuterDimensions: butterflyBox.outerDimensions,
 			boundingBoxInnerDimensions: butterflyBox.innerDimensions,
@@ -633,6 +651,7 @@ export class FaunaCreationSystem extends System {
 		clusterComponent.faunas = this._randomButterflyEntities(
 			scene,
 			clusterComponent,
+			planter.random,
 		);
 		this._addDebugBoundingBox(
 			scene,
@@ -646,14 +665,15 @@ export class FaunaCreationSystem extends System {
 	/**
 	 * Create a butterfly entity and randomize between either blue or orange butterfly
 	 */
-	_randomButterflyEntities(scene, clusterComponent) {
+	_randomButterflyEntities(scene, clusterComponent, random) {
 		let butterflyEntities;
-		if (Math.random() >= 0.5) {
+		if (random.next() >= 0.5) {
 			butterflyEntities = this._createEntities(
 				scene,
 				'FAUNA_BLUE_BUTTERFLY',
 				1,
 				clusterComponent,
+				random,
 			);
 		} else {
 			butterflyEntities = this._createEntities(
@@ -661,6 +681,7 @@ export class FaunaCreationSystem extends System {
 				'FAUNA_ORANGE_BUTTERFLY',
 				1,
 				clusterComponent,
+				random,
 			);
 		}
 
@@ -682,19 +703,19 @@ export class FaunaCreationSystem extends System {
 		return butterflyEntities;
 	}
 
-	_positionMovableFauna(faunaEntity, clusterComponent) {
+	_positionMovableFauna(faunaEntity, clusterComponent, random) {
 		const obj = faunaEntity.getComponent(Object3DComponent).value;
 
 		// Randomize position within the bounding box
 		const x =
-			Math.random() * clusterComponent.boundingBoxInnerDimensions.x +
+			random.next() * clusterComponent.boundingBoxInnerDimensions.x +
 			clusterComponent.boundingBoxInnerMin.x;
 		const y =
-			Math.random() * clusterComponent.boundingBoxInnerDimensions.y +
+			random.next() * clusterComponent.boundingBoxInnerDimensions.y +
 			clusterComponent.boundingBoxInnerMin.y +
 			(clusterComponent.positionOffset ? clusterComponent.positionOffset.y : 0);
 		const z =
-			Math.random() * clusterComponent.boundingBoxInnerDimensions.z +
+			random.next() * clusterComponent.boundingBoxInnerDimensions.z +
 			clusterComponent.boundingBoxInnerMin.z;
 		obj.position.set(x, y, z);
 
@@ -702,16 +723,14 @@ export class FaunaCreationSystem extends System {
 		const faunaComponent = faunaEntity.getMutableComponent(
 			MovableFaunaComponent,
 		);
-		const initialDirection = new THREE.Vector3().random();
-		initialDirection.y = 0;
-		initialDirection.normalize();
+		const initialDirection = getRandomHorizontalDirection(random).normalize();
 
 		if (
 			!clusterComponent.boundingMesh &&
 			clusterComponent.boundingBoxOuterDimensions.y !== 0
 		) {
 			const randomAngleRadian =
-				Math.random() *
+				random.next() *
 					(clusterComponent.maxYRadian - clusterComponent.minYRadian) +
 				clusterComponent.minYRadian;
 
@@ -722,7 +741,7 @@ export class FaunaCreationSystem extends System {
 
 		// Randomize an initial speed
 		faunaComponent.speed =
-			Math.random() * (clusterComponent.maxSpeed - clusterComponent.minSpeed) +
+			random.next() * (clusterComponent.maxSpeed - clusterComponent.minSpeed) +
 			clusterComponent.minSpeed;
 
 		const direction = initialDirection.clone();
@@ -735,15 +754,15 @@ export class FaunaCreationSystem extends System {
 		// Randomize variation offsets
 		if (clusterComponent.verticalPathVariationFactor !== 0) {
 			faunaComponent.verticalVariationOffset =
-				Math.random() / clusterComponent.verticalPathVariationFrequency;
+				random.next() / clusterComponent.verticalPathVariationFrequency;
 		}
 		if (clusterComponent.horizontalPathVariationFactor !== 0) {
 			faunaComponent.horizontalVariationOffset =
-				Math.random() / clusterComponent.horizontalPathVariationFrequency;
+				random.next() / clusterComponent.horizontalPathVariationFrequency;
 		}
 	}
 
-	_createEntities(scene, meshId, count, clusterComponent) {
+	_createEntities(scene, meshId, count, clusterComponent, random) {
 		const entities = [];
 
 		if (DEBUG_CONSTANTS.DISABLE_AIR_FAUNA !== true) {
@@ -752,7 +771,7 @@ export class FaunaCreationSystem extends System {
 				entity.addComponent(MovableFaunaComponent);
 				entity.addComponent(MorphTargetAnimationComponent);
 
-				this._positionMovableFauna(entity, clusterComponent);
+				this._positionMovableFauna(entity, clusterComponent, random);
 
 				entities.push(entity);
 			}
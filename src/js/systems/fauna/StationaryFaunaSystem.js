@@ -7,6 +7,10 @@
 
 import * as THREE from 'three';
 
+import {
+	createFaunaRandom,
+	getRandomHorizontalDirection,
+} from '../../utils/faunaUtils';
 import {
 	getObjectAngleToCamera,
 	isObjectCulled,
@@ -17,6 +21,7 @@ import { COLLISION_LAYERS } from '../../Constants';
 import { CollisionWorldComponent } from '../../components/ColliderComponents';
 import { DEBUG_CONSTANTS } from '../../Constants';
 import { FaunaColliderComponent } from '../../components/FaunaColliderComponent';
+import { GameStateComponent } from '../../components/GameStateComponent';
 import { Object3DComponent } from '../../components/Object3DComponent';
 import { PlayerStateComponent } from 'src/js/components/PlayerStateComponent';
 import { SkeletonAnimationComponent } from '../../components/SkeletonAnimationComponent';
@@ -43,6 +48,10 @@ export class StationaryFaunaSystem extends System {
 		this.playerHead = getOnlyEntity(this.queries.player).getComponent(
 			PlayerStateComponent,
 		).playerHead;
+		this.gameState = getOnlyEntity(this.queries.gameState).getComponent(
+			GameStateComponent,
+		);
+		this.random = createFaunaRandom('stationary');
 	}
 
 	execute(delta, time) {
@@ -152,17 +161,17 @@ export class StationaryFaunaSystem extends System {
 
 						if (needsToSwitch) {
 							component.idleAnimationSwitchTimer =
-								Math.random() *
+								this.random.next() *
 									(MAX_SECONDS_BETWEEN_IDLE_ANIMATION -
 										MIN_SECONDS_BETWEEN_IDLE_ANIMATION) +
 								MIN_SECONDS_BETWEEN_IDLE_ANIMATION;
 
 							let randomIndex = Math.floor(
-								Math.random() * component.idleAnimations.length,
+								this.random.next() * component.idleAnimations.length,
 							);
 							while (randomIndex === component.currentAnimationActionIndex) {
 								randomIndex = Math.floor(
-									Math.random() * component.idleAnimations.length,
+									this.random.next() * component.idleAnimations.length,
 								);
 							}
 
@@ -199,14 +208,15 @@ export class StationaryFaunaSystem extends System {
 			if (animationComponent && animationComponent.engagedAnimations.length) {
 				animationComponent.currentEngagedAnimationIndex =
 					Math.floor(
-						Math.random() * animationComponent.engagedAnimations.length,
+						this.random.next() * animationComponent.engagedAnimations.length,
 					) + animationComponent.idleAnimations.length;
 			}
 		} else if (animationComponent) {
 			animationComponent.currentEngagedAnimationIndex = -1;
 		}
 
-		if (faunaComponent.playerBeenCloseBy) {
+		// in multiplayer, only the host moves fauna to new spawn locations
+		if (faunaComponent.playerBeenCloseBy && !this.gameState.followsFaunaSync) {
 			// Figure out if the player is looking at the entity
 			const angleRadian = getObjectAngleToCamera(obj, this.playerHead);
 
@@ -288,7 +298,7 @@ export class StationaryFaunaSystem extends System {
 
 				if (candidateLocations.length) {
 					const randomIndex = Math.floor(
-						Math.random() * candidateLocations.length,
+						this.random.next() * candidateLocations.length,
 					);
 					const newLocation = candidateLocations[randomIndex];
 					obj.position.copy(newLocation);
@@ -297,10 +307,7 @@ export class StationaryFaunaSystem extends System {
 					colliderObj.position.copy(newLocation);
 					colliderObj.updateMatrix();
 
-					const randomDirection = new THREE.Vector3();
-					randomDirection.random();
-					randomDirection.y = 0;
-					obj.lookAt(randomDirection);
+					obj.lookAt(getRandomHorizontalDirection(this.random));
 
 					faunaComponent.playerBeenCloseBy = false;
 				} else if (DEBUG_CONSTANTS.DEBUG_FAUNA_RESPAWN) {
@@ -314,6 +321,7 @@ export class StationaryFaunaSystem extends System {
 
 StationaryFaunaSystem.queries = {
 	gameManager: { components: [THREEGlobalComponent] },
+	gameState: { components: [GameStateComponent] },
 	player: { components: [PlayerStateComponent] },
 	stationaryFaunas: { components: [StationaryFaunaComponent] },
 	collisionWorld: { components: [CollisionWorldComponent] },
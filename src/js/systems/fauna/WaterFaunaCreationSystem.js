@@ -26,6 +26,7 @@ import { Object3DComponent } from 'src/js/components/Object3DComponent';
 import { System } from 'ecsy';
 import { THREEGlobalComponent } from 'src/js/components/THREEGlobalComponent';
 import { WATER_FAUNA_CONSTANTS } from 'src/js/Constants';
+import { createFaunaRandom } from 'src/js/utils/faunaUtils';
 import { getOnlyEntity } from 'src/js/utils/entityUtils';
 
 export class WaterFaunaCreationSystem extends System {
@@ -33,6 +34,7 @@ export class WaterFaunaCreationSystem extends System {
 		this._scene = getOnlyEntity(this.queries.gameManager).getComponent(
 			THREEGlobalComponent,
 		).scene;
+		this._random = createFaunaRandom('water');
 
 		if (DEBUG_CONSTANTS.DISABLE_WATER_FAUNA !== true) {
 			WATER_FAUNA_CONSTANTS.GROUPS.forEach((group) => {
@@ -77,10 +79,14 @@ export class WaterFaunaCreationSystem extends System {
 		const entity = this.world.createEntity();
 		const mesh = createReplaceableMesh(
 			entity,
-			VARIATION_MESH_IDS[Math.floor(Math.random() * VARIATION_MESH_IDS.length)],
+			VARIATION_MESH_IDS[
+				Math.floor(this._random.next() * VARIATION_MESH_IDS.length)
+			],
 		);
 		const speed =
-			BASE_SPEED - SPEED_DELTA_RANGE / 2 + Math.random() * SPEED_DELTA_RANGE;
+			BASE_SPEED -
+			SPEED_DELTA_RANGE / 2 +
+			this._random.next() * SPEED_DELTA_RANGE;
 		entity.addComponent(FaunaAnimationComponent, {
 			selfAlternatingAnimations: SELF_ALTER_ANIM_IDS.map((animId) => ({
 				animId: animId,
@@ -95,20 +101,27 @@ export class WaterFaunaCreationSystem extends System {
 		});
 		entity.addComponent(WaterFaunaMovementComponent, {
 			speed,
-			turnSign: Math.random() > 0.5 ? 1 : -1,
+			turnSign: this._random.next() > 0.5 ? 1 : -1,
 		});
 		this._scene.add(mesh);
-		const [x, y] = generateRandomPointInArea(WATER_FAUNA_AREAS[AREA_ID]);
+		const [x, y] = generateRandomPointInArea(
+			WATER_FAUNA_AREAS[AREA_ID],
+			this._random,
+		);
 		if (WATER_FAUNA_AREAS[AREA_ID].IS_VERTICALLY_SAMPLED) {
 			mesh.position.set(x, 0, y);
 		} else {
 			mesh.position.set(y, 0, x);
 		}
-		mesh.rotateY(Math.random() * Math.PI * 2);
+		mesh.rotateY(this._random.next() * Math.PI * 2);
 		mesh.position.y =
-			BASE_DEPTH - DEPTH_DELTA_RANGE / 2 + Math.random() * DEPTH_DELTA_RANGE;
+			BASE_DEPTH -
+			DEPTH_DELTA_RANGE / 2 +
+			this._random.next() * DEPTH_DELTA_RANGE;
 		mesh.scale.setScalar(
-			BASE_SCALE - SCALE_DELTA_RANGE / 2 + Math.random() * SCALE_DELTA_RANGE,
+			BASE_SCALE -
+				SCALE_DELTA_RANGE / 2 +
+				this._random.next() * SCALE_DELTA_RANGE,
 		);
 		return entity;
 	}
@@ -22,12 +22,17 @@ import { InstancedMeshInstanceComponent } from 'src/js/components/InstancedMeshC
 import { Object3DComponent } from 'src/js/components/Object3DComponent';
 import { PlayerStateComponent } from 'src/js/components/PlayerStateComponent';
 import { System } from 'ecsy';
+import { createFaunaRandom } from 'src/js/utils/faunaUtils';
 import { getOnlyEntity } from 'src/js/utils/entityUtils';
 import { isObjectCulled } from 'src/js/utils/object3dUtils';
 
 const FORWARD_VECTOR = new THREE.Vector3(0, 0, 1);
 
 export class WaterFaunaMovementSystem extends System {
+	init() {
+		this._random = createFaunaRandom('water-movement');
+	}
+
 	execute(delta, _time) {
 		const playerHead = getOnlyEntity(this.queries.player).getComponent(
 			PlayerStateComponent,
@@ -50,6 +55,7 @@ export class WaterFaunaMovementSystem extends System {
 					faunaGroup.turnFactorMultiplier,
 					faunaGroup.avoidOthers,
 					faunaGroup.entities,
+					this._random,
 				);
 			});
 		});
@@ -87,6 +93,7 @@ const moveWaterFauna = (
 	turnFactorMultiplier,
 	avoidOthers,
 	allEntities,
+	random,
 ) => {
 	const mesh = entity.getComponent(Object3DComponent).value;
 	const movement = entity.getMutableComponent(WaterFaunaMovementComponent);
@@ -127,7 +134,7 @@ const moveWaterFauna = (
 			originalMovementDirection.multiplyScalar(delta * movement.speed),
 		);
 		if (movement.isTurning) {
-			movement.turnSign = Math.random() > 0.5 ? 1 : -1;
+			movement.turnSign = random.next() > 0.5 ? 1 : -1;
 		}
 		movement.isTurning = false;
 	} else {
@@ -167,7 +174,7 @@ const moveWaterFauna = (
 		: isPointInArea(mesh.position.z, mesh.position.x, faunaArea);
 
 	if (!isMovementLegal) {
-		const [x, y] = generateRandomPointInArea(faunaArea);
+		const [x, y] = generateRandomPointInArea(faunaArea, random);
 		if (faunaArea.IS_VERTICALLY_SAMPLED) {
 			mesh.position.x = x;
 			mesh.position.z = y;
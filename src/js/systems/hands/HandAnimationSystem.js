@@ -5,13 +5,11 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import * as THREE from 'three';
-
 import { AXES, BUTTONS } from '../../lib/ControllerInterface';
+import { applyHandPose, createHandJoints } from '../../utils/handPoseUtils';
 
 import { GameStateComponent } from '../../components/GameStateComponent';
 import { InteractionSystem } from '../../lib/InteractionSystem';
-import { JOINTS_DATA } from '../../HandPoses';
 import { Object3DComponent } from '../../components/Object3DComponent';
 import { updateMatrixRecursively } from '../../utils/object3dUtils';
 
@@ -20,21 +18,7 @@ const INTERACTION_MODES = GameStateComponent.INTERACTION_MODES;
 
 export class HandAnimationSystem extends InteractionSystem {
 	init() {
-		this.joints = {};
-
-		Object.entries(JOINTS_DATA).forEach(([mode, states]) => {
-			this.joints[mode] = {};
-			Object.entries(states).forEach(([sectionKey, sectionData]) => {
-				this.joints[mode][sectionKey] = {};
-				Object.entries(sectionData).forEach(([jointKey, jointData]) => {
-					const joint = {};
-					Object.entries(jointData).forEach(([state, poseData]) => {
-						joint[state] = new THREE.Quaternion().fromArray(poseData);
-					});
-					this.joints[mode][sectionKey][jointKey] = joint;
-				});
-			});
-		});
+		this.joints = createHandJoints();
 
 		this.thumbValues = {
 			LEFT: 0,
@@ -55,32 +39,32 @@ export class HandAnimationSystem extends InteractionSystem {
 			Object3DComponent,
 		).value;
 		if (primaryController && primaryHandModel) {
+			const handPose = primaryControllerComponent.handPose;
 			let renderEmptyHand = true;
 			if (!this.gameStateComponent.interactionModeOverridden) {
 				switch (this.gameStateComponent.interactionMode) {
 					case INTERACTION_MODES.WATERING:
-						this._overrideHandPose(primaryHandModel, this.joints.WATERING);
+						this._setHandPose(handPose, 'WATERING', 0, 0, 0);
 						renderEmptyHand = false;
 						break;
 					case INTERACTION_MODES.PLANTING:
-						this._overrideHandPose(primaryHandModel, this.joints.PLANTING);
+						this._setHandPose(handPose, 'PLANTING', 0, 0, 0);
 						renderEmptyHand = false;
 						break;
 					case INTERACTION_MODES.CAMERA:
-						this._animateHand(
-							primaryHandModel,
-							this.joints.CAMERA,
+						this._setHandPose(
+							handPose,
+							'CAMERA',
 							primaryController.getAxisInput(AXES.INDEX_TRIGGER),
 							0,
 							0,
 						);
 						renderEmptyHand = false;
-						renderEmptyHand = false;
 						break;
 					case INTERACTION_MODES.PICKING:
-						this._animateHand(
-							primaryHandModel,
-							this.joints.GRABBING,
+						this._setHandPose(
+							handPose,
+							'GRABBING',
 							primaryController.getAxisInput(AXES.INDEX_TRIGGER),
 							primaryController.getAxisInput(AXES.INDEX_TRIGGER),
 							primaryController.getAxisInput(AXES.INDEX_TRIGGER),
@@ -90,14 +74,15 @@ export class HandAnimationSystem extends InteractionSystem {
 				}
 			}
 			if (renderEmptyHand) {
-				this._animateHand(
-					primaryHandModel,
-					this.joints.EMPTY,
+				this._setHandPose(
+					handPose,
+					'EMPTY',
 					primaryController.getAxisInput(AXES.INDEX_TRIGGER),
 					primaryController.getAxisInput(AXES.HAND_TRIGGER),
 					this._calculateThumbValue(primaryController, delta),
 				);
 			}
+			applyHandPose(primaryHandModel, this.joints, handPose);
 			updateMatrixRecursively(primaryHandModel);
 		}
 
@@ -109,38 +94,51 @@ export class HandAnimationSystem extends InteractionSystem {
 			Object3DComponent,
 		).value;
 		if (secondaryController && secondaryHandModel) {
+			const handPose = secondaryControllerComponent.handPose;
 			switch (this.gameStateComponent.interactionMode) {
 				case INTERACTION_MODES.CAMERA:
-					this._animateHand(
-						secondaryHandModel,
-						this.joints.GRABBING,
+					this._setHandPose(
+						handPose,
+						'GRABBING',
 						secondaryController.getAxisInput(AXES.INDEX_TRIGGER),
 						secondaryController.getAxisInput(AXES.INDEX_TRIGGER),
 						secondaryController.getAxisInput(AXES.INDEX_TRIGGER),
 					);
 					break;
 				case INTERACTION_MODES.PLANTING:
-					this._animateHand(
-						secondaryHandModel,
-						this.joints.SEEDBOX,
+					this._setHandPose(
+						handPose,
+						'SEEDBOX',
 						1,
 						1,
 						this._calculateThumbValue(secondaryController, delta),
 					);
 					break;
 				default:
-					this._animateHand(
-						secondaryHandModel,
-						this.joints.EMPTY,
+					this._setHandPose(
+						handPose,
+						'EMPTY',
 						secondaryController.getAxisInput(AXES.INDEX_TRIGGER),
 						secondaryController.getAxisInput(AXES.HAND_TRIGGER),
 						this._calculateThumbValue(secondaryController, delta),
 					);
 			}
+			applyHandPose(secondaryHandModel, this.joints, handPose);
 			updateMatrixRecursively(secondaryHandModel);
 		}
 	}
 
+	/**
+	 * Record the pose on the controller component, where it is applied to the
+	 * hand model and read by MultiplayerSystem to replicate it
+	 */
+	_setHandPose(handPose, pose, indexValue, handValue, thumbValue) {
+		handPose.pose = pose;
+		handPose.index = indexValue;
+		handPose.grip = handValue;
+		handPose.thumb = thumbValue;
+	}
+
 	_calculateThumbValue(controller, delta) {
 		this.thumbTargetValues[controller.handKey] =
 			controller.getButtonInput(BUTTONS.BUTTON_1).touched ||
@@ -168,56 +166,4 @@ export class HandAnimationSystem extends InteractionSystem {
 		}
 		return this.thumbValues[controller.handKey];
 	}
-
-	/**
-	 * Animate empty hands according to trigger/grip/button input
-	 * @param {string} handKey
-	 * @param {string} delta
-	 * @returns
-	 */
-	_animateHand(handModel, jointsData, indexValue, handValue, thumbValue) {
-		// const indexValue = controller.getAxisInput(AXES.INDEX_TRIGGER);
-		for (const [name, states] of Object.entries(jointsData.INDEX)) {
-			const bone = handModel.getObjectByName(name);
-			bone.quaternion.slerpQuaternions(
-				states.DEFAULT,
-				states.PRESSED,
-				indexValue,
-			);
-		}
-
-		// const handValue = controller.getAxisInput(AXES.HAND_TRIGGER);
-		for (const [name, states] of Object.entries(jointsData.HAND)) {
-			const bone = handModel.getObjectByName(name);
-			bone.quaternion.slerpQuaternions(
-				states.DEFAULT,
-				states.PRESSED,
-				handValue,
-			);
-		}
-
-		for (const [name, states] of Object.entries(jointsData.THUMB)) {
-			const bone = handModel.getObjectByName(name);
-			bone.quaternion.slerpQuaternions(
-				states.DEFAULT,
-				states.PRESSED,
-				thumbValue,
-			);
-		}
-	}
-
-	/**
-	 * Override hand pose with static pose
-	 * @param {string} handKey
-	 * @param {string} mode
-	 * @returns
-	 */
-	_overrideHandPose(handModel, jointsData) {
-		for (const sectionData of Object.values(jointsData)) {
-			for (const [name, states] of Object.entries(sectionData)) {
-				const bone = handModel.getObjectByName(name);
-				bone.quaternion.copy(states.DEFAULT);
-			}
-		}
-	}
 }
@@ -126,6 +126,7 @@ export class HandCreationSystem extends System {
 					),
 					handModelEntity: self.handEntities[handedness],
 					threeControllerIdx: i,
+					handPose: { pose: 'EMPTY', index: 0, grip: 0, thumb: 0 },
 				});
 			});
 
@@ -5,8 +5,16 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import {
+	createGardenFile,
+	getGardenFileName,
+	parseGardenFile,
+} from '../../lib/GardenFile';
+import { getRoomGardenId, setRoomGardenId } from '../../utils/multiplayerUtils';
+
 import { GameStateComponent } from '../../components/GameStateComponent';
 import { LoadingScreenComponent } from '../../components/LoadingScreenComponent';
+import { SPECTATOR_CONSTANTS } from '../../Constants';
 import { SessionComponent } from '../../components/SessionComponent';
 import { StorageInterface } from '../../lib/StorageInterface';
 import { System } from 'ecsy';
@@ -18,6 +26,8 @@ export class GardenManagementSystem extends System {
 	init() {
 		this.checkedForWebXRSupport = false;
 		this.createActionBound = false;
+		this.shownUnrestoredObjectCount = 0;
+		this.shownOversizedRoomGardenId = '';
 	}
 
 	execute(_delta, _time) {
@@ -25,9 +35,25 @@ export class GardenManagementSystem extends System {
 			let gameStateComponent = entity.getMutableComponent(GameStateComponent);
 			let sessionComponent = entity.getMutableComponent(SessionComponent);
 			if (gameStateComponent.gardenListNeedsRefresh) {
-				refreshGardenList(gameStateComponent);
+				refreshGardenList(gameStateComponent, this.world);
 				gameStateComponent.gardenListNeedsRefresh = false;
 			}
+			if (
+				gameStateComponent.unrestoredObjectCount !==
+				this.shownUnrestoredObjectCount
+			) {
+				this.shownUnrestoredObjectCount =
+					gameStateComponent.unrestoredObjectCount;
+				updateRestoreNotice(this.shownUnrestoredObjectCount);
+			}
+			if (
+				gameStateComponent.oversizedRoomGardenId !==
+				this.shownOversizedRoomGardenId
+			) {
+				this.shownOversizedRoomGardenId =
+					gameStateComponent.oversizedRoomGardenId;
+				updateRoomGardenNotice(this.shownOversizedRoomGardenId);
+			}
 
 			const loadingScreenEntity = getOnlyEntity(
 				this.queries.loadingScreen,
@@ -169,16 +195,316 @@ const bindCreateActionToVRButton = (
 /**
  * Reload all garden meta from storage, and generate garden cards
  * @param {GameStateComponent} gameStateComponent
+ * @param {import('ecsy').World} world
  */
-const refreshGardenList = async (gameStateComponent) => {
+const refreshGardenList = async (gameStateComponent, world) => {
 	let gardenMetas = await StorageInterface.fetchAllGardenMeta();
 	// sort garden metas by timeLastUpdated
 	gardenMetas.sort(
 		(a, b) => new Date(b.timeLastUpdated) - new Date(a.timeLastUpdated),
 	);
 
-	if (gardenMetas.length > 0) {
-		gameStateComponent.currentGardenId = gardenMetas[0].gardenId;
+	updateRoomGardenSelect(gardenMetas, gameStateComponent);
+	updateGardenFileList(gardenMetas, gameStateComponent, world);
+
+	// the garden picked for the multiplayer room, otherwise the latest one
+	const gardenMeta =
+		gardenMetas.find((meta) => meta.gardenId === getRoomGardenId()) ??
+		gardenMetas[0];
+	if (gardenMeta) {
+		gameStateComponent.currentGardenId = gardenMeta.gardenId;
 		gameStateComponent.loadGardenPending = true;
 	}
 };
+
+/**
+ * List the saved gardens a multiplayer host can open the room with
+ * @param {import('../../lib/StorageInterface').GardenMeta[]} gardenMetas
+ * @param {GameStateComponent} gameStateComponent
+ */
+const updateRoomGardenSelect = (gardenMetas, gameStateComponent) => {
+	const roomGardenSelect = document.getElementById('mp-room-garden');
+	if (!roomGardenSelect) return;
+	const roomGardenId = getRoomGardenId();
+	// keep the first option, which plays the room's own garden
+	roomGardenSelect.length = 1;
+	gardenMetas.forEach(({ gardenId, gardenName }) => {
+		const option = new Option(gardenName, gardenId);
+		option.selected = gardenId === roomGardenId;
+		roomGardenSelect.add(option);
+	});
+	roomGardenSelect.onchange = () => {
+		setRoomGardenId(roomGardenSelect.value);
+		gameStateComponent.oversizedRoomGardenId = '';
+		if (roomGardenSelect.value) {
+			gameStateComponent.currentGardenId = roomGardenSelect.value;
+			gameStateComponent.loadGardenPending = true;
+		}
+	};
+};
+
+/**
+ * List the saved gardens with buttons to export each of them as a file and to
+ * show its history, and bind the button that imports one
+ * @param {import('../../lib/StorageInterface').GardenMeta[]} gardenMetas
+ * @param {GameStateComponent} gameStateComponent
+ * @param {import('ecsy').World} world
+ */
+const updateGardenFileList = (gardenMetas, gameStateComponent, world) => {
+	const gardenFileList = document.getElementById('garden-file-list');
+	if (!gardenFileList) return;
+	gardenFileList.replaceChildren(
+		...gardenMetas.map((gardenMeta) => {
+			const item = document.createElement('li');
+			const name = document.createElement('span');
+			name.textContent = gardenMeta.gardenName;
+			const exportButton = document.createElement('button');
+			exportButton.type = 'button';
+			exportButton.className = 'btn btn-transparent';
+			exportButton.textContent = 'Export';
+			exportButton.onclick = () => exportGarden(gardenMeta);
+			item.append(name, exportButton);
+			// versions are only kept of local gardens
+			if (!gardenMeta.gardenId.startsWith('cloud-')) {
+				const historyButton = document.createElement('button');
+				historyButton.type = 'button';
+				historyButton.className = 'btn btn-transparent';
+				historyButton.textContent = 'History';
+				historyButton.onclick = () =>
+					showGardenHistory(gardenMeta, gameStateComponent);
+				item.append(historyButton);
+			}
+			return item;
+		}),
+	);
+
+	const importInput = document.getElementById('garden-import-input');
+	const importStatus = document.getElementById('garden-import-status');
+	document.getElementById('garden-import-btn').onclick = () => {
+		importInput.click();
+	};
+	importInput.onchange = async () => {
+		const file = importInput.files[0];
+		// allow picking the same file again
+		importInput.value = '';
+		if (!file) return;
+		const componentNames = new Set(
+			world.componentsManager.Components.map((c) => c.getName()),
+		);
+		try {
+			const { meta, gardenData } = parseGardenFile(
+				await file.text(),
+				componentNames,
+			);
+			await StorageInterface.importGarden(meta, gardenData);
+			importStatus.textContent = `Imported ${meta.gardenName}`;
+			gameStateComponent.gardenListNeedsRefresh = true;
+		} catch (error) {
+			console.warn('Failed to import garden file:', error);
+			importStatus.textContent = error.message;
+		}
+	};
+};
+
+/**
+ * Download a garden as a garden file, a failure is shown next to the import
+ * button like a failed import
+ * @param {import('../../lib/StorageInterface').GardenMeta} gardenMeta
+ */
+const exportGarden = async (gardenMeta) => {
+	const importStatus = document.getElementById('garden-import-status');
+	try {
+		const gardenData = await StorageInterface.loadGardenData(
+			gardenMeta.gardenId,
+		);
+		const gardenFile = createGardenFile(gardenMeta, gardenData ?? []);
+		const blob = new Blob([JSON.stringify(gardenFile)], {
+			type: 'application/json',
+		});
+		const link = document.createElement('a');
+		link.download = getGardenFileName(gardenMeta);
+		link.href = URL.createObjectURL(blob);
+		link.click();
+		// once the download has started
+		setTimeout(() => URL.revokeObjectURL(link.href));
+	} catch (error) {
+		console.warn('Failed to export garden:', error);
+		importStatus.textContent = error.message;
+	}
+};
+
+/**
+ * Show the earlier versions of a garden, a selected version is previewed and
+ * can be restored or forked into a new garden
+ * @param {import('../../lib/StorageInterface').GardenMeta} gardenMeta
+ * @param {GameStateComponent} gameStateComponent
+ */
+const showGardenHistory = async (gardenMeta, gameStateComponent) => {
+	const history = document.getElementById('garden-history');
+	const historyList = document.getElementById('garden-history-list');
+	const preview = document.getElementById('garden-history-preview');
+	const status = document.getElementById('garden-history-status');
+	if (!history) return;
+	document.getElementById('garden-history-title').textContent =
+		'History of ' + gardenMeta.gardenName;
+	document.getElementById('garden-history-close-btn').onclick = () => {
+		history.hidden = true;
+	};
+	preview.hidden = true;
+	status.textContent = '';
+	history.hidden = false;
+
+	const { gardenId } = gardenMeta;
+	const versions = await StorageInterface.loadGardenVersions(gardenId);
+	if (versions.length === 0) {
+		status.textContent = 'No earlier versions of this garden are kept yet.';
+	}
+	let selectedVersion = null;
+	// newest first
+	const items = [...versions].reverse().map((version) => {
+		const item = document.createElement('li');
+		const time = document.createElement('span');
+		time.textContent = new Date(version.timeSaved).toLocaleString();
+		const plants = document.createElement('span');
+		plants.textContent =
+			version.plantCount === 1 ? '1 plant' : `${version.plantCount} plants`;
+		const previewButton = document.createElement('button');
+		previewButton.type = 'button';
+		previewButton.className = 'btn btn-transparent';
+		previewButton.textContent = 'Preview';
+		previewButton.onclick = async () => {
+			items.forEach((other) =>
+				other.classList.toggle('selected', other === item),
+			);
+			selectedVersion = version;
+			status.textContent = '';
+			try {
+				const gardenData = await StorageInterface.loadGardenVersion(
+					gardenId,
+					version.versionId,
+				);
+				previewGardenVersion(gardenData);
+				preview.hidden = false;
+			} catch (error) {
+				console.warn('Failed to load garden version:', error);
+				preview.hidden = true;
+				status.textContent = error.message;
+			}
+		};
+		item.append(time, plants, previewButton);
+		return item;
+	});
+	historyList.replaceChildren(...items);
+
+	document.getElementById('garden-history-restore-btn').onclick = async () => {
+		try {
+			await StorageInterface.restoreGardenVersion(
+				gardenId,
+				selectedVersion.versionId,
+			);
+			history.hidden = true;
+			gameStateComponent.gardenListNeedsRefresh = true;
+		} catch (error) {
+			console.warn('Failed to restore garden version:', error);
+			status.textContent = error.message;
+		}
+	};
+	document.getElementById('garden-history-fork-btn').onclick = async () => {
+		try {
+			await StorageInterface.forkGardenVersion(
+				gardenMeta,
+				selectedVersion.versionId,
+			);
+			history.hidden = true;
+			gameStateComponent.gardenListNeedsRefresh = true;
+		} catch (error) {
+			console.warn('Failed to fork garden version:', error);
+			status.textContent = error.message;
+		}
+	};
+};
+
+/**
+ * Draw the plants of a garden version from above, north up, and sum them up
+ * by species
+ * @param {Object[]} gardenData - serialized SavableObjects
+ */
+const previewGardenVersion = (gardenData) => {
+	const plants = gardenData
+		.filter((object) => object.PlantedComponent && object.Object3DComponent)
+		.map((object) => ({
+			species: object.PlantedComponent.plantType?.split('_')[0],
+			x: object.Object3DComponent.position[0],
+			z: object.Object3DComponent.position[2],
+		}));
+
+	const canvas = document.getElementById('garden-history-canvas');
+	const ctx = canvas.getContext('2d');
+	ctx.fillStyle = '#9ecfe0';
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+	// fit the plants, with a margin, keeping small gardens from zooming in too far
+	const xs = plants.map(({ x }) => x);
+	const zs = plants.map(({ z }) => z);
+	const centerX = plants.length ? (Math.min(...xs) + Math.max(...xs)) / 2 : 0;
+	const centerZ = plants.length ? (Math.min(...zs) + Math.max(...zs)) / 2 : 0;
+	const extent =
+		Math.max(
+			10,
+			...xs.map((x) => Math.abs(x - centerX) * 2),
+			...zs.map((z) => Math.abs(z - centerZ) * 2),
+		) + 4;
+	const pixelsPerMeter = canvas.width / extent;
+	const speciesCounts = new Map();
+	plants.forEach(({ species, x, z }) => {
+		speciesCounts.set(species, (speciesCounts.get(species) ?? 0) + 1);
+		// the same colors as the spectator map
+		ctx.fillStyle =
+			SPECTATOR_CONSTANTS.PLANT_COLORS[species] ??
+			SPECTATOR_CONSTANTS.PLANT_COLORS.default;
+		ctx.beginPath();
+		ctx.arc(
+			canvas.width / 2 + (x - centerX) * pixelsPerMeter,
+			canvas.height / 2 + (z - centerZ) * pixelsPerMeter,
+			3,
+			0,
+			Math.PI * 2,
+		);
+		ctx.fill();
+	});
+
+	const summary = [...speciesCounts]
+		.sort((a, b) => b[1] - a[1])
+		.map(([species, count]) => `${count} ${species ?? 'unknown'}`)
+		.join(', ');
+	const plantCount =
+		plants.length === 1 ? '1 plant' : `${plants.length} plants`;
+	document.getElementById('garden-history-summary').textContent =
+		plants.length === 0 ? 'No plants' : `${plantCount}: ${summary}`;
+};
+
+/**
+ * Let the host know that the garden picked for the room was too large to open
+ * the room with
+ * @param {string} oversizedRoomGardenId - empty when there is no such garden
+ */
+const updateRoomGardenNotice = (oversizedRoomGardenId) => {
+	const roomGardenNotice = document.getElementById('room-garden-notice');
+	if (!roomGardenNotice) return;
+	roomGardenNotice.hidden = !oversizedRoomGardenId;
+	roomGardenNotice.textContent =
+		'The garden picked for the room is too large to open it with, the room kept its own garden. Pick a smaller garden or remove some plants.';
+};
+
+/**
+ * Let the player know how much of their garden could not be loaded
+ * @param {number} unrestoredObjectCount
+ */
+const updateRestoreNotice = (unrestoredObjectCount) => {
+	const restoreNotice = document.getElementById('garden-restore-notice');
+	if (!restoreNotice) return;
+	restoreNotice.hidden = unrestoredObjectCount === 0;
+	restoreNotice.textContent =
+		unrestoredObjectCount === 1
+			? '1 item in your garden could not be restored and was set aside.'
+			: `${unrestoredObjectCount} items in your garden could not be restored and were set aside.`;
+};
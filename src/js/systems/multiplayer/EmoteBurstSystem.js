@@ -0,0 +1,89 @@
+/**
+ * Plays emote bursts: a handful of the emote's icon rising and fading out,
+ * and the emote's sound
+ */
+
+import * as THREE from 'three';
+
+import { EMOTE_WHEEL_CONSTANTS } from '../../Constants';
+import { EmoteBurstComponent } from '../../components/multiplayer/EmoteComponents';
+import { OneshotAudioComponent } from '../../components/AudioComponents';
+import { System } from 'ecsy';
+import { THREEGlobalComponent } from '../../components/THREEGlobalComponent';
+import { getEmoteTexture } from '../../utils/emoteUtils';
+import { getOnlyEntity } from '../../utils/entityUtils';
+
+export class EmoteBurstSystem extends System {
+	execute(delta) {
+		const scene = getOnlyEntity(this.queries.threeGlobal).getComponent(
+			THREEGlobalComponent,
+		).scene;
+
+		this.queries.bursts.added.forEach((entity) => {
+			const burst = entity.getMutableComponent(EmoteBurstComponent);
+			const count = EMOTE_WHEEL_CONSTANTS.BURST_PARTICLE_COUNT;
+			const positions = new Float32Array(count * 3);
+			burst.velocities = new Float32Array(count * 3);
+			for (let i = 0; i < count; i++) {
+				burst.position.toArray(positions, i * 3);
+				const angle = Math.random() * Math.PI * 2;
+				const spread = EMOTE_WHEEL_CONSTANTS.BURST_SPREAD * Math.random();
+				burst.velocities[i * 3] = Math.cos(angle) * spread;
+				burst.velocities[i * 3 + 1] =
+					EMOTE_WHEEL_CONSTANTS.BURST_SPEED * (0.5 + Math.random() * 0.5);
+				burst.velocities[i * 3 + 2] = Math.sin(angle) * spread;
+			}
+			const geometry = new THREE.BufferGeometry();
+			geometry.setAttribute(
+				'position',
+				new THREE.BufferAttribute(positions, 3),
+			);
+			burst.particles = new THREE.Points(
+				geometry,
+				new THREE.PointsMaterial({
+					map: getEmoteTexture(burst.emote),
+					size: EMOTE_WHEEL_CONSTANTS.BURST_PARTICLE_SIZE,
+					transparent: true,
+					depthWrite: false,
+				}),
+			);
+			// particles move in world space, the bounds would go stale
+			burst.particles.frustumCulled = false;
+			scene.add(burst.particles);
+
+			OneshotAudioComponent.createSFX(this.world, {
+				id: EMOTE_WHEEL_CONSTANTS.SFX[burst.emote],
+				position: burst.position,
+			});
+		});
+
+		[...this.queries.bursts.results].forEach((entity) => {
+			const burst = entity.getMutableComponent(EmoteBurstComponent);
+			burst.age += delta;
+			const { particles, velocities } = burst;
+			if (burst.age >= EMOTE_WHEEL_CONSTANTS.BURST_DURATION) {
+				scene.remove(particles);
+				particles.geometry.dispose();
+				// the icon texture is shared
+				particles.material.dispose();
+				entity.remove();
+				return;
+			}
+			const positions = particles.geometry.attributes.position;
+			for (let i = 0; i < positions.array.length; i++) {
+				positions.array[i] += velocities[i] * delta;
+			}
+			positions.needsUpdate = true;
+			particles.material.opacity =
+				1 - burst.age / EMOTE_WHEEL_CONSTANTS.BURST_DURATION;
+		});
+	}
+}
+
+EmoteBurstSystem.queries = {
+	bursts: {
+		components: [EmoteBurstComponent],
+		listen: { added: true },
+	},
+	threeGlobal: { components: [THREEGlobalComponent] },
+};
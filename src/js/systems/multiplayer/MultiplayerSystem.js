@@ -1,19 +1,90 @@
 /* eslint-disable sort-imports */
 /**
- * Multiplayer system for real-time presence sync and basic planting replication
+ * Multiplayer system for real-time presence sync and garden replication
+ * (planting, picking, removing and watering)
  */
 
 import * as THREE from 'three';
 import { Not, System } from 'ecsy';
+import { AssetDatabaseComponent } from '../../components/AssetDatabaseComponent';
+import { InstancedMeshInstanceComponent } from '../../components/InstancedMeshComponent';
+import { MeshIdComponent } from '../../components/AssetReplacementComponents';
+import { GameStateComponent } from '../../components/GameStateComponent';
+import { IsActive } from '../../components/GameObjectTagComponents';
 import { Object3DComponent } from '../../components/Object3DComponent';
-import { PlantGrowingComponent } from '../../components/PlantingComponents';
+import { OneshotAudioComponent } from '../../components/AudioComponents';
+import { PhotoComponent } from '../../components/ScreenshotCameraComponent';
+import {
+	PlantGrowingComponent,
+	PlantShrinkingComponent,
+	PlantedComponent,
+} from '../../components/PlantingComponents';
 import { PlayerStateComponent } from '../../components/PlayerStateComponent';
+import { UIPanelComponent } from '../../components/UIPanelComponent';
+import { SavableObject } from '../../components/SaveDataComponents';
+import { SeedboxComponent } from '../../components/SeedboxComponents';
+import { StaticColliderComponent } from '../../components/ColliderComponents';
 import { THREEGlobalComponent } from '../../components/THREEGlobalComponent';
 import { VrControllerComponent } from '../../components/VrControllerComponent';
 import { Networked } from '../../components/Networked';
+import { NetworkedPlantComponent } from '../../components/multiplayer/NetworkedPlantComponent';
 import { NetworkedPlayerComponent } from '../../components/multiplayer/NetworkedPlayerComponent';
-import { TransportWebSocket } from '../../lib/net/TransportWebSocket';
-import { getOnlyEntity } from '../../utils/entityUtils';
+import { PhotoShareRequestComponent } from '../../components/multiplayer/PhotoShareRequestComponent';
+import { PlantRestoreRequestComponent } from '../../components/multiplayer/PlantRestoreRequestComponent';
+import { EmoteBurstComponent, EmoteRequestComponent } from '../../components/multiplayer/EmoteComponents';
+import { AerialFaunaGroupComponent, WaterFaunaGroupComponent } from '../../components/FaunaComponents';
+import { FaunaClusterComponent } from '../../components/FaunaClusterComponent';
+import { StationaryFaunaComponent } from '../../components/StationaryFaunaComponent';
+import { CHANNELS, TransportWebSocket } from '../../lib/net/TransportWebSocket';
+import { ClockSync } from '../../lib/net/ClockSync';
+import { SnapshotBuffer } from '../../lib/net/SnapshotBuffer';
+import { SNAPSHOT_FORMATS } from '../../lib/net/SnapshotCodec';
+import { MAX_PHOTO_SIZE, PhotoAssembler, splitPhoto } from '../../lib/net/PhotoChunks';
+import { isValidEmote } from '../../lib/net/Emotes';
+import { FAUNA_SYNC_INTERVAL } from '../../lib/net/FaunaSync';
+import { MAX_ROOM_GARDEN_SIZE } from '../../lib/net/RoomGarden';
+import { PLANT_CONFIG } from '../../PlantConfigs';
+import { SCREENSHOT_CAMERA_CONSTANTS } from '../../Constants';
+import { deleteEntity, getOnlyEntity } from '../../utils/entityUtils';
+import { getPlantMeshId } from '../../utils/plantUtils';
+import { createPhotoObject, downscalePhoto } from '../../utils/photoUtils';
+import { updateMatrixRecursively } from '../../utils/object3dUtils';
+import { applyFaunaState, readFaunaState } from '../../utils/faunaSyncUtils';
+import { deserializeSavableObjects, serializeSavableObjects } from '../../utils/saveDataUtils';
+import {
+	getMultiplayerRoom,
+	getMultiplayerServerUrl,
+	getPlayerProfile,
+	getRoomGardenId,
+	getRoomPassword,
+	isMultiplayerEnabled,
+} from '../../utils/multiplayerUtils';
+import merge from 'lodash.merge';
+import editRightsTemplateJSON from '../../../assets/ui/templates/edit-rights.json';
+import nameplateTemplateJSON from '../../../assets/ui/templates/nameplate.json';
+
+// Garden edits and photo chunks have to reach the relay once and in order,
+// presence snapshots are superseded by the next one and emotes are not worth
+// playing late
+const MESSAGE_CHANNELS = {
+	snapshot: CHANNELS.UNRELIABLE,
+	emote: CHANNELS.UNRELIABLE,
+	'fauna:sync': CHANNELS.UNRELIABLE,
+	'event:plant': CHANNELS.RELIABLE,
+	'event:pick': CHANNELS.RELIABLE,
+	'event:remove': CHANNELS.RELIABLE,
+	'event:water': CHANNELS.RELIABLE,
+	'photo:chunk': CHANNELS.RELIABLE,
+	'role:edit': CHANNELS.RELIABLE,
+	'room:garden': CHANNELS.RELIABLE,
+};
+
+// shown after the name on nameplates, players with edit rights need no label
+const ROLE_LABELS = {
+	host: '  host',
+	editor: '',
+	visitor: '  visitor',
+};
 
 export class MultiplayerSystem extends System {
 	constructor(world, attributes) {
@@ -22,9 +93,42 @@ export class MultiplayerSystem extends System {
 		this.transport = null;
 		this.clientId = null;
 		this.room = 'default';
+		this.sessionToken = null; // from hello_ack, presented again to resume after a reconnect
+		this.lastSeq = 0; // sequence number of the last room event received
+		this.isRejoining = false; // a new session replaced an expired one, state:sync is reconciled
 		this.remotePlayers = new Map();
+		this.hostId = null; // from the relay's roles message
+		this.editors = new Set(); // clientIds of guests the host granted edit rights
+		this.opensRoomGarden = null; // decided by our first roles message, whether we host and open the room with our saved garden
+		this.roomGardenId = ''; // saved garden the room was opened with
+		this.knownPlants = new Set(); // netIds of every replicated plant
+		this.plantCounter = 0;
+		this.localPicks = new Set(); // netIds picked here, removal is broadcast once shrinking ends
+		this.remotePicks = new Set(); // netIds picked by others or denied by the relay, so their shrinking is not echoed
+		this.syncedScaleMultipliers = new Map(); // netId -> last scaleMultiplier sent or received
+		this.photoCounter = 0;
+		this.photoAssemblers = new Map(); // clientId -> PhotoAssembler of the photo it is sharing
+		this.sharedPhotoSize = 512; // pixels of the longer side of shared photos
+		this.sharedPhotoQualities = [0.8, 0.6, 0.4]; // JPEG qualities tried until a photo fits MAX_PHOTO_SIZE
+		this.lastWaterSyncTime = 0;
+		this.waterSyncInterval = 0.25; // seconds
 		this.lastSnapshotTime = 0;
-		this.snapshotInterval = 50; // 20Hz
+		this.lastFaunaSyncTime = -Infinity; // when we last sent our fauna, while hosting
+		this.time = 0; // world time of the current frame, in seconds
+		this.snapshotInterval = 0.05; // 20Hz
+		this.clockSync = new ClockSync();
+		this.lastClockPingTime = -Infinity;
+		this.interpolationDelay = 100; // ms, remote avatars are rendered this far in the past
+		this.nameplateHeight = 0.3; // meters above the head
+		this.editRightsPanelOffset = -0.08; // meters below the nameplate
+		this.emoteHeight = 0.15; // meters above the nameplate
+		this.aoiRadius = 0; // meters, from hello_ack. Snapshots of players further away are throttled, 0 if they are not
+		this.avatarFadeDistance = 2; // meters inside aoiRadius over which avatars fade out
+		this.avatarFadeSpeed = 2; // opacity per second
+		this.cameraPosition = new THREE.Vector3();
+		this.worldPosition = new THREE.Vector3();
+		this.worldQuaternion = new THREE.Quaternion();
+		this.nameplateLookAt = new THREE.Vector3();
 		this.localPlayerEntity = null;
 		this.scene = null;
 	}
@@ -33,43 +137,34 @@ export class MultiplayerSystem extends System {
 		this.checkMultiplayerEnabled();
 		if (!this.isEnabled) return;
 		this.clientId = this.generateClientId();
-		this.room = this.getRoom();
-		const serverUrl = this.getServerUrl();
-		this.transport = new TransportWebSocket(serverUrl);
+		this.room = getMultiplayerRoom();
+		const serverUrl = getMultiplayerServerUrl();
+		this.transport = new TransportWebSocket(serverUrl, { snapshotFormats: this.getSnapshotFormats() });
 		this.setupTransportListeners();
 		this.transport.connect();
 	}
 
 	checkMultiplayerEnabled() {
-		const urlParams = new URLSearchParams(window.location.search);
-		if (urlParams.get('mp') === '1') {
-			this.isEnabled = true;
-			return;
-		}
-		if (localStorage.getItem('pfb:mp') === '1') {
-			this.isEnabled = true;
-			return;
-		}
-		if (typeof window !== 'undefined' && window.__MULTIPLAYER_ENABLED__) {
-			this.isEnabled = true;
-			return;
-		}
-		this.isEnabled = false;
+		this.isEnabled = isMultiplayerEnabled();
 	}
 
-	getServerUrl() {
-		if (typeof window !== 'undefined' && window.__MULTIPLAYER_SERVER_URL__) {
-			return window.__MULTIPLAYER_SERVER_URL__;
+	/**
+	 * Binary snapshots unless JSON is forced for debugging with ?mpjson=1 or pfb:mp-json
+	 */
+	getSnapshotFormats() {
+		const urlParams = new URLSearchParams(window.location.search);
+		if (urlParams.get('mpjson') === '1' || localStorage.getItem('pfb:mp-json') === '1') {
+			return [SNAPSHOT_FORMATS.JSON];
 		}
-		const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-		const host = window.location.hostname;
-		const port = window.location.hostname === 'localhost' ? 8090 : window.location.port;
-		return `${protocol}//${host}:${port}`;
+		return [SNAPSHOT_FORMATS.BINARY, SNAPSHOT_FORMATS.JSON];
 	}
 
-	getRoom() {
+	/**
+	 * Whoever holds the room key set on the relay hosts the room
+	 */
+	getRoomKey() {
 		const urlParams = new URLSearchParams(window.location.search);
-		return urlParams.get('room') || 'default';
+		return urlParams.get('roomKey') || undefined;
 	}
 
 	generateClientId() {
@@ -78,15 +173,37 @@ export class MultiplayerSystem extends System {
 
 	setupTransportListeners() {
 		this.transport.on('open', () => {
-			this.transport.send({ v: 1, type: 'hello', clientId: this.clientId, room: this.room });
+			const { name, color } = getPlayerProfile();
+			this.transport.sendNow({
+				v: 1,
+				type: 'hello',
+				clientId: this.clientId,
+				room: this.room,
+				name,
+				color,
+				password: getRoomPassword(),
+				roomKey: this.getRoomKey(),
+				snapshotFormats: this.transport.snapshotFormats,
+				sessionToken: this.sessionToken ?? undefined,
+				lastSeq: this.lastSeq,
+			});
 		});
 		this.transport.on('message', (message) => this.handleMessage(message));
 	}
 
 	handleMessage(message) {
-		const { type } = message;
+		const { type, seq } = message;
+		// Room events are sequenced, replays after a resume may overlap what we have
+		if (Number.isInteger(seq)) {
+			if (seq <= this.lastSeq) return;
+			this.lastSeq = seq;
+		}
 		switch (type) {
 			case 'hello_ack':
+				this.handleHelloAck(message);
+				break;
+			case 'clock:pong':
+				this.clockSync.handlePong(message);
 				break;
 			case 'join':
 				this.handlePlayerJoin(message);
@@ -98,21 +215,120 @@ export class MultiplayerSystem extends System {
 				this.handleSnapshot(message);
 				break;
 			case 'event:plant':
-				this.handleRemotePlantEvent(message);
+				// plants brought back by undo or redo come back at their size
+				this.handleRemotePlantEvent(message, { grown: message.restored === true });
+				break;
+			case 'event:pick':
+				this.handleRemotePickEvent(message);
+				break;
+			case 'event:remove':
+				this.handleRemoteRemoveEvent(message);
+				break;
+			case 'event:water':
+				this.handleRemoteWaterEvent(message);
+				break;
+			case 'state:sync':
+				this.handleStateSync(message);
+				break;
+			case 'plant:result':
+				this.handlePlantResult(message);
+				break;
+			case 'photo:chunk':
+				this.handlePhotoChunk(message);
+				break;
+			case 'roles':
+				this.handleRoles(message);
+				break;
+			case 'emote':
+				this.handleEmote(message);
+				break;
+			case 'fauna:sync':
+				this.handleFaunaSync(message);
+				break;
+			case 'room:garden':
+				this.handleRoomGarden(message);
+				break;
+			case 'error':
+				console.warn('Multiplayer server error:', message.error);
 				break;
 			default:
 				break;
 		}
 	}
 
-	handlePlayerJoin({ clientId }) {
+	/**
+	 * A resumed session is followed by the room events we missed, a new one by
+	 * the whole room state in state:sync
+	 * @param {{ snapshotFormat: string, aoiRadius: number, sessionToken: string, resumed: boolean, roomSeq: number }} message
+	 */
+	handleHelloAck({ snapshotFormat, aoiRadius, sessionToken, resumed, roomSeq }) {
+		this.transport.setSnapshotFormat(snapshotFormat);
+		this.aoiRadius = aoiRadius > 0 ? aoiRadius : 0;
+		this.transport.sendNow(this.clockSync.createPing());
+		this.isRejoining = !resumed && this.sessionToken !== null;
+		this.sessionToken = sessionToken ?? null;
+		if (resumed) {
+			this.transport.markReady();
+			return;
+		}
+		this.lastSeq = Number.isInteger(roomSeq) ? roomSeq : 0;
+		// the relay numbers our reliable messages from scratch in a new session
+		this.transport.resetReliableChannel();
+		// players are introduced again right after this
+		if (this.isRejoining) this.remotePlayers.forEach((_, id) => this.removeRemotePlayer(id));
+	}
+
+	handlePlayerJoin({ clientId, name, color }) {
 		if (clientId === this.clientId) return;
-		if (!this.remotePlayers.has(clientId)) this.createRemotePlayer(clientId);
+		const entity = this.remotePlayers.get(clientId) ?? this.createRemotePlayer(clientId);
+		this.applyRemotePlayerProfile(entity, { name, color });
+		// while hosting, show them our fauna without waiting for the next sync
+		this.lastFaunaSyncTime = -Infinity;
 	}
 
 	handlePlayerLeave({ clientId }) {
 		if (clientId === this.clientId) return;
 		this.removeRemotePlayer(clientId);
+		this.photoAssemblers.delete(clientId);
+	}
+
+	/**
+	 * Who hosts the room and which guests may edit the garden, sent after
+	 * state:sync and whenever it changes
+	 * @param {{ hostId: string|null, editors: string[] }} message
+	 */
+	handleRoles({ hostId, editors }) {
+		this.hostId = hostId ?? null;
+		this.editors = new Set(Array.isArray(editors) ? editors : []);
+		// players who join as guests keep the room's garden, even once they take over as host
+		if (this.opensRoomGarden === null) this.opensRoomGarden = this.hostId === this.clientId && !!getRoomGardenId();
+		const gameState = getOnlyEntity(this.queries.gameState).getMutableComponent(GameStateComponent);
+		const canEdit = this.getRole(this.clientId) !== 'visitor';
+		if (gameState.canEdit && !canEdit) {
+			console.info('Visiting the garden, the host has not granted edit rights');
+			if (GameStateComponent.EDITING_MODES.includes(gameState.interactionMode)) {
+				gameState.setInteractionMode(GameStateComponent.INTERACTION_MODES.DEFAULT);
+			}
+		}
+		gameState.canEdit = canEdit;
+		gameState.followsFaunaSync = this.hostId !== null && this.hostId !== this.clientId;
+		this.remotePlayers.forEach((entity) => {
+			const { nameplate } = entity.getComponent(NetworkedPlayerComponent);
+			this.applyRemotePlayerProfile(entity);
+			// a rebuilt nameplate comes with a new panel, the panel also depends on our own role
+			if (entity.getComponent(NetworkedPlayerComponent).nameplate === nameplate) {
+				this.updateEditRightsPanel(entity);
+			}
+		});
+	}
+
+	/**
+	 * @param {string} clientId
+	 * @returns {string} 'host', 'editor' or 'visitor'
+	 */
+	getRole(clientId) {
+		if (clientId === this.hostId) return 'host';
+		return this.editors.has(clientId) ? 'editor' : 'visitor';
 	}
 
 	handleSnapshot(message) {
@@ -123,8 +339,56 @@ export class MultiplayerSystem extends System {
 		this.updateRemotePlayerTransform(remotePlayerEntity, message);
 	}
 
-	handleRemotePlantEvent({ clientId, plantType, pos, quat }) {
+	/**
+	 * Apply the full garden of a room, sent by the relay right after hello_ack.
+	 * A room opened with a saved garden comes with what is left of it, the
+	 * plants then add what was planted or watered since.
+	 * @param {{ plants: Object[], garden: { gardenId: string, objects: Object[] }|null }} message
+	 */
+	handleStateSync({ plants, garden }) {
+		// our own saved garden is ours to open the room with again
+		if (garden && garden.gardenId !== this.roomGardenId && garden.gardenId !== getRoomGardenId()) {
+			this.applyRoomGarden(garden);
+		}
+		if (Array.isArray(plants)) {
+			if (this.isRejoining) this.removeStalePlants(plants);
+			plants.forEach((plant) => {
+				if (!this.knownPlants.has(plant.netId)) {
+					this.handleRemotePlantEvent(plant, { grown: true });
+				} else if (plant.scaleMultiplier !== this.syncedScaleMultipliers.get(plant.netId)) {
+					this.handleRemoteWaterEvent(plant);
+				}
+			});
+		}
+		this.isRejoining = false;
+		// send what was planted, picked or watered while offline on top of the synced room
+		this.transport.markReady();
+	}
+
+	/**
+	 * Remove networked plants that are gone from the room since our session expired
+	 * @param {Object[]} plants - the room's plants from state:sync
+	 */
+	removeStalePlants(plants) {
+		const netIds = new Set(plants.map((plant) => plant.netId));
+		[...this.queries.networkedPlants.results].forEach((entity) => {
+			const { netId } = entity.getComponent(NetworkedPlantComponent);
+			if (netIds.has(netId)) return;
+			// planted while offline, the relay has not seen it yet
+			if (this.transport.hasQueuedMessage((m) => m.type === 'event:plant' && m.netId === netId)) return;
+			this.removePlantEntity(entity);
+		});
+	}
+
+	/**
+	 * Create a plant that was planted by another player
+	 * @param {Object} plant - the plant event data
+	 * @param {{ grown: boolean }} options - set grown to skip the growth animation, used when catching up on a room
+	 */
+	handleRemotePlantEvent({ clientId, netId, plantType, pos, quat, scale, scaleMultiplier = 1 }, { grown = false } = {}) {
 		if (clientId === this.clientId) return;
+		if (!netId || this.knownPlants.has(netId)) return;
+		this.knownPlants.add(netId);
 		if (!this.scene) this.scene = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).scene;
 		const obj = new THREE.Object3D();
 		obj.position.set(pos.x, pos.y, pos.z);
@@ -132,45 +396,479 @@ export class MultiplayerSystem extends System {
 		this.scene.add(obj);
 		const e = this.world.createEntity();
 		e.addComponent(Object3DComponent, { value: obj });
-		e.addComponent(PlantGrowingComponent, { plantType });
+		e.addComponent(MeshIdComponent, { id: getPlantMeshId(plantType) });
 		e.addComponent(Networked);
+		e.addComponent(NetworkedPlantComponent, { netId });
+		if (!grown) {
+			obj.scale.setScalar(0);
+			e.addComponent(PlantGrowingComponent, { plantType });
+			return;
+		}
+		// Skip PlantGrowingSystem and build the plant at its final size
+		const plantConfig = PLANT_CONFIG[plantType] ?? PLANT_CONFIG.default;
+		const plantedScale = scale
+			? new THREE.Vector3(scale.x, scale.y, scale.z)
+			: new THREE.Vector3().setScalar(plantConfig.baselineScale);
+		obj.scale.copy(plantedScale).multiplyScalar(scaleMultiplier);
+		obj.updateMatrix();
+		e.addComponent(PlantedComponent, {
+			plantType,
+			plantedScale,
+			segmentScales: new THREE.Vector4(1, 1, 1, 1),
+			scaleMultiplier,
+			pickable: true,
+		});
+		e.addComponent(InstancedMeshInstanceComponent, { meshId: getPlantMeshId(plantType) });
+		e.addComponent(SavableObject);
+		this.syncedScaleMultipliers.set(netId, scaleMultiplier);
+	}
+
+	handleRemotePickEvent({ clientId, netId }) {
+		if (clientId === this.clientId) return;
+		const entity = this.findPlantEntity(netId);
+		if (!entity || entity.hasComponent(PlantShrinkingComponent)) return;
+		// the picker's event:remove follows once it is gone
+		this.shrinkPlantEntity(entity, netId);
+	}
+
+	/**
+	 * The relay's verdict on one of our plants. It may have moved the plant
+	 * aside, or denied it because another player planted on the same spot
+	 * first.
+	 * @param {{ netId: string, accepted: boolean, pos?: Object, reason?: string }} result
+	 */
+	handlePlantResult({ netId, accepted, pos, reason }) {
+		const entity = this.findPlantEntity(netId);
+		if (!entity) return;
+		if (accepted) {
+			if (pos) this.movePlantEntity(entity, pos);
+			return;
+		}
+		console.info(`Plant ${netId} was taken back: ${reason}`);
+		this.knownPlants.delete(netId);
+		this.syncedScaleMultipliers.delete(netId);
+		// the relay never had it, so there is nothing to remove there
+		this.localPicks.delete(netId);
+		if (!entity.hasComponent(PlantShrinkingComponent)) this.shrinkPlantEntity(entity, netId);
+	}
+
+	/**
+	 * Shrink a plant away without publishing it as picked by us
+	 * @param {Entity} entity - networked plant entity
+	 * @param {string} netId
+	 */
+	shrinkPlantEntity(entity, netId) {
+		const plantedComponent = entity.getComponent(PlantedComponent);
+		if (!plantedComponent || !plantedComponent.tinyColliderEntity) {
+			// Not far enough along to animate
+			this.removePlantEntity(entity);
+			return;
+		}
+		if (entity.hasComponent(PlantGrowingComponent)) entity.removeComponent(PlantGrowingComponent);
+		if (entity.hasComponent(InstancedMeshInstanceComponent)) {
+			entity.getMutableComponent(InstancedMeshInstanceComponent).alwaysUpdate = true;
+		}
+		this.remotePicks.add(netId);
+		entity.addComponent(PlantShrinkingComponent, { plantType: plantedComponent.plantType });
+		this.removeTinyCollider(plantedComponent.tinyColliderEntity);
+		OneshotAudioComponent.createSFX(this.world, {
+			id: 'REMOVING_SEED',
+			position: entity.getComponent(Object3DComponent).value.position,
+		});
+	}
+
+	handleRemoteRemoveEvent({ clientId, netId }) {
+		if (clientId === this.clientId) return;
+		const entity = this.findPlantEntity(netId);
+		if (entity) this.removePlantEntity(entity);
+	}
+
+	handleRemoteWaterEvent({ clientId, netId, scaleMultiplier }) {
+		if (clientId === this.clientId) return;
+		const entity = this.findPlantEntity(netId);
+		if (!entity || !entity.hasComponent(PlantedComponent)) return;
+		this.syncedScaleMultipliers.set(netId, scaleMultiplier);
+		// growing and picking save the garden when they are done, watering does not wait
+		getOnlyEntity(this.queries.gameState).getMutableComponent(GameStateComponent).updateGardenPending = true;
+		const plantedComponent = entity.getMutableComponent(PlantedComponent);
+		plantedComponent.scaleMultiplier = scaleMultiplier;
+		// Growing and shrinking plants drive their own scale
+		if (entity.hasComponent(PlantGrowingComponent) || entity.hasComponent(PlantShrinkingComponent)) return;
+		const newScale = new THREE.Vector3().copy(plantedComponent.plantedScale).multiplyScalar(scaleMultiplier);
+		const obj = entity.getComponent(Object3DComponent).value;
+		obj.scale.copy(newScale);
+		obj.updateMatrix();
+		obj.updateMatrixWorld(true);
+		const staticCollider = entity.getComponent(StaticColliderComponent);
+		if (staticCollider) {
+			staticCollider.mesh.scale.copy(newScale);
+			staticCollider.mesh.updateMatrix();
+			staticCollider.mesh.updateMatrixWorld(true);
+		}
+		if (entity.hasComponent(InstancedMeshInstanceComponent)) {
+			entity.getMutableComponent(InstancedMeshInstanceComponent).needsUpdate = true;
+		}
+	}
+
+	/**
+	 * Play another player's emote above their nameplate, unless their avatar
+	 * has faded out
+	 * @param {{ clientId: string, emote: string }} message
+	 */
+	handleEmote({ clientId, emote }) {
+		if (clientId === this.clientId || !isValidEmote(emote)) return;
+		const c = this.remotePlayers.get(clientId)?.getComponent(NetworkedPlayerComponent);
+		if (!c || c.opacity === 0) return;
+		const position = c.headGroup.position.clone();
+		position.y += this.nameplateHeight + this.emoteHeight;
+		EmoteBurstComponent.createBurst(this.world, { emote, position });
+	}
+
+	/**
+	 * Fauna by the id fauna:sync messages know its groups by. Groups are
+	 * created in the same order for everyone, and clusters of butterflies are
+	 * named after their planter.
+	 * @returns {Map<string, import('ecsy').Entity[]>}
+	 */
+	getFaunaGroups() {
+		const groups = new Map();
+		this.queries.aerialFaunaGroups.results.forEach((entity, index) => {
+			groups.set(`aerial/${index}`, entity.getComponent(AerialFaunaGroupComponent).entities);
+		});
+		this.queries.waterFaunaGroups.results.forEach((entity, index) => {
+			groups.set(`water/${index}`, entity.getComponent(WaterFaunaGroupComponent).entities);
+		});
+		this.queries.faunaClusters.results.forEach((entity) => {
+			const { id, faunas } = entity.getComponent(FaunaClusterComponent);
+			if (id) groups.set(id, faunas);
+		});
+		groups.set('stationary', this.queries.stationaryFaunas.results);
+		return groups;
+	}
+
+	/**
+	 * The host sends its fauna every FAUNA_SYNC_INTERVAL seconds
+	 * @param {number} time - world time in seconds
+	 */
+	publishFaunaSync(time) {
+		if (this.hostId !== this.clientId || time - this.lastFaunaSyncTime < FAUNA_SYNC_INTERVAL) return;
+		this.lastFaunaSyncTime = time;
+		const groups = [];
+		this.getFaunaGroups().forEach((entities, id) => {
+			if (entities.length) groups.push({ id, faunas: entities.map(readFaunaState) });
+		});
+		this.sendMessage({ v: 1, type: 'fauna:sync', time, groups });
+	}
+
+	/**
+	 * Put our fauna where the host's is. Butterflies around a planter we have
+	 * not seen fill up yet are skipped until we do.
+	 * @param {{ time: number, groups: { id: string, faunas: number[][] }[] }} message
+	 */
+	handleFaunaSync({ time, groups }) {
+		if (!Array.isArray(groups)) return;
+		const localGroups = this.getFaunaGroups();
+		groups.forEach(({ id, faunas }) => {
+			const entities = localGroups.get(id);
+			if (!entities) return;
+			faunas.forEach((values, index) => {
+				if (entities[index]) applyFaunaState(entities[index], values, time - this.time);
+			});
+		});
+	}
+
+	/**
+	 * Open the room with the saved garden we picked on the landing page, once
+	 * it is loaded. Its plants get network ids and replace the room's, and
+	 * LocalSaveDataSystem keeps saving the shared garden to it. A garden too
+	 * large to send is not opened, the room keeps its own garden.
+	 */
+	publishRoomGarden() {
+		const gardenId = getRoomGardenId();
+		if (!this.opensRoomGarden || this.hostId !== this.clientId || this.roomGardenId === gardenId) return;
+		const gameState = getOnlyEntity(this.queries.gameState).getMutableComponent(GameStateComponent);
+		if (gameState.loadedGardenId !== gardenId || gameState.oversizedRoomGardenId === gardenId) return;
+		const entities = [...this.queries.savableObjects.results];
+		const objects = serializeSavableObjects(entities);
+		// the plants only get their network ids once the garden is sent
+		const netIds = entities.map((entity, index) => {
+			if (entity.hasComponent(NetworkedPlantComponent)) return entity.getComponent(NetworkedPlantComponent).netId;
+			const netId = this.generatePlantNetId();
+			objects[index].NetworkedPlantComponent = { netId };
+			return netId;
+		});
+		if (JSON.stringify(objects).length > MAX_ROOM_GARDEN_SIZE) {
+			console.warn('Garden is too large to open the room with');
+			gameState.oversizedRoomGardenId = gardenId;
+			return;
+		}
+		this.sendMessage({ v: 1, type: 'room:garden', gardenId, objects, t: Date.now() });
+		entities.forEach((entity, index) => {
+			const netId = netIds[index];
+			if (!entity.hasComponent(NetworkedPlantComponent)) entity.addComponent(NetworkedPlantComponent, { netId });
+			this.knownPlants.add(netId);
+			this.syncedScaleMultipliers.set(netId, entity.getComponent(PlantedComponent)?.scaleMultiplier ?? 1);
+		});
+		this.roomGardenId = gardenId;
+		gameState.roomGardenId = gardenId;
+	}
+
+	/**
+	 * The host opened the room with one of its saved gardens
+	 * @param {{ clientId: string, gardenId: string, objects: Object[] }} message
+	 */
+	handleRoomGarden({ clientId, gardenId, objects }) {
+		if (clientId === this.clientId) return;
+		this.applyRoomGarden({ gardenId, objects });
+	}
+
+	/**
+	 * Replace our garden, which is not saved while we are in the room, with
+	 * the room's
+	 * @param {{ gardenId: string, objects: Object[] }} garden - SavableObject data as sanitized by the relay
+	 */
+	applyRoomGarden({ gardenId, objects }) {
+		if (!Array.isArray(objects)) return;
+		this.roomGardenId = gardenId;
+		getOnlyEntity(this.queries.gameState).getMutableComponent(GameStateComponent).roomGardenId = gardenId;
+		if (!this.scene) this.scene = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).scene;
+		new Set([...this.queries.savableObjects.results, ...this.queries.networkedPlants.results]).forEach((entity) => {
+			this.removePlantEntity(entity);
+		});
+		this.knownPlants.clear();
+		this.syncedScaleMultipliers.clear();
+		const assetDatabase = getOnlyEntity(this.queries.assetDatabase).getComponent(AssetDatabaseComponent);
+		const { entities, quarantined } = deserializeSavableObjects(this.world, objects, this.scene, assetDatabase);
+		if (quarantined.length > 0) {
+			console.warn(`${quarantined.length} objects of the room's garden could not be restored:`, quarantined.map(({ reason }) => reason));
+		}
+		entities.forEach((entity) => {
+			if (!entity.hasComponent(Networked)) entity.addComponent(Networked);
+			const { netId } = entity.getComponent(NetworkedPlantComponent);
+			this.knownPlants.add(netId);
+			this.syncedScaleMultipliers.set(netId, entity.getComponent(PlantedComponent).scaleMultiplier);
+		});
+	}
+
+	/**
+	 * Collect the chunks of a photo shared by another player, the relay only
+	 * forwards complete photos
+	 * @param {{ clientId: string, photoId: string, index: number, count: number, data: string, pos?: Object }} chunk
+	 */
+	handlePhotoChunk(chunk) {
+		const { clientId } = chunk;
+		if (clientId === this.clientId) return;
+		if (!this.photoAssemblers.has(clientId)) this.photoAssemblers.set(clientId, new PhotoAssembler());
+		const assembler = this.photoAssemblers.get(clientId);
+		if (!assembler.add(chunk) || !assembler.isComplete) return;
+		this.createSharedPhoto(assembler.chunks[0].pos, assembler.getDataUrl());
+		assembler.reset();
+	}
+
+	/**
+	 * Hang a shared photo where its player let go of it, turned towards us and
+	 * grabbable like our own photos
+	 * @param {{ x: number, y: number, z: number }} pos
+	 * @param {string} dataUrl - JPEG data URL
+	 */
+	createSharedPhoto(pos, dataUrl) {
+		if (!this.scene) this.scene = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).scene;
+		new THREE.TextureLoader().load(dataUrl, (texture) => {
+			texture.encoding = THREE.sRGBEncoding;
+			const { width, height } = texture.image;
+			const photoObject = createPhotoObject(new THREE.MeshBasicMaterial({ map: texture }), width / height);
+			photoObject.position.set(pos.x, pos.y, pos.z);
+			const camera = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).getCamera();
+			photoObject.lookAt(camera.getWorldPosition(this.cameraPosition));
+			updateMatrixRecursively(photoObject);
+			this.scene.add(photoObject);
+			const e = this.world.createEntity();
+			e.addComponent(Object3DComponent, { value: photoObject });
+			e.addComponent(PhotoComponent, {
+				texture,
+				rawDataUrl: dataUrl,
+				attached: false,
+				deleteTimer: SCREENSHOT_CAMERA_CONSTANTS.SHARED_PHOTO_EXPIRATION_TIME,
+			});
+			e.addComponent(Networked);
+		});
+	}
+
+	/**
+	 * Send a downscaled copy of a photo to the room, split in chunks that the
+	 * relay reassembles
+	 * @param {Entity} entity - photo entity
+	 */
+	async sharePhoto(entity) {
+		const { rawDataUrl } = entity.getComponent(PhotoComponent);
+		// read now, the photo may have been grabbed again once it is encoded
+		const p = entity.getComponent(Object3DComponent).value.getWorldPosition(this.worldPosition);
+		const pos = { x: p.x, y: p.y, z: p.z };
+		this.photoCounter++;
+		const photoId = `${this.clientId}_${this.photoCounter.toString(36)}`;
+		let dataUrl = null;
+		for (const quality of this.sharedPhotoQualities) {
+			dataUrl = await downscalePhoto(rawDataUrl, this.sharedPhotoSize, quality);
+			if (dataUrl.length <= MAX_PHOTO_SIZE) break;
+		}
+		if (dataUrl.length > MAX_PHOTO_SIZE) {
+			console.warn('Photo is too large to share');
+			return;
+		}
+		const chunks = splitPhoto(dataUrl);
+		chunks.forEach((data, index) => {
+			this.sendMessage({
+				v: 1,
+				type: 'photo:chunk',
+				photoId,
+				index,
+				count: chunks.length,
+				data,
+				...(index === 0 ? { pos } : {}),
+			});
+		});
+	}
+
+	/**
+	 * Move a plant and its colliders to the position the relay settled on
+	 * @param {Entity} entity - networked plant entity
+	 * @param {{ x: number, y: number, z: number }} pos
+	 */
+	movePlantEntity(entity, pos) {
+		const obj = entity.getComponent(Object3DComponent).value;
+		if (obj.position.distanceTo(pos) < 0.001) return;
+		const offset = new THREE.Vector3(pos.x, pos.y, pos.z).sub(obj.position);
+		const plantedComponent = entity.getComponent(PlantedComponent);
+		[
+			obj,
+			entity.getComponent(StaticColliderComponent)?.mesh,
+			plantedComponent?.tinyColliderEntity?.getComponent(StaticColliderComponent)?.mesh,
+		].forEach((object) => {
+			if (!object) return;
+			object.position.add(offset);
+			object.updateMatrix();
+			object.updateMatrixWorld(true);
+		});
+		if (entity.hasComponent(InstancedMeshInstanceComponent)) {
+			entity.getMutableComponent(InstancedMeshInstanceComponent).needsUpdate = true;
+		}
+	}
+
+	findPlantEntity(netId) {
+		return this.queries.networkedPlants.results.find(
+			(e) => e.getComponent(NetworkedPlantComponent).netId === netId,
+		);
+	}
+
+	removeTinyCollider(tinyColliderEntity) {
+		if (!tinyColliderEntity || !tinyColliderEntity.alive) return;
+		const mesh = tinyColliderEntity.getComponent(StaticColliderComponent)?.mesh;
+		if (mesh && mesh.parent) mesh.parent.remove(mesh);
+		tinyColliderEntity.remove();
+	}
+
+	removePlantEntity(entity) {
+		this.removeTinyCollider(entity.getComponent(PlantedComponent)?.tinyColliderEntity);
+		deleteEntity(this.scene, entity);
+	}
+
+	generatePlantNetId() {
+		this.plantCounter++;
+		return `${this.clientId}_${this.plantCounter.toString(36)}`;
 	}
 
 	createRemotePlayer(clientId) {
 		if (!this.scene) this.scene = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).scene;
 		const entity = this.world.createEntity();
 		const headGeometry = new THREE.CapsuleGeometry(0.1, 0.15, 8, 16);
-		const headMaterial = new THREE.MeshBasicMaterial({ color: 0x4caf50 });
+		const headMaterial = new THREE.MeshBasicMaterial();
 		const headMesh = new THREE.Mesh(headGeometry, headMaterial);
-		const handGeometry = new THREE.SphereGeometry(0.05, 8, 6);
-		const handMaterial = new THREE.MeshBasicMaterial({ color: 0x2196f3 });
-		const leftHandMesh = new THREE.Mesh(handGeometry, handMaterial);
-		const rightHandMesh = new THREE.Mesh(handGeometry, handMaterial);
 		const headGroup = new THREE.Group();
+		// RemoteAvatarSystem adds hand models and props to the hand groups
 		const leftHandGroup = new THREE.Group();
 		const rightHandGroup = new THREE.Group();
 		headGroup.add(headMesh);
-		leftHandGroup.add(leftHandMesh);
-		rightHandGroup.add(rightHandMesh);
 		this.scene.add(headGroup);
 		this.scene.add(leftHandGroup);
 		this.scene.add(rightHandGroup);
+		// Moved every frame by the snapshot buffer
+		[headGroup, leftHandGroup, rightHandGroup].forEach((g) => (g.matrixAutoUpdate = true));
 		entity.addComponent(NetworkedPlayerComponent, {
 			clientId,
 			headGroup,
 			leftHandGroup,
 			rightHandGroup,
-			targetHeadPosition: new THREE.Vector3(),
-			targetHeadRotation: new THREE.Quaternion(),
-			targetLeftHandPosition: new THREE.Vector3(),
-			targetLeftHandRotation: new THREE.Quaternion(),
-			targetRightHandPosition: new THREE.Vector3(),
-			targetRightHandRotation: new THREE.Quaternion(),
+			snapshotBuffer: new SnapshotBuffer(),
+			state: {
+				mode: GameStateComponent.INTERACTION_MODES.DEFAULT,
+				plantGroup: '',
+				lh: { pose: 'EMPTY', index: 0, grip: 0, thumb: 0 },
+				rh: { pose: 'EMPTY', index: 0, grip: 0, thumb: 0 },
+			},
 		});
 		this.remotePlayers.set(clientId, entity);
+		// Until the join message with the player's profile arrives
+		this.applyRemotePlayerProfile(entity, {});
 		return entity;
 	}
 
+	/**
+	 * Tint the avatar with the player's color and (re)build its nameplate
+	 * @param {Entity} entity - remote player entity
+	 * @param {{ name?: string, color?: string }} profile - as sanitized by the relay, defaults to the current one
+	 */
+	applyRemotePlayerProfile(entity, profile = {}) {
+		const c = entity.getMutableComponent(NetworkedPlayerComponent);
+		const { name = c.displayName, color = c.color || '#4caf50' } = profile;
+		const role = this.getRole(c.clientId);
+		const avatarColor = new THREE.Color(color);
+		c.headGroup.children[0].material.color.copy(avatarColor);
+		if (c.nameplate && c.displayName === name && c.color === color && c.role === role) return;
+		c.displayName = name;
+		c.color = color;
+		c.role = role;
+		if (c.nameplate) c.nameplate.removeFromSceneTree(false);
+		c.nameplate = null;
+		if (name) {
+			const nameplateJSON = merge({}, nameplateTemplateJSON, {
+				children: [{ text: name }, { text: ROLE_LABELS[role] }],
+			});
+			nameplateJSON.uiPanelParams.backgroundColor = avatarColor;
+			c.nameplate = UIPanelComponent.createFromJSON(nameplateJSON).uiPanel;
+			// scaled with the avatar's opacity by RemoteAvatarSystem
+			c.nameplate.addToSceneTree(this.scene, false);
+		}
+		// the old panel went with the old nameplate
+		this.updateEditRightsPanel(entity);
+	}
+
+	/**
+	 * Give the host a button below each guest's nameplate to grant or revoke
+	 * its edit rights. It is shown while the settings menu is open, when the
+	 * UI ray is out anyway.
+	 * @param {Entity} entity - remote player entity
+	 */
+	updateEditRightsPanel(entity) {
+		const c = entity.getMutableComponent(NetworkedPlayerComponent);
+		if (c.editRightsPanel) c.editRightsPanel.remove();
+		c.editRightsPanel = null;
+		if (this.hostId !== this.clientId || !c.nameplate) return;
+		const canEdit = c.role === 'editor';
+		const panelJSON = merge({}, editRightsTemplateJSON, {
+			children: [{ children: [{ text: canEdit ? 'Make visitor' : 'Allow editing' }] }],
+		});
+		const panelParams = UIPanelComponent.createFromJSON(panelJSON, {
+			'toggle-edit-rights': () => {
+				this.sendMessage({ v: 1, type: 'role:edit', clientId: c.clientId, canEdit: !canEdit });
+			},
+		});
+		panelParams.uiPanel.position.y = this.editRightsPanelOffset;
+		const panelEntity = this.world.createEntity();
+		panelEntity.addComponent(Object3DComponent, { value: panelParams.uiPanel });
+		panelEntity.addComponent(UIPanelComponent, { ...panelParams, parent: c.nameplate });
+		c.editRightsPanel = panelEntity;
+	}
+
 	removeRemotePlayer(clientId) {
 		const entity = this.remotePlayers.get(clientId);
 		if (!entity) return;
@@ -179,69 +877,235 @@ export class MultiplayerSystem extends System {
 			this.scene.remove(c.headGroup);
 			this.scene.remove(c.leftHandGroup);
 			this.scene.remove(c.rightHandGroup);
-			[c.headGroup, c.leftHandGroup, c.rightHandGroup].forEach((g) => {
-				g.traverse((child) => {
-					if (child.isMesh) {
-						child.geometry.dispose();
-						if (Array.isArray(child.material)) child.material.forEach((m) => m.dispose());
-						else child.material.dispose();
-					}
-				});
-			});
+			if (c.nameplate) c.nameplate.removeFromSceneTree(false);
+			if (c.editRightsPanel) c.editRightsPanel.remove();
+			// hand models and props share geometry with the mesh database, only the head is ours
+			const headMesh = c.headGroup.children[0];
+			headMesh.geometry.dispose();
+			headMesh.material.dispose();
 		}
 		entity.remove();
 		this.remotePlayers.delete(clientId);
 	}
 
 	updateRemotePlayerTransform(entity, snapshot) {
-		const c = entity.getMutableComponent(NetworkedPlayerComponent);
 		const { head, lh, rh, t } = snapshot;
-		if (head) {
-			c.targetHeadPosition.set(head.p.x, head.p.y, head.p.z);
-			c.targetHeadRotation.set(head.q.x, head.q.y, head.q.z, head.q.w);
-		}
-		if (lh) {
-			c.targetLeftHandPosition.set(lh.p.x, lh.p.y, lh.p.z);
-			c.targetLeftHandRotation.set(lh.q.x, lh.q.y, lh.q.z, lh.q.w);
-		}
-		if (rh) {
-			c.targetRightHandPosition.set(rh.p.x, rh.p.y, rh.p.z);
-			c.targetRightHandRotation.set(rh.q.x, rh.q.y, rh.q.z, rh.q.w);
-		}
-		c.lastSnapshotTime = t || Date.now();
+		if (!head || !lh || !rh || !Number.isFinite(t)) return;
+		const c = entity.getMutableComponent(NetworkedPlayerComponent);
+		c.snapshotBuffer.push(snapshot);
+		c.lastSnapshotTime = Math.max(c.lastSnapshotTime, t);
+	}
+
+	/**
+	 * Send a message on the transport channel for its type
+	 * @param {Object} message
+	 */
+	sendMessage(message) {
+		this.transport.send(message, MESSAGE_CHANNELS[message.type] ?? CHANNELS.RELIABLE);
+	}
+
+	/**
+	 * Probe the relay clock quickly until the offset settles, then now and then to follow drift
+	 * @param {number} time - elapsed time in seconds
+	 */
+	updateClockSync(time) {
+		const interval = this.clockSync.samples.length < 5 ? 0.5 : 10;
+		if (time - this.lastClockPingTime < interval) return;
+		this.lastClockPingTime = time;
+		this.transport.sendNow(this.clockSync.createPing());
 	}
 
 	execute(delta, time) {
-		if (!this.isEnabled || !this.transport || !this.transport.isConnected) return;
-		// Publish local player snapshot
-		this.publishSnapshot(time);
-		// Interpolate remote players
-		const lerpSpeed = 10 * delta;
-		this.queries.remotePlayers.results.forEach((e) => {
-			const c = e.getMutableComponent(NetworkedPlayerComponent);
-			c.headGroup.position.lerp(c.targetHeadPosition, lerpSpeed);
-			c.headGroup.quaternion.slerp(c.targetHeadRotation, lerpSpeed);
-			c.leftHandGroup.position.lerp(c.targetLeftHandPosition, lerpSpeed);
-			c.leftHandGroup.quaternion.slerp(c.targetLeftHandRotation, lerpSpeed);
-			c.rightHandGroup.position.lerp(c.targetRightHandPosition, lerpSpeed);
-			c.rightHandGroup.quaternion.slerp(c.targetRightHandRotation, lerpSpeed);
-		});
+		if (!this.isEnabled || !this.transport) return;
+		this.time = time;
+		if (this.transport.isConnected) this.updateClockSync(time);
+		// Publish local player snapshot, once the relay has accepted our hello
+		if (this.transport.isReady) {
+			this.publishSnapshot(time);
+			this.publishFaunaSync(time);
+			this.publishRoomGarden();
+		}
+		// Render remote players in the past, between buffered snapshots
+		if (this.clockSync.isSynced) {
+			const renderTime = this.clockSync.now() - this.interpolationDelay;
+			this.queries.remotePlayers.results.forEach((e) => {
+				const c = e.getComponent(NetworkedPlayerComponent);
+				c.snapshotBuffer.sample(renderTime, {
+					head: c.headGroup,
+					lh: c.leftHandGroup,
+					rh: c.rightHandGroup,
+					state: c.state,
+				});
+			});
+		}
+		this.updateAvatarFades(delta);
+		this.updateNameplates();
+		this.updateEditRightsPanels();
+		// Garden edits keep being published while offline, the transport queues them
 		// Broadcast local newly planted plants (avoid echoes with Networked tag)
 		this.queries.newlyPlanted.added.forEach((entity) => {
+			const netId = this.generatePlantNetId();
+			entity.addComponent(NetworkedPlantComponent, { netId });
+			this.knownPlants.add(netId);
 			const plant = entity.getComponent(PlantGrowingComponent);
 			const obj = entity.getComponent(Object3DComponent).value;
-			this.transport.send({
+			// PlantGrowingSystem has usually randomized the planted scale by now
+			const plantedScale = entity.getComponent(PlantedComponent)?.plantedScale;
+			this.sendMessage({
 				v: 1,
 				type: 'event:plant',
+				netId,
 				plantType: plant.plantType,
 				pos: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
 				quat: { x: obj.quaternion.x, y: obj.quaternion.y, z: obj.quaternion.z, w: obj.quaternion.w },
+				scale: plantedScale ? { x: plantedScale.x, y: plantedScale.y, z: plantedScale.z } : null,
 				t: Date.now(),
 			});
 		});
+		[...this.queries.restoredPlants.added].forEach((entity) => {
+			this.publishRestoredPlant(entity);
+			entity.removeComponent(PlantRestoreRequestComponent);
+		});
+		this.publishGardenEdits(time);
+		[...this.queries.photoShareRequests.added].forEach((entity) => {
+			this.sharePhoto(entity).catch((error) => console.warn('Could not share photo:', error.message));
+			entity.removeComponent(PhotoShareRequestComponent);
+		});
+		// emotes are dropped rather than queued while offline
+		[...this.queries.emoteRequests.added].forEach((entity) => {
+			const { emote } = entity.getComponent(EmoteRequestComponent);
+			if (isValidEmote(emote)) {
+				this.sendMessage({ v: 1, type: 'emote', emote, t: Date.now() });
+			}
+			entity.remove();
+		});
+	}
+
+	/**
+	 * Fade remote avatars out before they leave the relay's area of interest,
+	 * where their snapshots become too sparse to animate smoothly, and in again
+	 * when they come back
+	 * @param {number} delta - seconds since the last frame
+	 */
+	updateAvatarFades(delta) {
+		const camera = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).getCamera();
+		camera.getWorldPosition(this.cameraPosition);
+		this.queries.remotePlayers.results.forEach((e) => {
+			const c = e.getMutableComponent(NetworkedPlayerComponent);
+			let targetOpacity = c.snapshotBuffer.samples.length > 0 ? 1 : 0;
+			if (this.aoiRadius > 0) {
+				const distance = c.headGroup.position.distanceTo(this.cameraPosition);
+				targetOpacity *= THREE.MathUtils.clamp((this.aoiRadius - distance) / this.avatarFadeDistance, 0, 1);
+			}
+			const step = this.avatarFadeSpeed * delta;
+			c.opacity = THREE.MathUtils.clamp(targetOpacity, c.opacity - step, c.opacity + step);
+		});
+	}
+
+	/**
+	 * Float nameplates above remote heads, turned towards the viewer around the
+	 * vertical axis like GazeFollowSystem turns its panels
+	 */
+	updateNameplates() {
+		const camera = getOnlyEntity(this.queries.threeGlobal).getComponent(THREEGlobalComponent).getCamera();
+		camera.getWorldPosition(this.cameraPosition);
+		this.queries.remotePlayers.results.forEach((e) => {
+			const { headGroup, nameplate } = e.getComponent(NetworkedPlayerComponent);
+			if (!nameplate) return;
+			nameplate.position.copy(headGroup.position);
+			nameplate.position.y += this.nameplateHeight;
+			this.nameplateLookAt.copy(this.cameraPosition);
+			this.nameplateLookAt.y = nameplate.position.y;
+			nameplate.lookAt(this.nameplateLookAt);
+		});
+	}
+
+	/**
+	 * Show the host's edit rights buttons of visible guests while the settings
+	 * menu is open
+	 */
+	updateEditRightsPanels() {
+		const { interactionMode } = getOnlyEntity(this.queries.gameState).getComponent(GameStateComponent);
+		const isManaging = interactionMode === GameStateComponent.INTERACTION_MODES.SETTINGS;
+		this.queries.remotePlayers.results.forEach((e) => {
+			const { editRightsPanel, opacity } = e.getComponent(NetworkedPlayerComponent);
+			if (!editRightsPanel) return;
+			const isShown = isManaging && opacity > 0;
+			if (isShown && !editRightsPanel.hasComponent(IsActive)) {
+				editRightsPanel.addComponent(IsActive);
+			} else if (!isShown && editRightsPanel.hasComponent(IsActive)) {
+				editRightsPanel.removeComponent(IsActive);
+			}
+		});
+	}
+
+	/**
+	 * Publish a plant that undo or redo brought back, under a new network id
+	 * since the room has seen its old one picked
+	 * @param {Entity} entity - grown plant, restored from its save data
+	 */
+	publishRestoredPlant(entity) {
+		const netId = this.generatePlantNetId();
+		if (entity.hasComponent(NetworkedPlantComponent)) {
+			entity.getMutableComponent(NetworkedPlantComponent).netId = netId;
+		} else {
+			entity.addComponent(NetworkedPlantComponent, { netId });
+		}
+		if (!entity.hasComponent(Networked)) entity.addComponent(Networked);
+		this.knownPlants.add(netId);
+		const { plantType, plantedScale, scaleMultiplier } = entity.getComponent(PlantedComponent);
+		this.syncedScaleMultipliers.set(netId, scaleMultiplier);
+		const obj = entity.getComponent(Object3DComponent).value;
+		this.sendMessage({
+			v: 1,
+			type: 'event:plant',
+			netId,
+			plantType,
+			pos: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+			quat: { x: obj.quaternion.x, y: obj.quaternion.y, z: obj.quaternion.z, w: obj.quaternion.w },
+			scale: { x: plantedScale.x, y: plantedScale.y, z: plantedScale.z },
+			scaleMultiplier,
+			restored: true,
+			t: Date.now(),
+		});
+	}
+
+	/**
+	 * Broadcast picks, removals and watering of networked plants made by the local player
+	 * @param {number} time - elapsed time in seconds
+	 */
+	publishGardenEdits(time) {
+		this.queries.shrinkingPlants.added.forEach((entity) => {
+			const { netId } = entity.getComponent(NetworkedPlantComponent);
+			if (this.remotePicks.has(netId)) return;
+			this.localPicks.add(netId);
+			this.sendMessage({ v: 1, type: 'event:pick', netId, t: Date.now() });
+		});
+		this.queries.shrinkingPlants.removed.forEach((entity) => {
+			const netId = entity.getComponent(NetworkedPlantComponent, true)?.netId;
+			this.remotePicks.delete(netId);
+			this.syncedScaleMultipliers.delete(netId);
+			if (!this.localPicks.delete(netId)) return;
+			this.sendMessage({ v: 1, type: 'event:remove', netId, t: Date.now() });
+		});
+		if (time - this.lastWaterSyncTime < this.waterSyncInterval) return;
+		this.lastWaterSyncTime = time;
+		this.queries.networkedPlants.results.forEach((entity) => {
+			if (!entity.hasComponent(PlantedComponent) || entity.hasComponent(PlantShrinkingComponent)) return;
+			const { netId } = entity.getComponent(NetworkedPlantComponent);
+			const { scaleMultiplier } = entity.getComponent(PlantedComponent);
+			const synced = this.syncedScaleMultipliers.get(netId) ?? 1;
+			if (Math.abs(scaleMultiplier - synced) < 0.001) return;
+			this.syncedScaleMultipliers.set(netId, scaleMultiplier);
+			// only undoing a watering makes a plant smaller
+			const undo = scaleMultiplier < synced || undefined;
+			this.sendMessage({ v: 1, type: 'event:water', netId, scaleMultiplier, undo, t: Date.now() });
+		});
 	}
 
 	publishSnapshot(time) {
+		// Snapshots are stamped with relay time so receivers can order and interpolate them
+		if (!this.clockSync.isSynced) return;
 		if (time - this.lastSnapshotTime < this.snapshotInterval) return;
 		if (!this.localPlayerEntity) this.localPlayerEntity = getOnlyEntity(this.queries.localPlayer);
 		if (!this.localPlayerEntity) return;
@@ -252,21 +1116,41 @@ export class MultiplayerSystem extends System {
 		let right = null;
 		this.queries.controllers.results.forEach((e) => {
 			const vr = e.getComponent(VrControllerComponent);
-			if (vr.handedness === 'left') left = vr.controllerInterface?.controllerModel;
-			if (vr.handedness === 'right') right = vr.controllerInterface?.controllerModel;
+			if (vr.handedness === 'left') left = vr;
+			if (vr.handedness === 'right') right = vr;
 		});
-		if (!left || !right) return;
-		this.transport.send({
+		// the grip space, which hand models and props are attached to
+		const leftGrip = left?.controllerInterface?.controllerModel?.parent;
+		const rightGrip = right?.controllerInterface?.controllerModel?.parent;
+		if (!leftGrip || !rightGrip) return;
+		const gameState = getOnlyEntity(this.queries.gameState).getComponent(GameStateComponent);
+		const mode = gameState.interactionMode;
+		const seedbox = getOnlyEntity(this.queries.seedbox, false)?.getComponent(SeedboxComponent);
+		this.sendMessage({
 			v: 1,
 			type: 'snapshot',
-			t: time,
-			head: { p: playerState.playerHead.position, q: playerState.playerHead.quaternion },
-			lh: { p: left.position, q: left.quaternion },
-			rh: { p: right.position, q: right.quaternion },
+			t: this.clockSync.now(),
+			mode,
+			plantGroup:
+				mode === GameStateComponent.INTERACTION_MODES.PLANTING ? seedbox?.getCurrentPlantGroup() ?? '' : '',
+			head: this.getWorldTransform(playerState.playerHead),
+			lh: { ...this.getWorldTransform(leftGrip), ...this.getHandPose(left) },
+			rh: { ...this.getWorldTransform(rightGrip), ...this.getHandPose(right) },
 		});
 		this.lastSnapshotTime = time;
 	}
 
+	getWorldTransform(object) {
+		const p = object.getWorldPosition(this.worldPosition);
+		const q = object.getWorldQuaternion(this.worldQuaternion);
+		return { p: { x: p.x, y: p.y, z: p.z }, q: { x: q.x, y: q.y, z: q.z, w: q.w } };
+	}
+
+	getHandPose({ handPose }) {
+		if (!handPose) return { pose: 'EMPTY', f: [0, 0, 0] };
+		return { pose: handPose.pose, f: [handPose.index, handPose.grip, handPose.thumb] };
+	}
+
 	onStop() {
 		if (this.transport) this.transport.disconnect();
 		this.remotePlayers.forEach((_, id) => this.removeRemotePlayer(id));
@@ -276,12 +1160,37 @@ export class MultiplayerSystem extends System {
 MultiplayerSystem.queries = {
 	localPlayer: { components: [PlayerStateComponent] },
 	controllers: { components: [VrControllerComponent] },
+	gameState: { components: [GameStateComponent] },
+	seedbox: { components: [SeedboxComponent] },
 	remotePlayers: { components: [NetworkedPlayerComponent] },
 	threeGlobal: { components: [THREEGlobalComponent] },
+	assetDatabase: { components: [AssetDatabaseComponent] },
+	savableObjects: { components: [SavableObject] },
 	newlyPlanted: {
 		components: [PlantGrowingComponent, Object3DComponent, Not(Networked)],
 		listen: { added: true },
 	},
+	networkedPlants: { components: [NetworkedPlantComponent, Object3DComponent] },
+	shrinkingPlants: {
+		components: [NetworkedPlantComponent, PlantShrinkingComponent],
+		listen: { added: true, removed: true },
+	},
+	photoShareRequests: {
+		components: [PhotoShareRequestComponent, PhotoComponent, Object3DComponent],
+		listen: { added: true },
+	},
+	emoteRequests: {
+		components: [EmoteRequestComponent],
+		listen: { added: true },
+	},
+	restoredPlants: {
+		components: [PlantRestoreRequestComponent, PlantedComponent, Object3DComponent],
+		listen: { added: true },
+	},
+	aerialFaunaGroups: { components: [AerialFaunaGroupComponent] },
+	waterFaunaGroups: { components: [WaterFaunaGroupComponent] },
+	faunaClusters: { components: [FaunaClusterComponent] },
+	stationaryFaunas: { components: [StationaryFaunaComponent, Object3DComponent] },
 };
 
 /* eslint-enable sort-imports */
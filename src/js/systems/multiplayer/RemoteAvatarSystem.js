@@ -0,0 +1,246 @@
+/**
+ * Renders the hand models and held props of remote players from the tool
+ * and hand poses that MultiplayerSystem samples out of their snapshots, and
+ * fades whole avatars with the opacity MultiplayerSystem gives them
+ */
+
+import {
+	MeshIdComponent,
+	createReplaceableMesh,
+} from '../../components/AssetReplacementComponents';
+import { applyHandPose, createHandJoints } from '../../utils/handPoseUtils';
+
+import { GameStateComponent } from '../../components/GameStateComponent';
+import { NetworkedPlayerComponent } from '../../components/multiplayer/NetworkedPlayerComponent';
+import { Object3DComponent } from '../../components/Object3DComponent';
+import { PLANT_GROUPS } from '../../Constants';
+import { PROP_TRANSFORM_OFFSET } from '../../PropsTransformOffset';
+import { System } from 'ecsy';
+import { deleteEntity } from '../../utils/entityUtils';
+import { getSeedbagMeshId } from '../../utils/plantUtils';
+import { updateMatrixRecursively } from '../../utils/object3dUtils';
+
+const INTERACTION_MODES = GameStateComponent.INTERACTION_MODES;
+
+/**
+ * The props a player holds in an interaction mode, matching what the local
+ * systems attach to the controllers
+ * @param {number} mode - GameStateComponent.INTERACTION_MODES
+ * @param {string} plantGroup - seed bag held while planting
+ * @returns {{ left: string|null, right: string|null }} mesh ids
+ */
+const getPropMeshIds = (mode, plantGroup) => {
+	switch (mode) {
+		case INTERACTION_MODES.WATERING:
+			return { left: null, right: 'WATERING_CAN' };
+		case INTERACTION_MODES.CAMERA:
+			return { left: null, right: 'CAMERA' };
+		case INTERACTION_MODES.PLANTING:
+			return {
+				left: 'SEEDBOX',
+				// plant groups come from other clients, only show ones we have a seed bag for
+				right: PLANT_GROUPS[plantGroup] ? getSeedbagMeshId(plantGroup) : null,
+			};
+		default:
+			return { left: null, right: null };
+	}
+};
+
+const forEachMaterial = (object, callback) => {
+	object.traverse((node) => {
+		if (!node.material) return;
+		if (Array.isArray(node.material)) {
+			node.material.forEach(callback);
+		} else {
+			callback(node.material);
+		}
+	});
+};
+
+/**
+ * Give a model from the mesh database its own materials, so fading it does
+ * not fade the local player's hands and props too
+ * @param {THREE.Object3D} object
+ */
+const cloneMaterials = (object) => {
+	object.traverse((node) => {
+		if (!node.material) return;
+		const clone = (material) => {
+			const copy = material.clone();
+			copy.userData.baseOpacity = material.opacity;
+			copy.userData.baseTransparent = material.transparent;
+			return copy;
+		};
+		node.material = Array.isArray(node.material)
+			? node.material.map(clone)
+			: clone(node.material);
+	});
+};
+
+const disposeMaterials = (object) => {
+	forEachMaterial(object, (material) => material.dispose());
+};
+
+/**
+ * @param {THREE.Object3D} object
+ * @param {number} opacity - 0 to 1, relative to each material's own opacity
+ */
+const setOpacity = (object, opacity) => {
+	object.visible = opacity > 0;
+	if (!object.visible) return;
+	forEachMaterial(object, (material) => {
+		const { baseOpacity = 1, baseTransparent = false } = material.userData;
+		const transparent = baseTransparent || opacity < 1;
+		material.opacity = baseOpacity * opacity;
+		if (material.transparent !== transparent) {
+			material.transparent = transparent;
+			material.needsUpdate = true;
+		}
+	});
+};
+
+const setPropTransform = (propObject, meshId) => {
+	const transformOffset =
+		PROP_TRANSFORM_OFFSET[meshId.startsWith('SEEDBAG_') ? 'SEEDBAG' : meshId];
+	propObject.position.fromArray(transformOffset.position);
+	propObject.quaternion.fromArray(transformOffset.quaternion);
+	propObject.scale.fromArray(transformOffset.scale);
+};
+
+export class RemoteAvatarSystem extends System {
+	init() {
+		this.joints = createHandJoints();
+	}
+
+	execute(_delta, _time) {
+		this.queries.remotePlayers.added.forEach((entity) => {
+			const playerComponent = entity.getMutableComponent(
+				NetworkedPlayerComponent,
+			);
+			playerComponent.leftHandEntity = this._createHand(
+				playerComponent.leftHandGroup,
+			);
+			playerComponent.rightHandEntity = this._createHand(
+				playerComponent.rightHandGroup,
+			);
+		});
+
+		this.queries.remotePlayers.removed.forEach((entity) => {
+			const playerComponent = entity.getComponent(
+				NetworkedPlayerComponent,
+				true,
+			);
+			[
+				playerComponent.leftHandEntity,
+				playerComponent.rightHandEntity,
+				playerComponent.leftPropEntity,
+				playerComponent.rightPropEntity,
+			].forEach((childEntity) => {
+				if (!childEntity?.alive) return;
+				disposeMaterials(childEntity.getComponent(Object3DComponent).value);
+				deleteEntity(null, childEntity);
+			});
+		});
+
+		this.queries.remotePlayers.results.forEach((entity) => {
+			const playerComponent = entity.getMutableComponent(
+				NetworkedPlayerComponent,
+			);
+			const { state } = playerComponent;
+			this._updateHand(playerComponent.leftHandEntity, state.lh, false);
+			this._updateHand(playerComponent.rightHandEntity, state.rh, true);
+
+			const propMeshIds = getPropMeshIds(state.mode, state.plantGroup);
+			playerComponent.leftPropEntity = this._updateProp(
+				playerComponent.leftPropEntity,
+				playerComponent.leftHandGroup,
+				propMeshIds.left,
+			);
+			playerComponent.rightPropEntity = this._updateProp(
+				playerComponent.rightPropEntity,
+				playerComponent.rightHandGroup,
+				propMeshIds.right,
+			);
+
+			this._updateOpacity(playerComponent);
+		});
+	}
+
+	_updateOpacity(playerComponent) {
+		const { opacity, nameplate } = playerComponent;
+		setOpacity(playerComponent.headGroup, opacity);
+		setOpacity(playerComponent.leftHandGroup, opacity);
+		setOpacity(playerComponent.rightHandGroup, opacity);
+		if (nameplate) {
+			// the UI panel's materials do not fade, it shrinks away instead
+			nameplate.visible = opacity > 0;
+			nameplate.scale.setScalar(opacity);
+		}
+	}
+
+	_createHand(handGroup) {
+		const handEntity = this.world.createEntity();
+		// only the left hand model is loaded, it is mirrored for the right hand
+		const handModel = createReplaceableMesh(handEntity, 'HAND_REST_LEFT');
+		handModel.matrixAutoUpdate = true;
+		handGroup.add(handModel);
+		return handEntity;
+	}
+
+	_updateHand(handEntity, handPose, isRightHand) {
+		const meshIdComponent = handEntity.getComponent(MeshIdComponent);
+		// still a placeholder without bones
+		if (meshIdComponent.needsUpdate) return;
+
+		const handModel = handEntity.getComponent(Object3DComponent).value;
+		if (meshIdComponent.modelHasChanged) {
+			// same setup as the local hands in HandCreationSystem
+			handModel.traverse((node) => {
+				node.castShadow = false;
+				node.frustumCulled = false;
+			});
+			cloneMaterials(handModel);
+			if (isRightHand) {
+				handModel.children[0].scale.y = 1;
+				handModel.children[0].position.x *= -1;
+			}
+		}
+
+		applyHandPose(handModel, this.joints, handPose);
+		updateMatrixRecursively(handModel);
+	}
+
+	/**
+	 * Show the prop with the given mesh id in the hand, or hide it
+	 * @returns {import('ecsy').Entity|null} the prop entity, created on first use
+	 */
+	_updateProp(propEntity, handGroup, meshId) {
+		if (!propEntity) {
+			if (!meshId) return null;
+			propEntity = this.world.createEntity();
+			const placeholderObject = createReplaceableMesh(propEntity, meshId);
+			setPropTransform(placeholderObject, meshId);
+			handGroup.add(placeholderObject);
+			return propEntity;
+		}
+
+		const propObject = propEntity.getComponent(Object3DComponent).value;
+		const meshIdComponent = propEntity.getMutableComponent(MeshIdComponent);
+		if (meshIdComponent.modelHasChanged) cloneMaterials(propObject);
+		propObject.visible = !!meshId;
+		if (!meshId || meshIdComponent.id === meshId) return propEntity;
+
+		// AssetReplacementSystem copies this transform onto the new mesh
+		if (!meshIdComponent.needsUpdate) disposeMaterials(propObject);
+		setPropTransform(propObject, meshId);
+		meshIdComponent.update(meshId);
+		return propEntity;
+	}
+}
+
+RemoteAvatarSystem.queries = {
+	remotePlayers: {
+		components: [NetworkedPlayerComponent],
+		listen: { added: true, removed: true },
+	},
+};
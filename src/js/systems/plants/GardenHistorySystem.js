@@ -0,0 +1,280 @@
+/**
+ * Undoes and redoes the plants, picks and waterings recorded in the
+ * GardenHistoryComponent. Pressing the right thumbstick undoes, holding it
+ * redoes, the selection wheel has a tile for each.
+ */
+
+import {
+	PLANT_STATES,
+	getGardenHistory,
+	getPlantState,
+} from '../../utils/gardenHistoryUtils';
+import {
+	PlantShrinkingComponent,
+	PlantedComponent,
+} from '../../components/PlantingComponents';
+import {
+	deserializeSavableObjects,
+	serializeSavableObjects,
+} from '../../utils/saveDataUtils';
+
+import { AssetDatabaseComponent } from '../../components/AssetDatabaseComponent';
+import { BUTTONS } from '../../lib/ControllerInterface';
+import { GardenHistoryComponent } from '../../components/GardenHistoryComponent';
+import { InstancedMeshInstanceComponent } from '../../components/InstancedMeshComponent';
+import { InteractionSystem } from '../../lib/InteractionSystem';
+import { LONG_PRESS_DURATION } from '../../Constants';
+import { Object3DComponent } from '../../components/Object3DComponent';
+import { OneshotAudioComponent } from '../../components/AudioComponents';
+import { PlantRestoreRequestComponent } from '../../components/multiplayer/PlantRestoreRequestComponent';
+import { SavableObject } from '../../components/SaveDataComponents';
+import { StaticColliderComponent } from '../../components/ColliderComponents';
+import { getOnlyEntity } from '../../utils/entityUtils';
+import { isMultiplayerEnabled } from '../../utils/multiplayerUtils';
+import { updateMatrixRecursively } from '../../utils/object3dUtils';
+
+const COMMAND_TYPES = GardenHistoryComponent.COMMAND_TYPES;
+
+// what undoing or redoing a command does to its plants
+const STEP_RESULTS = {
+	APPLIED: 0,
+	WAITING: 1, // a plant is still growing or shrinking
+	OBSOLETE: 2, // a plant was changed by something else, picked by another player for one
+};
+
+export class GardenHistorySystem extends InteractionSystem {
+	init() {
+		this.isMultiplayer = isMultiplayerEnabled();
+		this.thumbstickPressId = -1;
+		this.ignoredPressId = -1;
+	}
+
+	onExecute(_delta, _time) {
+		const history = getGardenHistory(this.queries.gardenHistory);
+		if (!history) return;
+
+		// the commands only make sense in the garden they were made in
+		const { roomGardenId, loadedGardenId } = this.gameStateComponent;
+		const gardenId = roomGardenId || loadedGardenId;
+		if (history.gardenId !== gardenId) {
+			history.clear();
+			history.gardenId = gardenId;
+		}
+
+		this.updateGesture(history);
+
+		if (!this.gameStateComponent.canEdit) {
+			history.undoPending = false;
+			history.redoPending = false;
+			return;
+		}
+		if (history.undoPending) {
+			history.undoPending = !this.step(
+				history.undoStack,
+				history.redoStack,
+				true,
+			);
+		}
+		if (history.redoPending) {
+			history.redoPending = !this.step(
+				history.redoStack,
+				history.undoStack,
+				false,
+			);
+		}
+	}
+
+	/**
+	 * Right thumbstick: a press undoes when it is released, holding it redoes
+	 * @param {GardenHistoryComponent} history
+	 */
+	updateGesture(history) {
+		const controller = this.controllerInterfaces.RIGHT;
+		if (controller.buttonPressed(BUTTONS.THUMBSTICK)) {
+			this.thumbstickPressId = controller.getButtonPressId(BUTTONS.THUMBSTICK);
+		}
+		// presses made while the selection wheel is open do nothing
+		if (this.gameStateComponent.interactionModeOverridden) {
+			this.ignoredPressId = this.thumbstickPressId;
+			return;
+		}
+		if (this.ignoredPressId === this.thumbstickPressId) return;
+		if (controller.buttonJustReleased(BUTTONS.THUMBSTICK)) {
+			history.undoPending = true;
+		} else if (
+			controller.buttonPressedFor(BUTTONS.THUMBSTICK) >= LONG_PRESS_DURATION
+		) {
+			history.redoPending = true;
+			// and not undo again when it is released
+			this.ignoredPressId = this.thumbstickPressId;
+		}
+	}
+
+	/**
+	 * Undo or redo the last command of a stack and move it to the other one.
+	 * Obsolete commands are dropped on the way.
+	 * @param {import('../../components/GardenHistoryComponent').GardenCommand[]} from
+	 * @param {import('../../components/GardenHistoryComponent').GardenCommand[]} to
+	 * @param {boolean} isUndo
+	 * @returns {boolean} false while the command waits for its plants
+	 */
+	step(from, to, isUndo) {
+		while (from.length > 0) {
+			const command = from[from.length - 1];
+			const result = this.applyCommand(command, isUndo);
+			if (result === STEP_RESULTS.WAITING) return false;
+			from.pop();
+			if (result === STEP_RESULTS.APPLIED) {
+				to.push(command);
+				this.gameStateComponent.updateGardenPending = true;
+				return true;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * @param {import('../../components/GardenHistoryComponent').GardenCommand} command
+	 * @param {boolean} isUndo
+	 * @returns {number} one of STEP_RESULTS
+	 */
+	applyCommand(command, isUndo) {
+		if (command.type === COMMAND_TYPES.WATER) {
+			return this.applyWatering(command, isUndo);
+		}
+		// undoing a plant and redoing a pick take the plant away again
+		const removes = (command.type === COMMAND_TYPES.PLANT) === isUndo;
+		const state = getPlantState(command.plant);
+		if (state === PLANT_STATES.CHANGING) return STEP_RESULTS.WAITING;
+		if (removes && state === PLANT_STATES.STANDING) {
+			this.removePlant(command.plant);
+			return STEP_RESULTS.APPLIED;
+		}
+		if (!removes && state === PLANT_STATES.GONE && command.plant.snapshot) {
+			return this.restorePlant(command.plant)
+				? STEP_RESULTS.APPLIED
+				: STEP_RESULTS.OBSOLETE;
+		}
+		return STEP_RESULTS.OBSOLETE;
+	}
+
+	/**
+	 * Set the watered plants back to their size before or after the watering,
+	 * plants that are gone since are left out
+	 * @param {{ plants: { plant: Object, before: number, after: number }[] }} command
+	 * @param {boolean} isUndo
+	 * @returns {number} one of STEP_RESULTS
+	 */
+	applyWatering(command, isUndo) {
+		const states = command.plants.map(({ plant }) => getPlantState(plant));
+		if (states.includes(PLANT_STATES.CHANGING)) return STEP_RESULTS.WAITING;
+		if (!states.includes(PLANT_STATES.STANDING)) return STEP_RESULTS.OBSOLETE;
+		command.plants.forEach(({ plant, before, after }, index) => {
+			if (states[index] !== PLANT_STATES.STANDING) return;
+			this.setScaleMultiplier(plant.entity, isUndo ? before : after);
+		});
+		return STEP_RESULTS.APPLIED;
+	}
+
+	/**
+	 * Shrink a plant away like picking does, keeping what it looked like so
+	 * that it can be restored
+	 * @param {import('../../components/GardenHistoryComponent').PlantHandle} plantHandle
+	 */
+	removePlant(plantHandle) {
+		const plantEntity = plantHandle.entity;
+		plantHandle.snapshot = serializeSavableObjects([plantEntity])[0];
+
+		if (plantEntity.hasComponent(InstancedMeshInstanceComponent)) {
+			plantEntity.getMutableComponent(
+				InstancedMeshInstanceComponent,
+			).alwaysUpdate = true;
+		}
+		const plantedComponent = plantEntity.getComponent(PlantedComponent);
+		plantEntity.addComponent(PlantShrinkingComponent, {
+			plantType: plantedComponent.plantType,
+		});
+
+		const tinyColliderEntity = plantedComponent.tinyColliderEntity;
+		const tinyColliderObject = tinyColliderEntity.getComponent(
+			StaticColliderComponent,
+		).mesh;
+		tinyColliderObject.parent.remove(tinyColliderObject);
+		tinyColliderEntity.remove();
+
+		OneshotAudioComponent.createSFX(this.world, {
+			id: 'REMOVING_SEED',
+			position: plantHandle.object.position,
+		});
+	}
+
+	/**
+	 * Bring a plant back from its snapshot, with the exact scales it had
+	 * @param {import('../../components/GardenHistoryComponent').PlantHandle} plantHandle
+	 * @returns {boolean} false when the snapshot could not be restored
+	 */
+	restorePlant(plantHandle) {
+		const { entities, quarantined } = deserializeSavableObjects(
+			this.world,
+			[JSON.parse(JSON.stringify(plantHandle.snapshot))],
+			this.threeGlobalComponent.scene,
+			getOnlyEntity(this.queries.assetDatabase).getComponent(
+				AssetDatabaseComponent,
+			),
+		);
+		if (entities.length === 0) {
+			console.warn('Could not restore plant:', quarantined[0]?.reason);
+			return false;
+		}
+
+		const plantEntity = entities[0];
+		if (!plantEntity.hasComponent(SavableObject)) {
+			plantEntity.addComponent(SavableObject);
+		}
+		if (this.isMultiplayer) {
+			plantEntity.addComponent(PlantRestoreRequestComponent);
+		}
+		const plantObject = plantEntity.getComponent(Object3DComponent).value;
+		plantHandle.entity = plantEntity;
+		plantHandle.object = plantObject;
+		plantObject.gardenHistoryHandle = plantHandle;
+
+		OneshotAudioComponent.createSFX(this.world, {
+			id: 'PLANTING_SEED',
+			position: plantObject.position,
+		});
+		return true;
+	}
+
+	/**
+	 * Resize a standing plant like WateringSystem does
+	 * @param {import('ecsy').Entity} plantEntity
+	 * @param {number} scaleMultiplier
+	 */
+	setScaleMultiplier(plantEntity, scaleMultiplier) {
+		const plantedComponent = plantEntity.getMutableComponent(PlantedComponent);
+		plantedComponent.scaleMultiplier = scaleMultiplier;
+		const newScale = plantedComponent.plantedScale
+			.clone()
+			.multiplyScalar(scaleMultiplier);
+
+		const plantObject = plantEntity.getComponent(Object3DComponent).value;
+		plantObject.scale.copy(newScale);
+		const staticCollider = plantEntity.getComponent(StaticColliderComponent);
+		staticCollider.mesh.scale.copy(newScale);
+
+		updateMatrixRecursively(plantObject);
+		updateMatrixRecursively(staticCollider.mesh);
+
+		if (plantEntity.hasComponent(InstancedMeshInstanceComponent)) {
+			plantEntity.getMutableComponent(
+				InstancedMeshInstanceComponent,
+			).needsUpdate = true;
+		}
+	}
+}
+
+GardenHistorySystem.addQueries({
+	gardenHistory: { components: [GardenHistoryComponent] },
+	assetDatabase: { components: [AssetDatabaseComponent] },
+});
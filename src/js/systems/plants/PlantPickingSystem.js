@@ -21,9 +21,14 @@ import {
 	PlantTinyColliderComponent,
 	PlantedComponent,
 } from '../../components/PlantingComponents';
+import {
+	getGardenHistory,
+	getPlantHandle,
+} from '../../utils/gardenHistoryUtils';
 
 import { COLLISION_LAYERS } from '../../Constants';
 import { GameStateComponent } from '../../components/GameStateComponent';
+import { GardenHistoryComponent } from '../../components/GardenHistoryComponent';
 import { InteractionSystem } from '../../lib/InteractionSystem';
 import { MeshIdComponent } from '../../components/AssetReplacementComponents';
 import { Object3DComponent } from '../../components/Object3DComponent';
@@ -31,6 +36,7 @@ import { OneshotAudioComponent } from '../../components/AudioComponents';
 import { RayComponent } from '../../components/RayComponents';
 import { TRIGGERS } from '../../lib/ControllerInterface';
 import { getOnlyEntity } from '../../utils/entityUtils';
+import { serializeSavableObjects } from '../../utils/saveDataUtils';
 
 const INTERACTION_MODES = GameStateComponent.INTERACTION_MODES;
 const PICKED_STATES = PickedPlantComponent.STATES;
@@ -156,6 +162,14 @@ export class PlantPickingSystem extends InteractionSystem {
 		let plantObject = plantEntity.getComponent(Object3DComponent).value;
 		if (!plantedComponent.pickable) return;
 
+		// keep the plant as it is saved, undo brings it back
+		const plantHandle = getPlantHandle(plantEntity);
+		plantHandle.snapshot = serializeSavableObjects([plantEntity])[0];
+		getGardenHistory(this.queries.gardenHistory)?.record({
+			type: GardenHistoryComponent.COMMAND_TYPES.PICK,
+			plant: plantHandle,
+		});
+
 		if (plantEntity.hasComponent(InstancedMeshInstanceComponent)) {
 			plantEntity.getMutableComponent(
 				InstancedMeshInstanceComponent,
@@ -204,6 +218,7 @@ PlantPickingSystem.addQueries({
 	picked: { components: [PickedPlantComponent, Object3DComponent] },
 	collisionWorld: { components: [CollisionWorldComponent] },
 	meshInstances: { components: [InstancedMeshComponent] },
+	gardenHistory: { components: [GardenHistoryComponent] },
 });
 
 const getActualPlantEntity = (intersectedEntity) => {
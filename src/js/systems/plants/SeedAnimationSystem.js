@@ -12,7 +12,12 @@ import {
 	SeedAnimationComponent,
 } from '../../components/PlantingComponents';
 import { deleteEntity, getOnlyEntity } from '../../utils/entityUtils';
+import {
+	getGardenHistory,
+	getPlantHandle,
+} from '../../utils/gardenHistoryUtils';
 
+import { GardenHistoryComponent } from '../../components/GardenHistoryComponent';
 import { MeshIdComponent } from '../../components/AssetReplacementComponents';
 import { Object3DComponent } from '../../components/Object3DComponent';
 import { OneshotAudioComponent } from '../../components/AudioComponents';
@@ -79,6 +84,11 @@ export class SeedAnimationSystem extends System {
 			id: getPlantMeshId(plantType),
 		});
 
+		getGardenHistory(this.queries.gardenHistory)?.record({
+			type: GardenHistoryComponent.COMMAND_TYPES.PLANT,
+			plant: getPlantHandle(plantedEntity),
+		});
+
 		OneshotAudioComponent.createSFX(this.world, {
 			id: 'PLANTING_SEED',
 			position: plantedObject.position,
@@ -88,5 +98,6 @@ export class SeedAnimationSystem extends System {
 
 SeedAnimationSystem.queries = {
 	gameManager: { components: [THREEGlobalComponent] },
+	gardenHistory: { components: [GardenHistoryComponent] },
 	seed: { components: [SeedAnimationComponent, Object3DComponent] },
 };
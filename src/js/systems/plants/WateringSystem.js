@@ -12,6 +12,12 @@ import {
 	CollisionWorldComponent,
 	StaticColliderComponent,
 } from '../../components/ColliderComponents';
+import {
+	PLANT_STATES,
+	getGardenHistory,
+	getPlantHandle,
+	getPlantState,
+} from '../../utils/gardenHistoryUtils';
 import {
 	PlantGrowingComponent,
 	PlantTinyColliderComponent,
@@ -19,6 +25,7 @@ import {
 } from '../../components/PlantingComponents';
 
 import { GameStateComponent } from '../../components/GameStateComponent';
+import { GardenHistoryComponent } from '../../components/GardenHistoryComponent';
 import { InstancedMeshInstanceComponent } from '../../components/InstancedMeshComponent';
 import { InteractionSystem } from '../../lib/InteractionSystem';
 import { LoopingAudioComponent } from '../../components/AudioComponents';
@@ -54,6 +61,8 @@ export class WateringSystem extends InteractionSystem {
 		this.wateringSpoutDirection = new THREE.Vector3();
 
 		this.intersectedPlantEntities = new Set();
+		// plant handle -> scale multiplier before the current stroke of watering
+		this.wateredPlants = new Map();
 
 		this.wasWatering = false;
 	}
@@ -89,6 +98,9 @@ export class WateringSystem extends InteractionSystem {
 		this.targetRayComponent.originOverride = null;
 		this.targetRayComponent.directionOverride = null;
 
+		if (this.wasWatering) {
+			this._recordWatering();
+		}
 		this.wasWatering = false;
 		this.controllerInterfaces.RIGHT.stopVibration();
 	}
@@ -207,6 +219,7 @@ export class WateringSystem extends InteractionSystem {
 		} else if (!triggerPressed && this.wasWatering) {
 			controllerInterface.stopVibration();
 			this.colliderObject.matrixAutoUpdate = false;
+			this._recordWatering();
 		}
 
 		this.wasWatering = triggerPressed;
@@ -338,6 +351,10 @@ export class WateringSystem extends InteractionSystem {
 		let plantedComponent = intersectedPlantEntity.getMutableComponent(
 			PlantedComponent,
 		);
+		const plantHandle = getPlantHandle(intersectedPlantEntity);
+		if (!this.wateredPlants.has(plantHandle)) {
+			this.wateredPlants.set(plantHandle, plantedComponent.scaleMultiplier);
+		}
 		plantedComponent.scaleMultiplier += delta * plantedComponent.growSpeed;
 		let newScale = new THREE.Vector3()
 			.copy(plantedComponent.plantedScale)
@@ -363,10 +380,30 @@ export class WateringSystem extends InteractionSystem {
 			).needsUpdate = true;
 		}
 	}
+
+	/**
+	 * Record a stroke of watering as one command, so that undo shrinks every
+	 * plant it grew back to its size before
+	 */
+	_recordWatering() {
+		const plants = [];
+		this.wateredPlants.forEach((before, plant) => {
+			if (getPlantState(plant) === PLANT_STATES.GONE) return;
+			const { scaleMultiplier } = plant.entity.getComponent(PlantedComponent);
+			plants.push({ plant, before, after: scaleMultiplier });
+		});
+		this.wateredPlants.clear();
+		if (plants.length === 0) return;
+		getGardenHistory(this.queries.gardenHistory)?.record({
+			type: GardenHistoryComponent.COMMAND_TYPES.WATER,
+			plants,
+		});
+	}
 }
 
 WateringSystem.addQueries({
 	collisionWorld: { components: [CollisionWorldComponent] },
 	planted: { components: [PlantedComponent, Object3DComponent] },
 	gameManager: { components: [GameStateComponent] },
+	gardenHistory: { components: [GardenHistoryComponent] },
 });
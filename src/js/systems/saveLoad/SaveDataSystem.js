@@ -9,6 +9,10 @@ import * as THREE from 'three';
 import * as localForage from 'localforage';
 
 import { deleteEntity, getOnlyEntity } from '../../utils/entityUtils';
+import {
+	deserializeSavableObjects,
+	serializeSavableObjects,
+} from '../../utils/saveDataUtils';
 
 import { AssetDatabaseComponent } from '../../components/AssetDatabaseComponent';
 import { GameStateComponent } from '../../components/GameStateComponent';
@@ -55,7 +59,12 @@ export class LocalSaveDataSystem extends System {
 		);
 
 		let gardenId = this.gameStateComponent.currentGardenId;
-		if (this.gameStateComponent.loadGardenPending) {
+		if (this._isShowingRoomGarden()) {
+			// a multiplayer room opened with another player's garden, which is
+			// theirs to save
+			this.gameStateComponent.loadGardenPending = false;
+			this.gameStateComponent.updateGardenPending = false;
+		} else if (this.gameStateComponent.loadGardenPending) {
 			this.gameStateComponent.loadGardenPending = false;
 			this.loadGarden(gardenId);
 		} else if (this.gameStateComponent.updateGardenPending || this.shouldSave) {
@@ -72,6 +81,11 @@ export class LocalSaveDataSystem extends System {
 		}
 	}
 
+	_isShowingRoomGarden() {
+		const { roomGardenId, currentGardenId } = this.gameStateComponent;
+		return !!roomGardenId && roomGardenId !== currentGardenId;
+	}
+
 	resetGarden() {
 		// remove all savable objects
 		// we have to iterate backwards to avoid mutating results during the iteration
@@ -114,7 +128,7 @@ export class LocalSaveDataSystem extends System {
 		console.log('Updating garden:', gardenId);
 		// TO-DO: implement feedback to let the user know save has completed
 
-		let gardenData = this._serializeAllSaveObjects();
+		let gardenData = serializeSavableObjects(this.queries.saveObjects.results);
 		// put it into localStorage
 		StorageInterface.updateGarden(gardenId, gardenData).catch((err) => {
 			console.log('Update garden failed', err);
@@ -126,6 +140,7 @@ export class LocalSaveDataSystem extends System {
 		StorageInterface.createGarden(this.gameStateComponent.currentBaseMapId)
 			.then((gardenId) => {
 				this.gameStateComponent.currentGardenId = gardenId;
+				this.gameStateComponent.loadedGardenId = gardenId;
 				console.log('Created new garden', gardenId);
 				this.gameStateComponent.gardenListNeedsRefresh = true;
 			})
@@ -139,82 +154,58 @@ export class LocalSaveDataSystem extends System {
 		// TO-DO: add and enable a loading screen here
 		// disable the loading screen in then()
 
+		this.gameStateComponent.loadedGardenId = '';
+		this.gameStateComponent.unrestoredObjectCount = 0;
 		StorageInterface.loadGardenData(gardenId)
 			.then((gardenData) => {
+				// the multiplayer room's garden arrived in the meantime
+				if (this._isShowingRoomGarden()) return;
 				this.resetGarden();
+				if (!Array.isArray(gardenData)) {
+					this.gameStateComponent.loadedGardenId = gardenId;
+					this.quarantineObjects(gardenId, [
+						{ object: gardenData, reason: 'Garden data is not a list' },
+					]);
+					return;
+				}
 				// deserialize all objects
-				this._deserializeJSON(JSON.parse(JSON.stringify(gardenData)));
+				const { quarantined } = deserializeSavableObjects(
+					this.world,
+					JSON.parse(JSON.stringify(gardenData)),
+					this.scene,
+					getOnlyEntity(this.queries.assetDatabase).getComponent(
+						AssetDatabaseComponent,
+					),
+				);
+				this.gameStateComponent.loadedGardenId = gardenId;
+				this.quarantineObjects(gardenId, quarantined);
 			})
 			.catch((err) => {
 				console.log('Load garden failed', err);
 			});
 	}
 
-	_serializeAllSaveObjects() {
-		const objects = [];
-		this.queries.saveObjects.results.forEach((entity) => {
-			const components = entity.getComponents();
-			const obj = {};
-			for (let key in components) {
-				let component = components[key];
-
-				const name = component.getName();
-				if (!component.serialize) {
-					continue;
-				}
-				obj[name] = component.serialize();
-			}
-			objects.push(obj);
-		});
-
-		return objects;
-	}
-
-	_deserializeJSON(jsonObjects) {
-		const entities = [];
-		for (let object of jsonObjects) {
-			const newEntity = this.world.createEntity();
-			for (let key in object) {
-				const componentType = getComponentFromName(this.world, key);
-				newEntity.addComponent(componentType);
-
-				let componentInstance = newEntity.getMutableComponent(componentType);
-				if (componentInstance.deserialize) {
-					componentInstance.deserialize(object[key]);
-				}
-			}
-
-			// second pass, for any components that need access to the whole entity
-			const components = newEntity.getComponents();
-			for (let key in components) {
-				const component = components[key];
-				if (component.afterDeserialize) {
-					const assetDatabase = getOnlyEntity(
-						this.queries.assetDatabase,
-					).getComponent(AssetDatabaseComponent);
-					component.afterDeserialize(newEntity, this.scene, assetDatabase);
-				}
-			}
-
-			entities.push(newEntity);
-		}
-
-		return entities;
+	/**
+	 * Set saved objects that could not be restored aside and let the player
+	 * know, the rest of the garden is loaded without them
+	 * @param {string} gardenId
+	 * @param {{ object: *, reason: string }[]} quarantined
+	 */
+	quarantineObjects(gardenId, quarantined) {
+		if (quarantined.length === 0) return;
+		console.warn(
+			`${quarantined.length} saved objects of garden ${gardenId} could not be restored:`,
+			quarantined.map(({ reason }) => reason),
+		);
+		this.gameStateComponent.unrestoredObjectCount = quarantined.length;
+		StorageInterface.quarantineGardenObjects(gardenId, quarantined).catch(
+			(err) => {
+				console.log('Quarantine garden objects failed', err);
+			},
+		);
 	}
 }
 
-const getComponentFromName = (world, componentName) => {
-	// get the component
-	const componentManager = world.componentsManager;
-	const component = componentManager.Components.find((c) => {
-		return c.getName() === componentName;
-	});
-	if (!component) {
-		return undefined;
-	}
-	return component;
-};
-
 LocalSaveDataSystem.queries = {
 	gameManager: { components: [GameStateComponent, THREEGlobalComponent] },
 	player: { components: [PlayerStateComponent] },
@@ -0,0 +1,88 @@
+/**
+ * Builds the emote wheel on the left controller. It only exists in
+ * multiplayer, where there is someone to see the emotes.
+ */
+
+import * as THREE from 'three';
+
+import {
+	EMOTE_WHEEL_CONSTANTS,
+	MODE_SELECTION_WHEEL_CONSTANTS,
+} from '../../Constants';
+import { EMOTES } from '../../lib/net/Emotes';
+import { EmoteWheelComponent } from '../../components/multiplayer/EmoteComponents';
+import { InteractionSystem } from '../../lib/InteractionSystem';
+import { Object3DComponent } from '../../components/Object3DComponent';
+import { getEmoteTexture } from '../../utils/emoteUtils';
+import { isMultiplayerEnabled } from '../../utils/multiplayerUtils';
+
+export class EmoteWheelCreationSystem extends InteractionSystem {
+	init() {
+		this.wheelEntity = null;
+		this.isEnabled = isMultiplayerEnabled();
+	}
+
+	onExecute(_delta, _time) {
+		if (!this.isEnabled || this.wheelEntity) return;
+
+		const wheelObject = new THREE.Group();
+		const wheelTiles = EMOTES.map((emote, index) => {
+			// clockwise from the top
+			const angle = (index / EMOTES.length) * Math.PI * 2;
+			const tile = this.createTile(emote);
+			tile.defaultPosition = new THREE.Vector3(
+				Math.sin(angle),
+				Math.cos(angle),
+				0,
+			)
+				.multiplyScalar(EMOTE_WHEEL_CONSTANTS.TILE_RING_RADIUS)
+				.add(EMOTE_WHEEL_CONSTANTS.WHEEL_POSITION_OFFSET);
+			tile.position.copy(tile.defaultPosition);
+			tile.updateMatrix();
+			wheelObject.add(tile);
+			return tile;
+		});
+
+		this.controllerInterfaces.LEFT.controllerModel.parent.add(wheelObject);
+		wheelObject.visible = false;
+
+		this.wheelEntity = this.world.createEntity();
+		this.wheelEntity.addComponent(Object3DComponent, { value: wheelObject });
+		this.wheelEntity.addComponent(EmoteWheelComponent, { wheelTiles });
+	}
+
+	/**
+	 * A round tile with the emote's icon, facing +z
+	 * @param {string} emote
+	 * @returns {THREE.Group}
+	 */
+	createTile(emote) {
+		const tile = new THREE.Group();
+		tile.name = `${emote}_emote_tile`;
+
+		const backgroundMesh = new THREE.Mesh(
+			new THREE.CircleGeometry(EMOTE_WHEEL_CONSTANTS.TILE_SIZE * 0.7, 24),
+			new THREE.MeshBasicMaterial({
+				color: MODE_SELECTION_WHEEL_CONSTANTS.TILE_ENCLOSURE_COLOR,
+			}),
+		);
+		const faceMesh = new THREE.Mesh(
+			new THREE.PlaneGeometry(
+				EMOTE_WHEEL_CONSTANTS.TILE_SIZE,
+				EMOTE_WHEEL_CONSTANTS.TILE_SIZE,
+			),
+			new THREE.MeshBasicMaterial({
+				map: getEmoteTexture(emote),
+				transparent: true,
+			}),
+		);
+		// offset this a bit to avoid zfighting
+		faceMesh.position.z = 0.001;
+		faceMesh.updateMatrix();
+		tile.add(backgroundMesh, faceMesh);
+
+		tile.emote = emote;
+		tile.backgroundMesh = backgroundMesh;
+		return tile;
+	}
+}
@@ -0,0 +1,219 @@
+/**
+ * The emote wheel works like the mode selection wheel, on the left hand: the
+ * Y button brings it up, and pulling the trigger with the controller on a
+ * tile sends that emote to the room.
+ */
+
+import * as THREE from 'three';
+
+import { BUTTONS, TRIGGERS } from '../../lib/ControllerInterface';
+import {
+	EmoteBurstComponent,
+	EmoteRequestComponent,
+	EmoteWheelComponent,
+} from '../../components/multiplayer/EmoteComponents';
+
+import { GameStateComponent } from '../../components/GameStateComponent';
+import { InteractionSystem } from '../../lib/InteractionSystem';
+import { MODE_SELECTION_WHEEL_CONSTANTS } from '../../Constants';
+import { Object3DComponent } from '../../components/Object3DComponent';
+import { OneshotAudioComponent } from '../../components/AudioComponents';
+import { WHEEL_STATE } from '../../components/SelectionWheelComponent';
+
+export class EmoteWheelSystem extends InteractionSystem {
+	init() {
+		this.retractPending = false;
+	}
+
+	onExecute(delta, _time) {
+		const wheelEntity = this.queries.wheel.results[0];
+		if (!wheelEntity) return;
+
+		const wheelObject = wheelEntity.getComponent(Object3DComponent).value;
+		const wheelComponent = wheelEntity.getMutableComponent(EmoteWheelComponent);
+		const tiles = wheelComponent.wheelTiles;
+
+		const controllerInterface = this.controllerInterfaces.LEFT;
+		const grip = controllerInterface.controllerModel.parent;
+		// the Y button zooms the camera in camera mode
+		const isCameraMode =
+			this.gameStateComponent.interactionMode ===
+			GameStateComponent.INTERACTION_MODES.CAMERA;
+		const toggled =
+			!isCameraMode && controllerInterface.buttonJustPressed(BUTTONS.BUTTON_2);
+		if (toggled && wheelComponent.state === WHEEL_STATE.RETRACTED) {
+			this.onDeploy(wheelComponent, wheelObject);
+
+			OneshotAudioComponent.createSFX(this.world, {
+				id: 'MENU_OPEN',
+				position: grip.position,
+			});
+		}
+		if (
+			(toggled || this.retractPending || isCameraMode) &&
+			wheelComponent.state === WHEEL_STATE.DEPLOYED
+		) {
+			this.onRetract(wheelComponent);
+
+			OneshotAudioComponent.createSFX(this.world, {
+				id: 'MENU_CLOSE',
+				position: grip.position,
+			});
+		}
+		this.retractPending = false;
+
+		switch (wheelComponent.state) {
+			case WHEEL_STATE.DEPLOYING:
+				wheelComponent.transitionTimer += delta;
+				this.onDeploying(wheelComponent, tiles);
+				break;
+			case WHEEL_STATE.RETRACTING:
+				wheelComponent.transitionTimer += delta;
+				this.onRetracting(wheelComponent, wheelObject, tiles, grip);
+				break;
+			case WHEEL_STATE.DEPLOYED:
+				this.updateWheel(wheelComponent, controllerInterface);
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Leave the wheel where it was brought up, facing the player
+	 * @param {EmoteWheelComponent} wheelComponent
+	 * @param {THREE.Object3D} wheelObject
+	 */
+	onDeploy(wheelComponent, wheelObject) {
+		wheelObject.visible = true;
+
+		this.playerStateComponent.viewerTransform.attach(wheelObject);
+		wheelObject.lookAt(
+			this.threeGlobalComponent.renderer.xr
+				.getCamera()
+				.getWorldPosition(new THREE.Vector3()),
+		);
+
+		wheelComponent.state = WHEEL_STATE.DEPLOYING;
+		wheelObject.matrixAutoUpdate = true;
+	}
+
+	/**
+	 * @param {EmoteWheelComponent} wheelComponent
+	 */
+	onRetract(wheelComponent) {
+		wheelComponent.focusedTile = undefined;
+		wheelComponent.state = WHEEL_STATE.RETRACTING;
+	}
+
+	/**
+	 * Tiles grow out of the center of the wheel
+	 * @param {EmoteWheelComponent} wheelComponent
+	 * @param {THREE.Object3D[]} tiles
+	 */
+	onDeploying(wheelComponent, tiles) {
+		const factor = Math.min(
+			wheelComponent.transitionTimer /
+				MODE_SELECTION_WHEEL_CONSTANTS.TRANSITION_DURATION,
+			1,
+		);
+		this.setTileTransitions(tiles, factor);
+		if (factor === 1) {
+			wheelComponent.transitionTimer = 0;
+			wheelComponent.state = WHEEL_STATE.DEPLOYED;
+		}
+	}
+
+	/**
+	 * Tiles shrink back into the center of the wheel, which then goes back to
+	 * the controller grip
+	 * @param {EmoteWheelComponent} wheelComponent
+	 * @param {THREE.Object3D} wheelObject
+	 * @param {THREE.Object3D[]} tiles
+	 * @param {THREE.Object3D} grip - left controller grip
+	 */
+	onRetracting(wheelComponent, wheelObject, tiles, grip) {
+		const factor = Math.max(
+			1 -
+				wheelComponent.transitionTimer /
+					MODE_SELECTION_WHEEL_CONSTANTS.TRANSITION_DURATION,
+			0,
+		);
+		this.setTileTransitions(tiles, factor);
+		if (factor === 0) {
+			this.setTileTransitions(tiles, 1);
+			wheelObject.visible = false;
+			grip.add(wheelObject);
+			wheelObject.position.set(0, 0, 0);
+
+			wheelComponent.transitionTimer = 0;
+			wheelComponent.state = WHEEL_STATE.RETRACTED;
+			wheelObject.updateMatrix();
+			wheelObject.matrixAutoUpdate = false;
+		}
+	}
+
+	/**
+	 * @param {THREE.Object3D[]} tiles
+	 * @param {number} factor - 0 collapsed in the center, 1 fully out
+	 */
+	setTileTransitions(tiles, factor) {
+		tiles.forEach((tile) => {
+			tile.position.copy(tile.defaultPosition).multiplyScalar(factor);
+			tile.scale.setScalar(factor);
+			tile.updateMatrix();
+		});
+	}
+
+	/**
+	 * Highlight the tile closest to the controller, and send its emote when
+	 * the trigger is pulled
+	 * @param {EmoteWheelComponent} wheelComponent
+	 * @param {import('../../lib/ControllerInterface').ControllerInterface} controller - ControllerInterface of the left hand
+	 */
+	updateWheel(wheelComponent, controller) {
+		let focusedTile = null;
+		let closestDistance = MODE_SELECTION_WHEEL_CONSTANTS.SELECT_THRESHOLD;
+		wheelComponent.wheelTiles.forEach((tile) => {
+			tile.backgroundMesh.material.color.setHex(
+				MODE_SELECTION_WHEEL_CONSTANTS.TILE_ENCLOSURE_COLOR,
+			);
+			const distance = controller
+				.getPosition()
+				.distanceTo(tile.getWorldPosition(new THREE.Vector3()));
+			if (distance < closestDistance) {
+				closestDistance = distance;
+				focusedTile = tile;
+			}
+		});
+		wheelComponent.focusedTile = focusedTile;
+		if (!focusedTile) return;
+
+		focusedTile.backgroundMesh.material.color.setHex(
+			MODE_SELECTION_WHEEL_CONSTANTS.TILE_FACE_COLOR_HOVERED,
+		);
+		if (controller.triggerJustPressed(TRIGGERS.INDEX_TRIGGER)) {
+			this.sendEmote(focusedTile);
+			this.retractPending = true;
+		}
+	}
+
+	/**
+	 * Hand the emote to MultiplayerSystem, and play it where it was picked so
+	 * the player sees what the others see
+	 * @param {THREE.Object3D} tile
+	 */
+	sendEmote(tile) {
+		this.world
+			.createEntity()
+			.addComponent(EmoteRequestComponent, { emote: tile.emote });
+		EmoteBurstComponent.createBurst(this.world, {
+			emote: tile.emote,
+			position: tile.getWorldPosition(new THREE.Vector3()),
+		});
+	}
+}
+
+EmoteWheelSystem.addQueries({
+	wheel: { components: [EmoteWheelComponent, Object3DComponent] },
+});
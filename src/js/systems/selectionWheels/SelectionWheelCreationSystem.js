@@ -7,6 +7,10 @@
 
 import * as THREE from 'three';
 
+import {
+	GARDEN_HISTORY_CONSTANTS,
+	MODE_SELECTION_WHEEL_CONSTANTS,
+} from 'src/js/Constants';
 import {
 	MeshIdComponent,
 	createReplaceableMesh,
@@ -17,8 +21,8 @@ import {
 } from '../../components/NUXStateComponent';
 
 import { GameStateComponent } from '../../components/GameStateComponent';
+import { GardenHistoryComponent } from '../../components/GardenHistoryComponent';
 import { InteractionSystem } from '../../lib/InteractionSystem';
-import { MODE_SELECTION_WHEEL_CONSTANTS } from 'src/js/Constants';
 import { Object3DComponent } from '../../components/Object3DComponent';
 import { OneshotAudioComponent } from '../../components/AudioComponents';
 import { SelectionWheelComponent } from '../../components/SelectionWheelComponent';
@@ -27,12 +31,15 @@ import { UIPanelComponent } from '../../components/UIPanelComponent';
 
 import cameraTooltip from '../../../assets/ui/menu-tooltips/camera.json';
 import exploreTooltip from '../../../assets/ui/menu-tooltips/explore.json';
+import { getGardenHistory } from '../../utils/gardenHistoryUtils';
 import { getOnlyEntity } from '../../utils/entityUtils';
 import menuTooltipTemplate from '../../../assets/ui/templates/menu-tooltip.json';
 import merge from 'lodash.merge';
+import redoTooltip from '../../../assets/ui/menu-tooltips/redo.json';
 import removeTooltip from '../../../assets/ui/menu-tooltips/remove.json';
 import seedsTooltip from '../../../assets/ui/menu-tooltips/seeds.json';
 import settingsTooltip from '../../../assets/ui/menu-tooltips/settings.json';
+import undoTooltip from '../../../assets/ui/menu-tooltips/undo.json';
 import waterTooltip from '../../../assets/ui/menu-tooltips/water.json';
 
 export class SelectionWheelCreationSystem extends InteractionSystem {
@@ -130,6 +137,34 @@ export class SelectionWheelCreationSystem extends InteractionSystem {
 			tileObject.faceMesh = tileFaceMesh;
 		});
 
+		const undoTile = this.createHistoryTile('undo');
+		undoTile.defaultPosition = GARDEN_HISTORY_CONSTANTS.UNDO_TILE_POSITION.clone().add(
+			MODE_SELECTION_WHEEL_CONSTANTS.WHEEL_POSITION_OFFSET,
+		);
+		this.setHistoryTileAction(undoTile, true);
+		this.createTileTooltip(
+			undoTile,
+			merge({}, menuTooltipTemplate, undoTooltip),
+			true,
+		);
+
+		const redoTile = this.createHistoryTile('redo');
+		redoTile.defaultPosition = GARDEN_HISTORY_CONSTANTS.REDO_TILE_POSITION.clone().add(
+			MODE_SELECTION_WHEEL_CONSTANTS.WHEEL_POSITION_OFFSET,
+		);
+		this.setHistoryTileAction(redoTile, false);
+		this.createTileTooltip(
+			redoTile,
+			merge({}, menuTooltipTemplate, redoTooltip),
+			true,
+		);
+
+		[undoTile, redoTile].forEach((tileObject) => {
+			tileObject.defaultQuaternion = tileObject.quaternion.clone();
+			wheelObject.add(tileObject);
+			wheelTiles.push(tileObject);
+		});
+
 		this.wheelEntity.removeComponent(SelectionWheelComponent);
 		this.wheelEntity.addComponent(SelectionWheelComponent, {
 			wheelTiles,
@@ -177,7 +212,94 @@ export class SelectionWheelCreationSystem extends InteractionSystem {
 		}
 	}
 
-	createTileTooltip(tile, tooltipJSON) {
+	/**
+	 * A round tile with the undo or redo icon, facing +z like the tiles of the
+	 * emote wheel
+	 * @param {'undo'|'redo'} action
+	 * @returns {THREE.Group}
+	 */
+	createHistoryTile(action) {
+		const tile = new THREE.Group();
+		tile.name = `${action}_tile`;
+
+		const iconSize = 128; // pixels
+		const canvas = document.createElement('CANVAS');
+		canvas.width = iconSize;
+		canvas.height = iconSize;
+		const context = canvas.getContext('2d');
+		context.fillStyle = '#ffffff';
+		context.beginPath();
+		context.arc(iconSize / 2, iconSize / 2, iconSize / 2, 0, Math.PI * 2);
+		context.fill();
+		context.fillStyle = '#333333';
+		context.font = `bold ${iconSize * 0.6}px sans-serif`;
+		context.textAlign = 'center';
+		context.textBaseline = 'middle';
+		context.fillText(
+			GARDEN_HISTORY_CONSTANTS.ICONS[action],
+			iconSize / 2,
+			iconSize / 2,
+		);
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.encoding = THREE.sRGBEncoding;
+
+		const backgroundMesh = new THREE.Mesh(
+			new THREE.CircleGeometry(GARDEN_HISTORY_CONSTANTS.TILE_SIZE * 0.6, 24),
+			new THREE.MeshBasicMaterial({
+				color: MODE_SELECTION_WHEEL_CONSTANTS.TILE_ENCLOSURE_COLOR,
+			}),
+		);
+		const faceMesh = new THREE.Mesh(
+			new THREE.PlaneGeometry(
+				GARDEN_HISTORY_CONSTANTS.TILE_SIZE,
+				GARDEN_HISTORY_CONSTANTS.TILE_SIZE,
+			),
+			new THREE.MeshBasicMaterial({ map: texture, transparent: true }),
+		);
+		// offset this a bit to avoid zfighting
+		faceMesh.position.z = 0.001;
+		faceMesh.updateMatrix();
+		tile.add(backgroundMesh, faceMesh);
+
+		tile.faceMesh = faceMesh;
+		return tile;
+	}
+
+	/**
+	 * Undo and redo tiles change the garden, and are only available while
+	 * there is something to undo or redo
+	 * @param {THREE.Object3D} tile
+	 * @param {boolean} isUndo
+	 */
+	setHistoryTileAction(tile, isUndo) {
+		tile.changesGarden = true;
+		tile.isAvailable = () => {
+			const history = getGardenHistory(this.queries.gardenHistory);
+			const stack = isUndo ? history?.undoStack : history?.redoStack;
+			return stack?.length > 0;
+		};
+		tile.action = () => {
+			const nuxStateComponent = getOnlyEntity(
+				this.queries.NUXState,
+			).getComponent(NUXStateComponent);
+			const history = getGardenHistory(this.queries.gardenHistory);
+			if (nuxStateComponent.currentState !== NUX_STEPS.ENDED || !history) {
+				return;
+			}
+			if (isUndo) {
+				history.undoPending = true;
+			} else {
+				history.redoPending = true;
+			}
+		};
+	}
+
+	/**
+	 * @param {THREE.Object3D} tile
+	 * @param {Object} tooltipJSON
+	 * @param {boolean} facesViewer - true for tiles facing +z, the tooltip is then shown above the tile
+	 */
+	createTileTooltip(tile, tooltipJSON, facesViewer = false) {
 		const tooltipEntity = this.world.createEntity();
 
 		const uiPanelComponentParams = UIPanelComponent.createFromJSON(tooltipJSON);
@@ -191,8 +313,16 @@ export class SelectionWheelCreationSystem extends InteractionSystem {
 			parent: tile,
 		});
 
-		uiPanelComponentParams.uiPanel.position.set(0, 0, -0.08);
-		uiPanelComponentParams.uiPanel.rotateX(-THREE.MathUtils.degToRad(75));
+		if (facesViewer) {
+			uiPanelComponentParams.uiPanel.position.set(
+				0,
+				GARDEN_HISTORY_CONSTANTS.TILE_SIZE,
+				0.01,
+			);
+		} else {
+			uiPanelComponentParams.uiPanel.position.set(0, 0, -0.08);
+			uiPanelComponentParams.uiPanel.rotateX(-THREE.MathUtils.degToRad(75));
+		}
 
 		tile.tooltip = tooltipEntity;
 	}
@@ -201,4 +331,5 @@ export class SelectionWheelCreationSystem extends InteractionSystem {
 SelectionWheelCreationSystem.addQueries({
 	settingsMenu: { components: [SettingsPanelComponent] },
 	NUXState: { components: [NUXStateComponent] },
+	gardenHistory: { components: [GardenHistoryComponent] },
 });
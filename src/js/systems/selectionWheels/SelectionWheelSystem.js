@@ -13,6 +13,7 @@ import {
 	WHEEL_STATE,
 } from '../../components/SelectionWheelComponent';
 
+import { GameStateComponent } from '../../components/GameStateComponent';
 import { InteractionSystem } from '../../lib/InteractionSystem';
 import { IsActive } from '../../components/GameObjectTagComponents';
 import { MODE_SELECTION_WHEEL_CONSTANTS } from '../../Constants';
@@ -230,7 +231,24 @@ export class SelectionWheelSystem extends InteractionSystem {
 		let focusedTile = null;
 		let closestDistance = Infinity;
 		this.currentSelectionAction = null;
+		const selectableTiles = [];
 		wheelComponent.wheelTiles.forEach((tile) => {
+			// multiplayer guests without edit rights can only look around, and
+			// undo and redo are greyed out while there is nothing to undo or redo
+			const changesGarden =
+				tile.changesGarden ||
+				GameStateComponent.EDITING_MODES.includes(tile.mode);
+			if (
+				(!this.gameStateComponent.canEdit && changesGarden) ||
+				tile.isAvailable?.() === false
+			) {
+				tile.faceMesh.material.color.setHex(
+					MODE_SELECTION_WHEEL_CONSTANTS.TILE_FACE_COLOR_DISABLED,
+				);
+				return;
+			}
+			selectableTiles.push(tile);
+
 			if (this.gameStateComponent.interactionMode === tile.mode) {
 				tile.faceMesh.material.color.setHex(
 					MODE_SELECTION_WHEEL_CONSTANTS.TILE_FACE_COLOR_SELECTED,
@@ -254,10 +272,7 @@ export class SelectionWheelSystem extends InteractionSystem {
 
 		if (!focusedTile) {
 			this.shortRayComponent.visible = true;
-			focusedTile = this.findFocusedTileWithRay(
-				wheelComponent.wheelTiles,
-				controller,
-			);
+			focusedTile = this.findFocusedTileWithRay(selectableTiles, controller);
 		}
 
 		if (focusedTile !== wheelComponent.focusedTile) {
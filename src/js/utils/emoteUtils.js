@@ -0,0 +1,37 @@
+/**
+ * Icons of the emotes, shared by the emote wheel and the emote bursts
+ */
+
+import * as THREE from 'three';
+
+import { EMOTE_WHEEL_CONSTANTS } from '../Constants';
+
+const ICON_SIZE = 128; // pixels
+
+const emoteTextures = new Map();
+
+/**
+ * The emote's icon, drawn once and cached
+ * @param {string} emote - one of EMOTES
+ * @returns {THREE.CanvasTexture}
+ */
+export const getEmoteTexture = (emote) => {
+	if (!emoteTextures.has(emote)) {
+		const canvas = document.createElement('CANVAS');
+		canvas.width = ICON_SIZE;
+		canvas.height = ICON_SIZE;
+		const context = canvas.getContext('2d');
+		context.font = `${ICON_SIZE * 0.75}px sans-serif`;
+		context.textAlign = 'center';
+		context.textBaseline = 'middle';
+		context.fillText(
+			EMOTE_WHEEL_CONSTANTS.ICONS[emote],
+			ICON_SIZE / 2,
+			ICON_SIZE / 2,
+		);
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.encoding = THREE.sRGBEncoding;
+		emoteTextures.set(emote, texture);
+	}
+	return emoteTextures.get(emote);
+};
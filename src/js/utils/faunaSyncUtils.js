@@ -0,0 +1,80 @@
+/**
+ * Reads and applies the state of single fauna in multiplayer fauna:sync
+ * messages (see lib/net/FaunaSync.js). Every fauna is its position and
+ * quaternion, followed by:
+ *   - aerial fauna and butterflies: direction, vertical and horizontal
+ *     variation offsets
+ *   - water fauna: turn sign, and 1 while turning
+ *   - stationary fauna: nothing
+ */
+
+import {
+	AerialFaunaMovementComponent,
+	WaterFaunaMovementComponent,
+} from '../components/FaunaComponents';
+
+import { FaunaColliderComponent } from '../components/FaunaColliderComponent';
+import { InstancedMeshInstanceComponent } from '../components/InstancedMeshComponent';
+import { MovableFaunaComponent } from '../components/MovableFaunaComponent';
+import { Object3DComponent } from '../components/Object3DComponent';
+import { roundFaunaValue } from '../lib/net/FaunaSync';
+
+/**
+ * @param {import('ecsy').Entity} entity - a fauna entity
+ * @returns {number[]}
+ */
+export const readFaunaState = (entity) => {
+	const { position, quaternion } = entity.getComponent(Object3DComponent).value;
+	const values = [...position.toArray(), ...quaternion.toArray()];
+	const movement =
+		entity.getComponent(AerialFaunaMovementComponent) ??
+		entity.getComponent(MovableFaunaComponent);
+	if (movement) {
+		values.push(
+			...movement.direction.toArray(),
+			movement.verticalVariationOffset,
+			movement.horizontalVariationOffset,
+		);
+	}
+	const waterMovement = entity.getComponent(WaterFaunaMovementComponent);
+	if (waterMovement) {
+		values.push(waterMovement.turnSign, waterMovement.isTurning ? 1 : 0);
+	}
+	return values.map(roundFaunaValue);
+};
+
+/**
+ * @param {import('ecsy').Entity} entity - a fauna entity
+ * @param {number[]} values - from readFaunaState on the host
+ * @param {number} timeOffset - the host's world time minus ours, in seconds
+ */
+export const applyFaunaState = (entity, values, timeOffset) => {
+	if (values.length < 7) return;
+	const object = entity.getComponent(Object3DComponent).value;
+	object.position.fromArray(values, 0);
+	object.quaternion.fromArray(values, 3).normalize();
+
+	const movement =
+		entity.getMutableComponent(AerialFaunaMovementComponent) ??
+		entity.getMutableComponent(MovableFaunaComponent);
+	if (movement && values.length >= 12) {
+		movement.direction.fromArray(values, 7).normalize();
+		// paths vary with world time, which started at a different moment here
+		movement.verticalVariationOffset = values[10] + timeOffset;
+		movement.horizontalVariationOffset = values[11] + timeOffset;
+	}
+	const waterMovement = entity.getMutableComponent(WaterFaunaMovementComponent);
+	if (waterMovement && values.length >= 9) {
+		waterMovement.turnSign = values[7] < 0 ? -1 : 1;
+		waterMovement.isTurning = values[8] === 1;
+	}
+
+	const collider = entity.getComponent(FaunaColliderComponent)?.value;
+	if (collider) {
+		collider.position.copy(object.position);
+		collider.updateMatrix();
+	}
+	entity
+		.getComponent(InstancedMeshInstanceComponent)
+		?.instancedMesh?.updateInstance(entity);
+};
@@ -0,0 +1,44 @@
+/**
+ * Randomness for fauna. Everyone in a multiplayer room shares the seed, so
+ * fauna spawns and moves the same way for every player in it.
+ */
+
+import * as THREE from 'three';
+
+import { getMultiplayerRoom, isMultiplayerEnabled } from './multiplayerUtils';
+
+import { SeededRandom } from '../lib/SeededRandom';
+
+let faunaSeed = null;
+
+/**
+ * @returns {string} the multiplayer room, or a new seed every session in single player
+ */
+export const getFaunaSeed = () => {
+	if (faunaSeed === null) {
+		faunaSeed = isMultiplayerEnabled()
+			? `room:${getMultiplayerRoom()}`
+			: `local:${Math.random()}`;
+	}
+	return faunaSeed;
+};
+
+/**
+ * Every fauna system draws from streams of its own, so how many numbers one
+ * of them draws does not shift what the others get
+ * @param {string} stream - name of the stream, unique among fauna systems
+ * @returns {SeededRandom}
+ */
+export const createFaunaRandom = (stream) => {
+	return new SeededRandom(`${getFaunaSeed()}/${stream}`);
+};
+
+/**
+ * A horizontal direction to turn fauna towards, like Vector3.random() with y
+ * set to 0
+ * @param {SeededRandom} random
+ * @returns {THREE.Vector3} not normalized
+ */
+export const getRandomHorizontalDirection = (random) => {
+	return new THREE.Vector3(random.next(), 0, random.next());
+};
@@ -0,0 +1,67 @@
+/**
+ * Plant handles of the garden history, shared by the systems that record
+ * edits and GardenHistorySystem
+ */
+
+import {
+	PlantGrowingComponent,
+	PlantShrinkingComponent,
+	PlantedComponent,
+} from '../components/PlantingComponents';
+
+import { GardenHistoryComponent } from '../components/GardenHistoryComponent';
+import { Object3DComponent } from '../components/Object3DComponent';
+
+export const PLANT_STATES = {
+	STANDING: 0, // grown, can be picked or watered
+	CHANGING: 1, // still growing or shrinking
+	GONE: 2,
+};
+
+/**
+ * The handle of a plant, created the first time a command refers to it
+ * @param {import('ecsy').Entity} plantEntity
+ * @returns {import('../components/GardenHistoryComponent').PlantHandle}
+ */
+export const getPlantHandle = (plantEntity) => {
+	const plantObject = plantEntity.getComponent(Object3DComponent).value;
+	if (!plantObject.gardenHistoryHandle) {
+		plantObject.gardenHistoryHandle = {
+			entity: plantEntity,
+			object: plantObject,
+			snapshot: null,
+		};
+	}
+	return plantObject.gardenHistoryHandle;
+};
+
+/**
+ * @param {import('../components/GardenHistoryComponent').PlantHandle} plantHandle
+ * @returns {number} one of PLANT_STATES
+ */
+export const getPlantState = ({ entity, object }) => {
+	// entities are pooled, the entity of a removed plant may be another one by now
+	if (
+		!entity.alive ||
+		entity.getComponent(Object3DComponent)?.value !== object
+	) {
+		return PLANT_STATES.GONE;
+	}
+	const plantedComponent = entity.getComponent(PlantedComponent);
+	if (
+		entity.hasComponent(PlantGrowingComponent) ||
+		entity.hasComponent(PlantShrinkingComponent) ||
+		!plantedComponent?.pickable ||
+		!plantedComponent.tinyColliderEntity
+	) {
+		return PLANT_STATES.CHANGING;
+	}
+	return PLANT_STATES.STANDING;
+};
+
+/**
+ * @param {import('ecsy').Query} query - of the entity with the GardenHistoryComponent
+ * @returns {GardenHistoryComponent|undefined}
+ */
+export const getGardenHistory = (query) =>
+	query.results[0]?.getMutableComponent(GardenHistoryComponent);
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import * as THREE from 'three';
+
+import { JOINTS_DATA } from '../HandPoses';
+
+// poses that hold a prop and ignore controller input
+const STATIC_HAND_POSES = ['WATERING', 'PLANTING'];
+
+/**
+ * Convert JOINTS_DATA into quaternions, keyed by pose, section, joint and state
+ * @returns {Object}
+ */
+export const createHandJoints = () => {
+	const joints = {};
+	Object.entries(JOINTS_DATA).forEach(([mode, states]) => {
+		joints[mode] = {};
+		Object.entries(states).forEach(([sectionKey, sectionData]) => {
+			joints[mode][sectionKey] = {};
+			Object.entries(sectionData).forEach(([jointKey, jointData]) => {
+				const joint = {};
+				Object.entries(jointData).forEach(([state, poseData]) => {
+					joint[state] = new THREE.Quaternion().fromArray(poseData);
+				});
+				joints[mode][sectionKey][jointKey] = joint;
+			});
+		});
+	});
+	return joints;
+};
+
+/**
+ * Animate a hand between the DEFAULT and PRESSED states of a pose
+ * @param {THREE.Object3D} handModel
+ * @param {Object} jointsData - one pose from createHandJoints
+ * @param {number} indexValue - 0 to 1
+ * @param {number} handValue - 0 to 1
+ * @param {number} thumbValue - 0 to 1
+ */
+export const animateHand = (
+	handModel,
+	jointsData,
+	indexValue,
+	handValue,
+	thumbValue,
+) => {
+	for (const [name, states] of Object.entries(jointsData.INDEX)) {
+		const bone = handModel.getObjectByName(name);
+		bone.quaternion.slerpQuaternions(
+			states.DEFAULT,
+			states.PRESSED,
+			indexValue,
+		);
+	}
+
+	for (const [name, states] of Object.entries(jointsData.HAND)) {
+		const bone = handModel.getObjectByName(name);
+		bone.quaternion.slerpQuaternions(states.DEFAULT, states.PRESSED, handValue);
+	}
+
+	for (const [name, states] of Object.entries(jointsData.THUMB)) {
+		const bone = handModel.getObjectByName(name);
+		bone.quaternion.slerpQuaternions(
+			states.DEFAULT,
+			states.PRESSED,
+			thumbValue,
+		);
+	}
+};
+
+/**
+ * Override hand pose with static pose
+ * @param {THREE.Object3D} handModel
+ * @param {Object} jointsData - one pose from createHandJoints
+ */
+export const overrideHandPose = (handModel, jointsData) => {
+	for (const sectionData of Object.values(jointsData)) {
+		for (const [name, states] of Object.entries(sectionData)) {
+			const bone = handModel.getObjectByName(name);
+			bone.quaternion.copy(states.DEFAULT);
+		}
+	}
+};
+
+/**
+ * Apply a pose as recorded by HandAnimationSystem
+ * @param {THREE.Object3D} handModel
+ * @param {Object} joints - from createHandJoints
+ * @param {{ pose: string, index: number, grip: number, thumb: number }} handPose
+ */
+export const applyHandPose = (handModel, joints, handPose) => {
+	const jointsData = joints[handPose.pose] ?? joints.EMPTY;
+	if (STATIC_HAND_POSES.includes(handPose.pose)) {
+		overrideHandPose(handModel, jointsData);
+	} else {
+		animateHand(
+			handModel,
+			jointsData,
+			handPose.index,
+			handPose.grip,
+			handPose.thumb,
+		);
+	}
+};
@@ -0,0 +1,123 @@
+/**
+ * Multiplayer opt-in and the local player's profile, shared by the landing
+ * page, MultiplayerSystem and the spectator page
+ */
+
+const STORAGE_KEYS = {
+	ENABLED: 'pfb:mp',
+	DISPLAY_NAME: 'pfb:mp-name',
+	AVATAR_COLOR: 'pfb:mp-color',
+	ROOM_GARDEN: 'pfb:mp-room-garden:', // followed by the room name
+};
+
+export const MAX_DISPLAY_NAME_LENGTH = 24;
+
+export const AVATAR_COLORS = [
+	'#4caf50',
+	'#2196f3',
+	'#ff9800',
+	'#e91e63',
+	'#9c27b0',
+	'#00bcd4',
+	'#ffc107',
+	'#795548',
+];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Multiplayer is opt-in with ?mp=1, localStorage pfb:mp or window.__MULTIPLAYER_ENABLED__
+ * @returns {boolean}
+ */
+export const isMultiplayerEnabled = () => {
+	const urlParams = new URLSearchParams(window.location.search);
+	if (urlParams.get('mp') === '1') return true;
+	if (localStorage.getItem(STORAGE_KEYS.ENABLED) === '1') return true;
+	return !!window.__MULTIPLAYER_ENABLED__;
+};
+
+/**
+ * Players with the same ?room= join the same room on the relay
+ * @returns {string}
+ */
+export const getMultiplayerRoom = () => {
+	const urlParams = new URLSearchParams(window.location.search);
+	return urlParams.get('room') || 'default';
+};
+
+/**
+ * @returns {string|undefined} the password of a password protected room, from ?roomPassword=
+ */
+export const getRoomPassword = () => {
+	const urlParams = new URLSearchParams(window.location.search);
+	return urlParams.get('roomPassword') || undefined;
+};
+
+/**
+ * The relay is served next to the page, on port 8090 in local development,
+ * unless window.__MULTIPLAYER_SERVER_URL__ points elsewhere
+ * @returns {string}
+ */
+export const getMultiplayerServerUrl = () => {
+	if (window.__MULTIPLAYER_SERVER_URL__) {
+		return window.__MULTIPLAYER_SERVER_URL__;
+	}
+	const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+	const host = window.location.hostname;
+	const port =
+		window.location.hostname === 'localhost' ? 8090 : window.location.port;
+	return `${protocol}//${host}:${port}`;
+};
+
+/**
+ * The saved garden we open the room with when we host it, picked on the
+ * landing page and remembered per room
+ * @returns {string} a StorageInterface garden id, empty to play the room's own garden
+ */
+export const getRoomGardenId = () => {
+	return (
+		localStorage.getItem(STORAGE_KEYS.ROOM_GARDEN + getMultiplayerRoom()) ?? ''
+	);
+};
+
+/**
+ * @param {string} gardenId - empty to play the room's own garden
+ */
+export const setRoomGardenId = (gardenId) => {
+	const key = STORAGE_KEYS.ROOM_GARDEN + getMultiplayerRoom();
+	if (gardenId) {
+		localStorage.setItem(key, gardenId);
+	} else {
+		localStorage.removeItem(key);
+	}
+};
+
+/**
+ * The display name and avatar color announced to other players. A color is
+ * picked from AVATAR_COLORS and remembered the first time.
+ * @returns {{ name: string, color: string }}
+ */
+export const getPlayerProfile = () => {
+	const name = (localStorage.getItem(STORAGE_KEYS.DISPLAY_NAME) ?? '').trim();
+	let color = localStorage.getItem(STORAGE_KEYS.AVATAR_COLOR);
+	if (!COLOR_PATTERN.test(color ?? '')) {
+		color = AVATAR_COLORS[Math.floor(Math.random() * AVATAR_COLORS.length)];
+		localStorage.setItem(STORAGE_KEYS.AVATAR_COLOR, color);
+	}
+	return { name, color: color.toLowerCase() };
+};
+
+/**
+ * @param {{ name?: string, color?: string }} profile - fields to change
+ */
+export const setPlayerProfile = ({ name, color }) => {
+	if (name !== undefined) {
+		localStorage.setItem(
+			STORAGE_KEYS.DISPLAY_NAME,
+			name.trim().slice(0, MAX_DISPLAY_NAME_LENGTH),
+		);
+	}
+	if (color !== undefined && COLOR_PATTERN.test(color)) {
+		localStorage.setItem(STORAGE_KEYS.AVATAR_COLOR, color.toLowerCase());
+	}
+};
@@ -0,0 +1,74 @@
+/**
+ * Printed photos, shared by the screenshot camera and photos shared by other
+ * players in multiplayer
+ */
+
+import * as THREE from 'three';
+
+import { SCREENSHOT_CAMERA_CONSTANTS } from '../Constants';
+
+/**
+ * The picture on a white backer, both facing +z
+ * @param {THREE.Material} photoMaterial - material of the picture
+ * @param {number} aspectRatio - width / height of the photo
+ * @returns {THREE.Group}
+ */
+export const createPhotoObject = (photoMaterial, aspectRatio) => {
+	const photoGeometry = new THREE.PlaneGeometry(
+		aspectRatio *
+			(SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT -
+				SCREENSHOT_CAMERA_CONSTANTS.PREVIEW_PADDING[1]),
+		SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT -
+			SCREENSHOT_CAMERA_CONSTANTS.PREVIEW_PADDING[0],
+	);
+	const backerGeometry = new THREE.PlaneGeometry(
+		aspectRatio * SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT,
+		SCREENSHOT_CAMERA_CONSTANTS.PHOTO_HEIGHT,
+	);
+	const photoObject = new THREE.Group();
+
+	const backMesh = new THREE.Mesh(
+		backerGeometry,
+		new THREE.MeshBasicMaterial({
+			color: 0xffffff,
+			side: THREE.DoubleSide,
+		}),
+	);
+
+	// back side with solid color
+	photoObject.add(backMesh);
+
+	const photoMesh = new THREE.Mesh(photoGeometry, photoMaterial);
+	// offset this a bit to avoid zfighting
+	photoMesh.position.z += 0.0001;
+
+	// front side with texture
+	photoObject.add(photoMesh);
+
+	return photoObject;
+};
+
+/**
+ * Re-encode a photo as a JPEG that fits in a square of maxSize pixels
+ * @param {string} dataUrl - image data URL
+ * @param {number} maxSize - pixels of the longer side
+ * @param {number} quality - JPEG quality, 0 to 1
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const downscalePhoto = (dataUrl, maxSize, quality) => {
+	return new Promise((resolve, reject) => {
+		const image = new Image();
+		image.onload = () => {
+			const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+			const canvas = document.createElement('CANVAS');
+			canvas.width = Math.round(image.width * scale);
+			canvas.height = Math.round(image.height * scale);
+			canvas
+				.getContext('2d')
+				.drawImage(image, 0, 0, canvas.width, canvas.height);
+			resolve(canvas.toDataURL('image/jpeg', quality));
+		};
+		image.onerror = () => reject(new Error('Could not decode photo'));
+		image.src = dataUrl;
+	});
+};
@@ -0,0 +1,151 @@
+/**
+ * Serialization of SavableObject entities, shared by LocalSaveDataSystem and
+ * the multiplayer room garden
+ */
+
+import { Object3DComponent } from '../components/Object3DComponent';
+
+/**
+ * @param {import('ecsy').Entity[]} entities - entities tagged SavableObject
+ * @returns {Object[]} one object per entity, keyed by component name
+ */
+export const serializeSavableObjects = (entities) => {
+	const objects = [];
+	entities.forEach((entity) => {
+		const components = entity.getComponents();
+		const obj = {};
+		for (let key in components) {
+			let component = components[key];
+
+			const name = component.getName();
+			if (!component.serialize) {
+				continue;
+			}
+			obj[name] = component.serialize();
+		}
+		objects.push(obj);
+	});
+
+	return objects;
+};
+
+/**
+ * Create entities from serialized objects. Objects that cannot be restored,
+ * because they name an unknown component or their data is broken, are skipped
+ * and returned with the reason, the rest of the garden still loads.
+ * @param {import('ecsy').World} world
+ * @param {Object[]} jsonObjects - from serializeSavableObjects
+ * @param {THREE.Scene} scene
+ * @param {import('../components/AssetDatabaseComponent').AssetDatabaseComponent} assetDatabase
+ * @returns {{ entities: import('ecsy').Entity[], quarantined: { object: *, reason: string }[] }}
+ * the new entities, and the objects that were skipped
+ */
+export const deserializeSavableObjects = (
+	world,
+	jsonObjects,
+	scene,
+	assetDatabase,
+) => {
+	const entities = [];
+	const quarantined = [];
+	for (let object of jsonObjects) {
+		const invalidReason = getInvalidObjectReason(world, object);
+		if (invalidReason) {
+			quarantined.push({ object, reason: invalidReason });
+			continue;
+		}
+
+		const newEntity = world.createEntity();
+		try {
+			for (let key in object) {
+				const componentType = getComponentFromName(world, key);
+				newEntity.addComponent(componentType);
+
+				let componentInstance = newEntity.getMutableComponent(componentType);
+				if (componentInstance.deserialize) {
+					componentInstance.deserialize(object[key]);
+				}
+			}
+
+			// second pass, for any components that need access to the whole entity
+			const components = newEntity.getComponents();
+			for (let key in components) {
+				const component = components[key];
+				if (component.afterDeserialize) {
+					const result = component.afterDeserialize(
+						newEntity,
+						scene,
+						assetDatabase,
+					);
+					// an async hook fails after this function has returned, the
+					// entity is dropped then instead of being left half restored
+					result?.catch?.((error) => {
+						discardEntity(newEntity);
+						console.warn(
+							'Could not restore saved object:',
+							String(error?.message ?? error),
+							object,
+						);
+					});
+				}
+			}
+
+			const object3D = newEntity.getComponent(Object3DComponent, true)?.value;
+			if (object3D && !isFiniteTransform(object3D)) {
+				throw new Error('Object3DComponent has an invalid transform');
+			}
+		} catch (error) {
+			discardEntity(newEntity);
+			quarantined.push({ object, reason: String(error?.message ?? error) });
+			continue;
+		}
+
+		entities.push(newEntity);
+	}
+
+	return { entities, quarantined };
+};
+
+const discardEntity = (entity) => {
+	if (!entity.alive) return;
+	entity.getComponent(Object3DComponent, true)?.value?.removeFromParent();
+	entity.remove();
+};
+
+const getComponentFromName = (world, componentName) => {
+	// get the component
+	const componentManager = world.componentsManager;
+	const component = componentManager.Components.find((c) => {
+		return c.getName() === componentName;
+	});
+	if (!component) {
+		return undefined;
+	}
+	return component;
+};
+
+/**
+ * @returns {string|null} why a serialized object cannot be restored, null if
+ * it looks fine
+ */
+const getInvalidObjectReason = (world, object) => {
+	if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+		return 'Not a serialized object';
+	}
+	for (let key in object) {
+		if (!getComponentFromName(world, key)) {
+			return `Unknown component ${key}`;
+		}
+		if (typeof object[key] !== 'object' || object[key] === null) {
+			return `${key} has no data`;
+		}
+	}
+	return null;
+};
+
+const isFiniteTransform = ({ position, quaternion, scale }) =>
+	[
+		...position.toArray(),
+		...quaternion.toArray(),
+		...scale.toArray(),
+	].every((n) => Number.isFinite(n));
@@ -259,9 +259,14 @@ export const extrapolateDistanceToCollision = (x, y, dx, dy, areaData) => {
 	return (xSide * ySide) / Math.sqrt(Math.pow(xSide, 2) + Math.pow(ySide, 2));
 };
 
-export const generateRandomPointInArea = (areaData) => {
-	const segmentIdx = Math.floor(Math.random() * (areaData.LAYERS.length - 1));
-	const y = (segmentIdx + Math.random()) * SEGMENT_WIDTH + areaData.Y_START;
+/**
+ * @param {Object} areaData - one of WATER_FAUNA_AREAS
+ * @param {import('../lib/SeededRandom').SeededRandom} random
+ * @returns {number[]} x and y in the area's sampling space
+ */
+export const generateRandomPointInArea = (areaData, random) => {
+	const segmentIdx = Math.floor(random.next() * (areaData.LAYERS.length - 1));
+	const y = (segmentIdx + random.next()) * SEGMENT_WIDTH + areaData.Y_START;
 
 	const deltaY = (y - areaData.Y_START) / SEGMENT_WIDTH;
 
@@ -275,7 +280,7 @@ export const generateRandomPointInArea = (areaData) => {
 	const ex1 =
 		layerFac0 * areaData.LAYERS[layerIdx0].x1 +
 		layerFac1 * areaData.LAYERS[layerIdx1].x1;
-	const xRandFactor = Math.random();
+	const xRandFactor = random.next();
 	const x = ex0 * xRandFactor + ex1 * (1 - xRandFactor);
 	return [x, y];
 };
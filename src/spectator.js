@@ -0,0 +1,57 @@
+/**
+ * Spectator page: a top-down map of a multiplayer room for facilitators, who
+ * watch the room without a headset. Open spectator.html?room=<room>.
+ */
+
+import './styles/spectator.css';
+
+import { SpectatorMap } from './js/spectator/SpectatorMap';
+import { SpectatorSession } from './js/spectator/SpectatorSession';
+import { getMultiplayerRoom } from './js/utils/multiplayerUtils';
+
+const room = getMultiplayerRoom();
+const session = new SpectatorSession(room);
+const map = new SpectatorMap(document.getElementById('spectator-map'));
+
+const roomLabel = document.getElementById('spectator-room');
+const statusLabel = document.getElementById('spectator-status');
+const playerList = document.getElementById('spectator-players');
+const plantCount = document.getElementById('spectator-plants');
+roomLabel.textContent = `Room: ${room}`;
+
+const updateSidebar = () => {
+	if (session.error) {
+		statusLabel.textContent = session.error;
+	} else {
+		statusLabel.textContent = session.isConnected
+			? 'Watching'
+			: 'Connecting...';
+	}
+
+	playerList.replaceChildren(
+		...Array.from(session.players, ([clientId, { name, color }]) => {
+			const item = document.createElement('li');
+			const swatch = document.createElement('span');
+			swatch.className = 'spectator-swatch';
+			swatch.style.background = color;
+			const label = document.createElement('span');
+			label.textContent = clientId === session.hostId ? `${name} (host)` : name;
+			item.append(swatch, label);
+			return item;
+		}),
+	);
+	plantCount.textContent = `${session.plants.size} plants`;
+};
+
+const render = () => {
+	map.draw(session.players, session.plants, session.hostId);
+	requestAnimationFrame(render);
+};
+
+map.renderBackdrop().catch((error) => {
+	console.error('Failed to render the map of the garden:', error);
+});
+session.connect();
+render();
+// the sidebar does not need to follow every snapshot
+setInterval(updateSidebar, 500);
@@ -20,6 +20,7 @@ export default {
 	mode: 'development',
 	entry: {
 		index: './src/index.js',
+		spectator: './src/spectator.js',
 	},
 	module: {
 		rules: [
@@ -74,6 +75,12 @@ export default {
 			chunks: ['index'],
 			favicon: './src/favicon.png',
 		}),
+		new HtmlWebpackPlugin({
+			template: './src/spectator.html',
+			filename: 'spectator.html',
+			chunks: ['spectator'],
+			favicon: './src/favicon.png',
+		}),
 		new CopyPlugin({
 			patterns: [
 				{ from: 'src/assets', to: 'assets' },